@@ -0,0 +1,144 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Closure;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+
+/**
+ * Controller for the saved editing sessions of the signed-in user.
+ * Each document keeps the original PDF on the local disk and the JSON
+ * scene with the overlays of every page.
+ */
+class PdfDocumentController extends Controller
+{
+    /**
+     * Longest accepted Base64 PDF: 10MB once decoded.
+     */
+    private const MAX_PDF_BASE64_LENGTH = 13981016;
+
+    /**
+     * Longest accepted JSON scene. Appended PDFs and images are inlined in
+     * the scene as Base64, so it gets its own limit.
+     */
+    private const MAX_SCENE_JSON_LENGTH = 20 * 1024 * 1024;
+
+    /**
+     * Show the upload page together with the saved documents.
+     */
+    public function index()
+    {
+        $documents = Auth::user()->pdfDocuments()->get(['id', 'name', 'updated_at']);
+
+        return view('upload', ['documents' => $documents]);
+    }
+
+    /**
+     * Create a new document from the PDF being edited and its scene.
+     */
+    public function store(Request $request)
+    {
+        $data = $request->validate([
+            'name' => ['required', 'string', 'max:255'],
+            // same 10MB limit as /render, in base64 characters (4 for every 3 bytes)
+            'pdf_base64' => ['required', 'string', 'max:' . self::MAX_PDF_BASE64_LENGTH],
+            'scene' => $this->sceneRules(),
+            'scene.pages' => ['present', 'array'],
+        ], [
+            'pdf_base64.max' => 'The PDF is too large to be saved (max. 10MB).',
+        ]);
+
+        // decode the PDF sent back by the editor and make sure it really is a PDF
+        $pdf_content = base64_decode($data['pdf_base64'], true);
+
+        if ($pdf_content === false || !str_starts_with($pdf_content, '%PDF')) {
+            return response()->json(['message' => 'The PDF data is not valid.'], 422);
+        }
+
+        // store the PDF under a folder of the user
+        $path = 'pdfs/' . Auth::id() . '/' . Str::uuid() . '.pdf';
+        Storage::disk('local')->put($path, $pdf_content);
+
+        $document = Auth::user()->pdfDocuments()->create([
+            'name' => $data['name'],
+            'pdf_path' => $path,
+            'scene' => $data['scene'],
+        ]);
+
+        return response()->json([
+            'id' => $document->id,
+            'updated_at' => $document->updated_at,
+        ], 201);
+    }
+
+    /**
+     * Reopen a saved document in the editor.
+     */
+    public function show($id)
+    {
+        $document = Auth::user()->pdfDocuments()->findOrFail($id);
+
+        $pdf_content = Storage::disk('local')->get($document->pdf_path);
+
+        abort_if($pdf_content === null, 404);
+
+        return view('edit', [
+            'pdfBase64' => base64_encode($pdf_content),
+            'pdfName' => $document->name,
+            'document' => $document,
+        ]);
+    }
+
+    /**
+     * Overwrite the scene of a saved document.
+     */
+    public function update(Request $request, $id)
+    {
+        $document = Auth::user()->pdfDocuments()->findOrFail($id);
+
+        $data = $request->validate([
+            'name' => ['sometimes', 'string', 'max:255'],
+            'scene' => $this->sceneRules(),
+            'scene.pages' => ['present', 'array'],
+        ]);
+
+        $document->update($data);
+
+        return response()->json([
+            'id' => $document->id,
+            'updated_at' => $document->updated_at,
+        ]);
+    }
+
+    /**
+     * Delete a saved document and its PDF file.
+     */
+    public function destroy($id)
+    {
+        $document = Auth::user()->pdfDocuments()->findOrFail($id);
+
+        Storage::disk('local')->delete($document->pdf_path);
+        $document->delete();
+
+        return redirect()->route('home');
+    }
+
+    /**
+     * Validation rules of the scene sent by the editor.
+     */
+    private function sceneRules(): array
+    {
+        return [
+            'required',
+            'array',
+            function (string $attribute, mixed $value, Closure $fail) {
+                if (strlen(json_encode($value)) > self::MAX_SCENE_JSON_LENGTH) {
+                    $fail('The edits are too large to be saved (max. 20MB).');
+                }
+            },
+        ];
+    }
+}
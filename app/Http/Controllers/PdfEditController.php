@@ -23,6 +23,9 @@ public function edit(Request $request)
         $pdf_data_base64 = base64_encode($pdf_content);
 
 
-        return view('edit', ['pdfBase64' => $pdf_data_base64]);
+        return view('edit', [
+            'pdfBase64' => $pdf_data_base64,
+            'pdfName' => $file->getClientOriginalName(),
+        ]);
     }
 }
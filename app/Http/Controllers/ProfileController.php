@@ -4,6 +4,7 @@
 
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Storage;
 use Illuminate\Validation\Rule;
 use Illuminate\Validation\Rules\Password;
 
@@ -67,6 +68,12 @@ public function destroy(){
         // delete the user
         $user = Auth::user();
 
+        // the signature images are personal data, remove them with the account
+        Storage::disk('local')->deleteDirectory('signatures/' . $user->id);
+
+        // the rows of the saved documents cascade, their PDF files have to go too
+        Storage::disk('local')->deleteDirectory('pdfs/' . $user->id);
+
         $user->delete();
 
         return redirect('/');
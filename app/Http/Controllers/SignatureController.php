@@ -0,0 +1,86 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Signature;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+
+/**
+ * Controller for the saved signatures of the signed-in user.
+ * The editor draws, types or cleans up the signature and sends it as a
+ * transparent PNG; the image is kept on the local disk.
+ */
+class SignatureController extends Controller
+{
+    /**
+     * List the signatures of the user with their images as data URLs.
+     */
+    public function index()
+    {
+        $signatures = Auth::user()->signatures()->get()->map(fn (Signature $signature) => $this->toJson($signature));
+
+        return response()->json($signatures);
+    }
+
+    /**
+     * Save a new signature.
+     */
+    public function store(Request $request)
+    {
+        $data = $request->validate([
+            'name' => ['required', 'string', 'max:255'],
+            'kind' => ['required', 'in:drawn,typed,uploaded'],
+            'image' => ['required', 'string', 'starts_with:data:image/png;base64,'],
+        ]);
+
+        // decode the data URL and make sure it really is a PNG (max 2MB)
+        $png_content = base64_decode(Str::after($data['image'], 'base64,'), true);
+
+        if ($png_content === false || !str_starts_with($png_content, "\x89PNG") || strlen($png_content) > 2 * 1024 * 1024) {
+            return response()->json(['message' => 'The signature image is not valid.'], 422);
+        }
+
+        // store the image under a folder of the user
+        $path = 'signatures/' . Auth::id() . '/' . Str::uuid() . '.png';
+        Storage::disk('local')->put($path, $png_content);
+
+        $signature = Auth::user()->signatures()->create([
+            'name' => $data['name'],
+            'kind' => $data['kind'],
+            'image_path' => $path,
+        ]);
+
+        return response()->json($this->toJson($signature), 201);
+    }
+
+    /**
+     * Delete a signature and its image.
+     */
+    public function destroy($id)
+    {
+        $signature = Auth::user()->signatures()->findOrFail($id);
+
+        Storage::disk('local')->delete($signature->image_path);
+        $signature->delete();
+
+        return response()->json(['id' => (int) $id]);
+    }
+
+    /**
+     * Shape of a signature sent to the editor.
+     */
+    private function toJson(Signature $signature): array
+    {
+        $png_content = Storage::disk('local')->get($signature->image_path);
+
+        return [
+            'id' => $signature->id,
+            'name' => $signature->name,
+            'kind' => $signature->kind,
+            'image' => $png_content === null ? null : 'data:image/png;base64,' . base64_encode($png_content),
+        ];
+    }
+}
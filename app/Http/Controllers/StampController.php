@@ -0,0 +1,66 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Stamp;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Auth;
+
+/**
+ * Controller for the custom stamp templates of the signed-in user.
+ * Only the template is stored; the editor draws the stamp and fills in its
+ * tokens when it is placed.
+ */
+class StampController extends Controller
+{
+    /**
+     * List the stamps of the user.
+     */
+    public function index()
+    {
+        $stamps = Auth::user()->stamps()->get()->map(fn (Stamp $stamp) => $this->toJson($stamp));
+
+        return response()->json($stamps);
+    }
+
+    /**
+     * Save a new stamp.
+     */
+    public function store(Request $request)
+    {
+        $data = $request->validate([
+            'name' => ['required', 'string', 'max:255'],
+            'text' => ['required', 'string', 'max:500'],
+            'color' => ['required', 'regex:/^#[0-9a-fA-F]{6}$/'],
+            'border' => ['required', 'in:single,double,rounded'],
+        ]);
+
+        $stamp = Auth::user()->stamps()->create($data);
+
+        return response()->json($this->toJson($stamp), 201);
+    }
+
+    /**
+     * Delete a stamp.
+     */
+    public function destroy($id)
+    {
+        Auth::user()->stamps()->findOrFail($id)->delete();
+
+        return response()->json(['id' => (int) $id]);
+    }
+
+    /**
+     * Shape of a stamp sent to the editor.
+     */
+    private function toJson(Stamp $stamp): array
+    {
+        return [
+            'id' => $stamp->id,
+            'name' => $stamp->name,
+            'text' => $stamp->text,
+            'color' => $stamp->color,
+            'border' => $stamp->border,
+        ];
+    }
+}
@@ -0,0 +1,37 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * A custom stamp template of a user. The tokens of the text are filled in
+ * by the editor when the stamp is placed.
+ */
+class Stamp extends Model
+{
+    /** @use HasFactory<\Database\Factories\StampFactory> */
+    use HasFactory;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'name',
+        'text',
+        'color',
+        'border',
+    ];
+
+    /**
+     * The user who owns the stamp.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
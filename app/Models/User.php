@@ -4,6 +4,7 @@
 
 use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
 
@@ -47,4 +48,28 @@ protected function casts(): array
             'is_admin' => 'boolean',
         ];
     }
+
+    /**
+     * The PDF documents (saved editing sessions) of the user.
+     */
+    public function pdfDocuments(): HasMany
+    {
+        return $this->hasMany(PdfDocument::class)->latest('updated_at');
+    }
+
+    /**
+     * The saved signatures of the user.
+     */
+    public function signatures(): HasMany
+    {
+        return $this->hasMany(Signature::class)->latest();
+    }
+
+    /**
+     * The custom stamp templates of the user.
+     */
+    public function stamps(): HasMany
+    {
+        return $this->hasMany(Stamp::class)->latest();
+    }
 }
@@ -0,0 +1,45 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\PdfDocument;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\PdfDocument>
+ */
+class PdfDocumentFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'user_id' => User::factory(),
+            'name' => fake()->word() . '.pdf',
+            'pdf_path' => fn (array $attributes) => 'pdfs/' . $attributes['user_id'] . '/' . Str::uuid() . '.pdf',
+            'scene' => [
+                'version' => 2,
+                'pages' => [
+                    ['source' => 0, 'pageNumber' => 1, 'nodes' => []],
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * Write the PDF of the document on the local disk.
+     */
+    public function withPdf(string $content = "%PDF-1.4\n%test\n"): static
+    {
+        return $this->afterCreating(function (PdfDocument $document) use ($content) {
+            Storage::disk('local')->put($document->pdf_path, $content);
+        });
+    }
+}
@@ -0,0 +1,40 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\Signature;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\Signature>
+ */
+class SignatureFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'user_id' => User::factory(),
+            'name' => fake()->name(),
+            'kind' => fake()->randomElement(['drawn', 'typed', 'uploaded']),
+            'image_path' => fn (array $attributes) => 'signatures/' . $attributes['user_id'] . '/' . Str::uuid() . '.png',
+        ];
+    }
+
+    /**
+     * Write the PNG of the signature on the local disk.
+     */
+    public function withImage(string $content = "\x89PNG\r\n\x1a\nsignature"): static
+    {
+        return $this->afterCreating(function (Signature $signature) use ($content) {
+            Storage::disk('local')->put($signature->image_path, $content);
+        });
+    }
+}
@@ -0,0 +1,28 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\User;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\Stamp>
+ */
+class StampFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'user_id' => User::factory(),
+            'name' => 'Paid',
+            'text' => "PAID\n{user.name}\n{date} {time}",
+            'color' => '#c53030',
+            'border' => fake()->randomElement(['single', 'double', 'rounded']),
+        ];
+    }
+}
@@ -11,11 +11,15 @@
  * - PDF.js (as the global `pdfjsLib`)
  * - KonvaJS (as the global `Konva`)
  * - jsPDF (as the global `jsPDF`)
+ * - pdf-lib (as the global `PDFLib`), used by the vector export
+ * - JSZip (as the global `JSZip`), used to download split exports as one ZIP
  * - A global variable `pdfBase64Data` containing the PDF data in Base64.
  * - A DOM element with the id 'save-pdf-btn'.
+ * - Optional globals `pdfFileName` and `pdfDocument` (a reopened saved session).
  *
  * Core Modules:
  * 1. PDF LOADING: Converts the Base64 data to a temporary canvas, then to a Konva.Image.
+ * 1.5. PAGE NAVIGATION: One layer per page, thumbnail strip and page switching.
  *
  * 2. MANIPULATION: Adds interactive nodes (text, images) onto the canvas.
  * - Elements are draggable and editable.
@@ -26,6 +30,27 @@
  * 2.7. GLOBAL INTERACTION: Manages canvas events and editing modes.
  *
  * 3. EXPORTATION: Generates the final PDF using jsPDF.
+ * 3.5. VECTOR EXPORTATION: Stamps the overlays onto the original PDF using pdf-lib.
+ * 3.6. SPLIT: Exports page ranges, every N pages or one file per page, as files or a ZIP.
+ *
+ * 4. HISTORY: Records every canvas operation as an undoable command.
+ * 5. SCENE DOCUMENTS: Saves the editing session to the server and restores it.
+ * 6. VIEWPORT: Zoom and pan of the editing area.
+ * 7. SHAPES: Drag-to-draw rectangles, ellipses, lines and arrows.
+ * 8. INK: Freehand pen strokes with pressure and an eraser.
+ * 9. TEXT MARKUP: Highlight, underline and strikeout snapped to the PDF text.
+ * 10. REDACTION: Mark areas, then permanently remove the content under them.
+ * 11. SIGNATURES: Draw, type or upload a signature and reuse it later.
+ * 12. FORM FIELDS: Fill the AcroForm fields of the PDF.
+ * 13. PDF TEXT EDITING: Replace a run of the original text in place.
+ * 14. SELECTION: Multi-select, marquee, group move and align/distribute.
+ * 15. GUIDES: Rulers in PDF units, optional grid and snapping while dragging.
+ * 16. OBJECTS PANEL: List of the page's nodes with z-order, lock, hide and rename.
+ * 17. KEYBOARD SHORTCUTS: Central keyboard manager bound to the selection.
+ * 18. PAGE ORGANISER: Reorder, rotate, delete, insert blank pages and append PDFs.
+ * 19. WATERMARK: One document-wide text or image watermark on a range of pages.
+ * 20. STAMPS: Built-in and saved stamp templates with {user.name}, {date} and {time}.
+ * 21. HEADERS AND FOOTERS: Page numbers, dates and Bates numbers in the page margins.
  */
 
 // =============================================================================
@@ -42,14 +67,54 @@
 // Layer: The layer where all graphical elements are drawn.
 
 
-// Define virtual size for our scene (PDF dimensions)
-const VIRTUAL_WIDTH = 918;
-const VIRTUAL_HEIGHT = 1184;
+// Canvas units per PDF point. Every page keeps its real size in points
+// and is drawn 1.5 times larger (a US Letter page is 918 units wide)
+const CANVAS_UNITS_PER_POINT = 1.5;
+
+// Pixels per PDF point of the rendered page backgrounds
+const PDF_RENDER_SCALE = 2;
+
+// Size of the empty stage before a PDF is loaded (US Letter)
+const DEFAULT_PAGE_WIDTH = 612 * CANVAS_UNITS_PER_POINT;
+const DEFAULT_PAGE_HEIGHT = 792 * CANVAS_UNITS_PER_POINT;
+
+// Shared look of every Konva.Transformer (resize/rotate handles)
+const TRANSFORMER_STYLE = {
+    rotateEnabled: true,
+    borderEnabled: true,
+    borderStroke: '#007bff',
+    borderStrokeWidth: 2,
+    anchorFill: '#ffffff',
+    anchorStroke: '#007bff',
+    anchorStrokeWidth: 2,
+    anchorSize: 8
+};
+
+// Text boxes: default wrap width and limits of the auto-fit font size
+const DEFAULT_TEXT_WIDTH = 250;
+const MIN_TEXT_WIDTH = 30;
+const MIN_AUTO_FIT_FONT_SIZE = 4;
+const MAX_AUTO_FIT_FONT_SIZE = 200;
+
+// Text attributes edited by the formatting toolbar
+const TEXT_STYLE_ATTRS = ['fill', 'fontFamily', 'fontStyle', 'textDecoration', 'align', 'lineHeight', 'letterSpacing'];
+
+// Font families offered by the formatting toolbar
+const TEXT_FONT_FAMILIES = ['Arial', 'Helvetica', 'Verdana', 'Trebuchet MS', 'Times New Roman', 'Georgia', 'Courier New'];
 
 // Initialize stage variable
 let stage;
 let layer;
 
+// Loaded PDF pages: { pageNumber, sourceIndex, rotation, layer, background } per page,
+// in document order (see MODULE 18 for reordering, blank and appended pages)
+let pdfPages = [];
+let currentPageIndex = 0;
+
+// PDF files the pages come from: { name, data (Base64), pdf (PDF.js document) }.
+// Index 0 is the uploaded PDF, the others were appended in the page organiser
+const pdfSources = [];
+
 // Function to fit stage into parent container
 function fitStageIntoParentContainer() {
     const container = document.getElementById('konva-holder');
@@ -59,19 +124,14 @@ function fitStageIntoParentContainer() {
     const containerWidth = container.offsetWidth;
     const containerHeight = container.offsetHeight;
 
-    // Calculate scale based on virtual size
-    const scaleX = containerWidth / VIRTUAL_WIDTH;
-    const scaleY = containerHeight / VIRTUAL_HEIGHT;
-    const scale = Math.min(scaleX, scaleY); // Use the smaller scale to fit
-
     // Set stage dimensions to container size
     stage.width(containerWidth);
     stage.height(containerHeight);
 
-    // Apply scale
-    stage.scale({ x: scale, y: scale });
+    // Re-apply the zoom mode (fit page by default, see MODULE 6)
+    applyZoomMode();
 
-    console.log(`Stage resized: ${containerWidth}x${containerHeight}, scale: ${scale}`);
+    console.log(`Stage resized: ${containerWidth}x${containerHeight}, scale: ${stage.scaleX()}`);
 }
 
 /// EVENT SYSTEM FOR COORDINATION
@@ -79,11 +139,11 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('DOM loaded, initialize system...');
 
 
-    // Create stage with virtual size initially
+    // Create stage with the default page size initially
     stage = new Konva.Stage({
         container: 'konva-holder',
-        width: VIRTUAL_WIDTH,
-        height: VIRTUAL_HEIGHT,
+        width: DEFAULT_PAGE_WIDTH,
+        height: DEFAULT_PAGE_HEIGHT,
     });
 
     layer = new Konva.Layer();
@@ -121,6 +181,9 @@ document.addEventListener('DOMContentLoaded', function() {
         loadPdfAsImage();
     });
 
+    // CONFIGURE PAGE NAVIGATION
+    setupPageNavigation();
+
     // CONFIGURE EXPORT SYSTEM/
     setupPdfExport();
 
@@ -129,6 +192,49 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // CONFIGURE GLOBAL INTERACTION ON CANVAS
     setupCanvasInteraction();
+
+    // CONFIGURE UNDO / REDO HISTORY
+    setupHistory();
+
+    // CONFIGURE SAVING OF EDITING SESSIONS
+    setupSceneSaving();
+
+    // CONFIGURE ZOOM AND PAN OF THE VIEWPORT
+    setupViewport();
+
+    // CONFIGURE DRAWING TOOLS (SHAPES, INK)
+    setupCanvasTools();
+    setupShapeTools();
+    setupInkTools();
+    setupTextMarkupTools();
+    setupRedaction();
+    setupSignatures();
+    setupFormFields();
+    setupPdfTextEditing();
+
+    // CONFIGURE MULTI-SELECTION AND ARRANGE COMMANDS
+    setupSelection();
+
+    // CONFIGURE RULERS, GRID AND SNAPPING
+    setupGuides();
+
+    // CONFIGURE THE OBJECTS PANEL
+    setupObjectsPanel();
+
+    // CONFIGURE THE PAGE ORGANISER
+    setupPageOrganizer();
+
+    // CONFIGURE THE WATERMARK
+    setupWatermark();
+
+    // CONFIGURE THE STAMP PALETTE
+    setupStamps();
+
+    // CONFIGURE THE HEADERS AND FOOTERS
+    setupHeaderFooter();
+
+    // CONFIGURE THE KEYBOARD SHORTCUTS (LAST: OTHER MODULES REGISTER THEIRS FIRST)
+    setupKeyboardShortcuts();
 });
 // INITIALIZE ELEMENTS WHEN THE PDF IS LOADED
 document.addEventListener('pdfLoaded', function() {
@@ -139,7 +245,11 @@ document.addEventListener('pdfLoaded', function() {
 // INITIALIZE ELEMENTS WHEN THE PDF IS LOADED
 function initializeElements() {
     console.log('Starting elements in cavas...');
-    // Initialize elements here
+
+    // Rehydrate the saved scene when a stored document is reopened
+    if (window.pdfDocument && window.pdfDocument.scene) {
+        loadScene(window.pdfDocument.scene);
+    }
 }
 
  // =============================================================================
@@ -150,13 +260,13 @@ function initializeElements() {
  * MODULE 1: PDF LOADING AND CONVERSION
  * ====================================
  *
- * Converts a PDF (Base64) into a manipulable image within KonvaJS.
+ * Converts every page of a PDF (Base64) into a manipulable image within KonvaJS.
  * Process: Base64 → PDF.js → Temporary Canvas → HTML Image → Konva.Image
  *
- * This function handles the entire pipeline for converting the PDF into a format
- * that KonvaJS can manipulate like any other image.
- *
- *
+ * Each page gets its own Konva.Layer holding the page background and the
+ * overlay nodes placed on it. Only the current page's layer is visible, and
+ * the global `layer` always points to it, so the node factories keep working
+ * on whatever page the user is looking at.
  */
 async function loadPdfAsImage() {
 
@@ -176,104 +286,42 @@ async function loadPdfAsImage() {
     console.log('Converting PDF to image for KonvaJS...');
 
     try {
-        // STEP 1: BASE64 DECODING
-        // Convert Base64 string to binary data that PDF.js can process
-        // atob() is the browser's native function for Base64 decoding
-        const pdfData = atob(window.pdfBase64Data);
-
-        // STEP 2: PDF DOCUMENT LOADING
-        // PDF.js creates an asynchronous task to process the PDF
-        // getDocument() returns a Promise that resolves with the PDF object
-        const loadingTask = pdfjsLib.getDocument({ data: pdfData });
-        const pdf = await loadingTask.promise;
+        // STEP 1-2: BASE64 DECODING AND PDF DOCUMENT LOADING
+        const sourceIndex = await loadPdfSource(window.pdfBase64Data, window.pdfFileName || 'document.pdf');
+        const pdf = pdfSources[sourceIndex].pdf;
 
         console.log('PDF loaded, total pages:', pdf.numPages);
 
-        // STEP 3: GETTING THE FIRST PAGE
-        // PDFs can have multiple pages, here we process only the first one
-        // getPage(1) returns page 1 (numbering starts at 1, not 0)
-        const page = await pdf.getPage(1);
-
-        // STEP 4: VIEWPORT CONFIGURATION
-        // The viewport defines rendering dimensions and scale
-        // scale: 1 = original PDF size (no scaling)
-        const viewport = page.getViewport({ scale: 2 });
-
-        // STEP 5: TEMPORARY CANVAS CREATION
-        // Create a temporary (non-visible) HTML5 canvas to render the PDF
-        // This canvas exists only in memory during the conversion process
-        const tempCanvas = document.createElement('canvas');
-        const tempContext = tempCanvas.getContext('2d');
-
-        // Configure the temporary canvas dimensions according to the PDF viewport
-        tempCanvas.width = viewport.width;
-        tempCanvas.height = viewport.height;
-
-        // STEP 6: RENDERING THE PDF ON THE TEMPORARY CANVAS
-        // PDF.js draws the PDF page onto the temporary canvas's 2D context
-        // This converts the vectorial PDF into a rasterized bitmap
-        await page.render({
-            canvasContext: tempContext,
-            viewport: viewport
-        }).promise;
-
-        console.log('PDF rendered in temporary canvas:', tempCanvas.width, 'x', tempCanvas.height);
-
-        // STEP 7: CANVAS CONVERSION TO HTML IMAGE
-        // Create a native browser <img> element
-        const pdfImage = new Image();
-
-        // STEP 8: CALLBACK WHEN THE IMAGE IS READY
-        // This callback executes when the image is fully loaded
-        pdfImage.onload = function() {
-            console.log('PDF image ready to KonvaJS');
-
-            // SCALE PDF IMAGE TO FIT VIRTUAL SIZE
-            const scaleX = VIRTUAL_WIDTH / pdfImage.width;
-            const scaleY = VIRTUAL_HEIGHT / pdfImage.height;
-            const scale = Math.min(scaleX, scaleY); // Fit to virtual size
-
-            // STEP 9: KONVA.IMAGE NODE CREATION
-            // Convert the HTML image into a manipulable KonvaJS node
-            const konvaPdfImage = new Konva.Image({
-                x: 0,
-                y: 0,
-                image: pdfImage,
-                width: pdfImage.width * scale, // Scale dimensions
-                height: pdfImage.height * scale,
-                listening: false,
-                name: 'pdf-background'
-            });
+        // STEP 3: PROCESS EVERY PAGE
+        // Page numbering in PDF.js starts at 1, not 0
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
 
-            // STEP 10: INTEGRATION INTO THE KONVAJS SCENE
-            // Add the PDF as a background image to the layer
-            layer.add(konvaPdfImage);
+            // The first page reuses the layer created at startup
+            const pdfPage = await createPdfPageEntry(page, sourceIndex, pageNumber === 1 ? layer : null);
+            pdfPage.layer.visible(pageNumber === 1);
+            pdfPages.push(pdfPage);
 
-            // Ensure the PDF is always in the background (lowest z-index)
-            konvaPdfImage.moveToBottom();
+            addPageThumbnail(pdfPage.background.image(), pdfPages.length - 1);
 
-            // STEP 11: REDRAW THE SCENE
-            // Force the rendering of all elements on the layer
-            layer.draw();
+            // UPDATE STATE IN THE HEADER
+            setPdfStatus(`Loading page ${pageNumber} of ${pdf.numPages}...`);
+        }
 
-            console.log('PDF integrated successfully into KonvaJS as an image');
+        // STEP 4: SHOW THE FIRST PAGE
+        // Force the rendering of all elements on the layer
+        showPage(0);
 
-            // UPDATE STATE IN THE HEADER
-            const statusIndicator = document.getElementById('pdf-status');
-            if (statusIndicator) {
-                statusIndicator.textContent = 'PDF uploaded successfully';
-                statusIndicator.style.color = '#48bb78';
-            }
+        console.log('PDF integrated successfully into KonvaJS as images');
 
-            // EMIT PDF LOADED EVENT
-            // Notify other modules that the PDF is ready for manipulation
-            document.dispatchEvent(new CustomEvent('pdfLoaded'));
-        };
+        // UPDATE STATE IN THE HEADER
+        setPdfStatus('PDF uploaded successfully', '#48bb78');
 
-        // STEP 7 CONTINUED: ASSIGN IMAGE SOURCE
-        // Convert the temporary canvas to a Base64 data URL
-        // This automatically triggers the image's onload event
-        pdfImage.src = tempCanvas.toDataURL();
+        // EMIT PDF LOADED EVENT
+        // Notify other modules that the PDF is ready for manipulation
+        document.dispatchEvent(new CustomEvent('pdfLoaded', {
+            detail: { numPages: pdfPages.length }
+        }));
 
     } catch (error) {
         // ERROR HANDLING
@@ -281,16 +329,402 @@ async function loadPdfAsImage() {
         // Common errors: Corrupt PDF, insufficient memory, network issues
         console.error('Error converting PDF to image:', error);
 
-        const statusIndicator = document.getElementById('pdf-status');
-        if (statusIndicator) {
-            statusIndicator.textContent = 'Error loading PDF';
-            statusIndicator.style.color = '#e53e3e';
-        }
+        setPdfStatus('Error loading PDF', '#e53e3e');
 
         alert('Error loading PDF, please try with other file.');
     }
 }
 
+/**
+ * LOADS A PDF (BASE64) WITH PDF.JS AND REGISTERS IT IN `pdfSources`
+ * =================================================================
+ *
+ * @param {string} base64 - PDF bytes in Base64.
+ * @param {string} name - File name, shown in the page organiser.
+ * @returns {Promise<number>} Index of the new source.
+ */
+async function loadPdfSource(base64, name) {
+    // BASE64 DECODING
+    // Convert Base64 string to binary data that PDF.js can process
+    // atob() is the browser's native function for Base64 decoding
+    const pdfData = atob(base64);
+
+    // PDF DOCUMENT LOADING
+    // PDF.js creates an asynchronous task to process the PDF
+    // getDocument() returns a Promise that resolves with the PDF object
+    const pdf = await pdfjsLib.getDocument({ data: pdfData }).promise;
+
+    pdfSources.push({ name: name, data: base64, pdf: pdf });
+    return pdfSources.length - 1;
+}
+
+/**
+ * CREATES THE `pdfPages` ENTRY OF A PDF.JS PAGE
+ * =============================================
+ *
+ * Renders the page as the background of a layer and reads its text layer.
+ * Only the pages of the uploaded PDF get editable form fields; the fields
+ * of appended PDFs are rendered flat with the rest of their page.
+ *
+ * @param {Object} page - PDF.js page proxy.
+ * @param {number} sourceIndex - Index of its document in `pdfSources`.
+ * @param {Konva.Layer} [pageLayer] - Empty layer to use, a new one is added to the stage otherwise.
+ * @returns {Promise<Object>} The entry, not inserted in `pdfPages` yet.
+ */
+async function createPdfPageEntry(page, sourceIndex, pageLayer) {
+    const hasEditableFormFields = sourceIndex === 0;
+    const pdfImage = await renderPdfPageToImage(page, hasEditableFormFields);
+
+    // SCALE PDF IMAGE TO THE REAL PAGE SIZE
+    // The rendered viewport already includes /Rotate, so landscape
+    // and rotated pages keep their own proportions
+    const scale = CANVAS_UNITS_PER_POINT / PDF_RENDER_SCALE;
+
+    // PAGE LAYER CREATION
+    if (!pageLayer) {
+        pageLayer = new Konva.Layer({ visible: false });
+        stage.add(pageLayer);
+    }
+
+    // KONVA.IMAGE NODE CREATION
+    // Convert the HTML image into a manipulable KonvaJS node
+    const konvaPdfImage = new Konva.Image({
+        x: 0,
+        y: 0,
+        image: pdfImage,
+        width: pdfImage.width * scale, // Scale dimensions
+        height: pdfImage.height * scale,
+        listening: false,
+        name: 'pdf-background'
+    });
+
+    // Add the PDF as a background image to the page layer,
+    // always in the background (lowest z-index)
+    pageLayer.add(konvaPdfImage);
+    konvaPdfImage.moveToBottom();
+
+    // TEXT LAYER AND FORM FIELDS
+    // Positions of the real PDF text, in the same units as the background
+    const canvasScale = CANVAS_UNITS_PER_POINT;
+    const textRuns = await extractPageTextRuns(page, canvasScale);
+    if (hasEditableFormFields) {
+        await createPageFormFields(page, pageLayer, canvasScale);
+    }
+
+    return {
+        pageNumber: page.pageNumber,
+        sourceIndex: sourceIndex,
+        pdfjsPage: page,
+        // Displayed rotation in degrees (the page's /Rotate plus the organiser's turns)
+        rotation: page.rotate,
+        layer: pageLayer,
+        background: konvaPdfImage,
+        textRuns: textRuns,
+        // Size of one canvas unit in PDF points (rulers, MODULE 15)
+        pointsPerUnit: 1 / canvasScale
+    };
+}
+
+/**
+ * RENDERS A PDF.JS PAGE INTO AN HTML IMAGE
+ * ========================================
+ *
+ * @param {Object} page - PDF.js page proxy returned by pdf.getPage().
+ * @param {boolean} [editableFormFields=true] - The form fields are shown as editable controls
+ *     (module 12), so their appearance is left out of the render; false draws them flat.
+ * @returns {Promise<HTMLImageElement>} Resolves once the image is loaded.
+ */
+async function renderPdfPageToImage(page, editableFormFields = true) {
+    // VIEWPORT CONFIGURATION
+    // The viewport defines rendering dimensions and scale
+    // PDF_RENDER_SCALE doubles the resolution for sharper output
+    const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+
+    // TEMPORARY CANVAS CREATION
+    // Create a temporary (non-visible) HTML5 canvas to render the PDF
+    // This canvas exists only in memory during the conversion process
+    const tempCanvas = document.createElement('canvas');
+    const tempContext = tempCanvas.getContext('2d');
+
+    // Configure the temporary canvas dimensions according to the PDF viewport
+    tempCanvas.width = viewport.width;
+    tempCanvas.height = viewport.height;
+
+    // RENDERING THE PDF ON THE TEMPORARY CANVAS
+    // PDF.js draws the PDF page onto the temporary canvas's 2D context
+    // This converts the vectorial PDF into a rasterized bitmap
+    // ENABLE_FORMS leaves out the appearance of form fields,
+    // which are drawn as editable controls instead (module 12)
+    await page.render({
+        canvasContext: tempContext,
+        viewport: viewport,
+        annotationMode: editableFormFields ? pdfjsLib.AnnotationMode.ENABLE_FORMS : pdfjsLib.AnnotationMode.ENABLE
+    }).promise;
+
+    console.log(`PDF page ${page.pageNumber} rendered in temporary canvas:`, tempCanvas.width, 'x', tempCanvas.height);
+
+    // CANVAS CONVERSION TO HTML IMAGE
+    // The image's onload event fires once the data URL is decoded
+    return new Promise((resolve, reject) => {
+        const pdfImage = new Image();
+        pdfImage.onload = () => resolve(pdfImage);
+        pdfImage.onerror = reject;
+        pdfImage.src = tempCanvas.toDataURL();
+    });
+}
+
+/**
+ * EXTRACTS THE TEXT RUNS OF A PDF.JS PAGE IN CANVAS UNITS
+ * =======================================================
+ *
+ * Each run is a horizontal piece of text drawn with a single font, as
+ * returned by page.getTextContent(). PDF.js gives the size of the whole run
+ * only, so character boundaries are estimated by measuring the string with
+ * the run's generic font family and stretching it to the real run width.
+ *
+ * @param {Object} page - PDF.js page proxy.
+ * @param {number} canvasScale - Canvas units per PDF point.
+ * @param {number} [rotation] - Displayed rotation in degrees, the page's /Rotate by default.
+ * @returns {Promise<Object[]>} Runs { text, x, y, width, height, fontStyle, charOffsets, ... } in reading order.
+ */
+async function extractPageTextRuns(page, canvasScale, rotation = page.rotate) {
+    try {
+        const viewport = page.getViewport({ scale: canvasScale, rotation: rotation });
+        const textContent = await page.getTextContent();
+        const measureContext = document.createElement('canvas').getContext('2d');
+        const runs = [];
+
+        textContent.items.forEach(item => {
+            if (!item.str || !item.str.trim()) return;
+
+            // Text space → viewport space (handles /Rotate and the y flip)
+            const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+            const fontHeight = Math.hypot(tx[2], tx[3]);
+
+            // Only horizontal text can be snapped to with axis-aligned boxes
+            if (Math.abs(tx[1]) > 0.01 * fontHeight || fontHeight <= 0) return;
+
+            const style = textContent.styles[item.fontName] || {};
+            const ascent = style.ascent || 0.8;
+            const width = item.width * canvasScale;
+
+            // The loaded font (available once the page is rendered) knows its real name and weight
+            const fontObject = page.commonObjs.has(item.fontName) ? page.commonObjs.get(item.fontName) : null;
+
+            // CHARACTER BOUNDARIES
+            measureContext.font = `100px ${style.fontFamily || 'sans-serif'}`;
+            const measuredWidth = measureContext.measureText(item.str).width || 1;
+            const charOffsets = [0];
+            for (let i = 1; i <= item.str.length; i++) {
+                charOffsets.push(measureContext.measureText(item.str.slice(0, i)).width / measuredWidth * width);
+            }
+
+            runs.push({
+                text: item.str,
+                x: tx[4],
+                y: tx[5] - fontHeight * ascent,
+                width: width,
+                height: fontHeight,
+                fontName: item.fontName,
+                fontFamily: style.fontFamily || 'sans-serif',
+                pdfFontName: (fontObject && fontObject.name) || '',
+                fontStyle: [fontObject && fontObject.italic ? 'italic' : '', fontObject && (fontObject.bold || fontObject.black) ? 'bold' : '']
+                    .filter(Boolean).join(' ') || 'normal',
+                charOffsets: charOffsets
+            });
+        });
+
+        // READING ORDER: top to bottom by line, then left to right
+        runs.sort((a, b) => {
+            const sameLine = Math.abs(a.y - b.y) < Math.min(a.height, b.height) / 2;
+            return sameLine ? a.x - b.x : a.y - b.y;
+        });
+
+        return runs;
+    } catch (error) {
+        console.warn(`Could not read the text layer of page ${page.pageNumber}:`, error);
+        return [];
+    }
+}
+
+/**
+ * UPDATES THE STATUS INDICATOR IN THE WORKSPACE HEADER
+ * ====================================================
+ *
+ * @param {string} text - Message to display.
+ * @param {string} [color] - Optional CSS color for the message.
+ */
+function setPdfStatus(text, color) {
+    const statusIndicator = document.getElementById('pdf-status');
+    if (statusIndicator) {
+        statusIndicator.textContent = text;
+        if (color) {
+            statusIndicator.style.color = color;
+        }
+    }
+}
+
+// =============================================================================
+// MODULE 1.5: PAGE NAVIGATION
+// =============================================================================
+
+/**
+ * MODULE 1.5: PAGE NAVIGATION AND THUMBNAILS
+ * ==========================================
+ *
+ * Switches the visible page layer and keeps the sidebar navigator
+ * (previous/next buttons, page indicator and thumbnail strip) in sync.
+ */
+
+/**
+ * SHOWS THE PAGE AT THE GIVEN INDEX
+ * =================================
+ *
+ * @param {number} index - Zero-based index into `pdfPages`.
+ */
+function showPage(index) {
+    if (index < 0 || index >= pdfPages.length) return;
+
+    // THE SELECTION BELONGS TO THE PAGE WE ARE LEAVING
+    clearSelection();
+
+    // TOGGLE LAYER VISIBILITY AND POINT THE GLOBAL LAYER TO THE NEW PAGE
+    pdfPages.forEach((page, i) => page.layer.visible(i === index));
+    currentPageIndex = index;
+    layer = pdfPages[index].layer;
+    layer.draw();
+
+    updatePageNavigator();
+
+    document.dispatchEvent(new CustomEvent('pageChanged', {
+        detail: { index: index, pageNumber: pdfPages[index].pageNumber }
+    }));
+}
+
+/**
+ * RETURNS THE DISPLAYED SIZE OF A PAGE IN PDF POINTS (ROTATION INCLUDED)
+ */
+function getPageSizeInPoints(page) {
+    return {
+        width: page.background.width() * page.pointsPerUnit,
+        height: page.background.height() * page.pointsPerUnit
+    };
+}
+
+/**
+ * ADDS A THUMBNAIL FOR A PAGE TO THE SIDEBAR STRIP
+ * ================================================
+ *
+ * @param {HTMLImageElement} pdfImage - Rendered page image.
+ * @param {number} index - Zero-based page index.
+ */
+function addPageThumbnail(pdfImage, index) {
+    const strip = document.getElementById('page-thumbnails');
+    if (!strip) return;
+
+    const thumb = document.createElement('button');
+    thumb.type = 'button';
+    thumb.className = 'page-thumbnail';
+    thumb.dataset.index = index;
+    thumb.title = 'Page ' + (index + 1);
+
+    const img = document.createElement('img');
+    img.src = renderThumbnailDataUrl(pdfImage);
+    img.alt = 'Page ' + (index + 1);
+
+    const label = document.createElement('span');
+    label.className = 'page-thumbnail-label';
+    label.textContent = index + 1;
+
+    thumb.appendChild(img);
+    thumb.appendChild(label);
+    thumb.addEventListener('click', () => showPage(index));
+    strip.appendChild(thumb);
+}
+
+/**
+ * REBUILDS THE WHOLE THUMBNAIL STRIP (AFTER THE PAGES CHANGED ORDER)
+ */
+function renderPageThumbnails() {
+    const strip = document.getElementById('page-thumbnails');
+    if (!strip) return;
+
+    strip.innerHTML = '';
+    pdfPages.forEach((page, index) => addPageThumbnail(page.background.image(), index));
+}
+
+/**
+ * REDRAWS THE THUMBNAIL OF A PAGE FROM ITS CURRENT BACKGROUND IMAGE
+ *
+ * @param {number} index - Zero-based page index.
+ */
+function refreshPageThumbnail(index) {
+    const img = document.querySelector(`.page-thumbnail[data-index="${index}"] img`);
+    if (img && pdfPages[index]) {
+        img.src = renderThumbnailDataUrl(pdfPages[index].background.image());
+    }
+}
+
+/**
+ * DOWNSCALES A PAGE RENDER TO KEEP THE THUMBNAIL STRIP LIGHTWEIGHT
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Page render.
+ * @returns {string} PNG data URL of the thumbnail.
+ */
+function renderThumbnailDataUrl(source) {
+    const thumbWidth = 120;
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = thumbWidth;
+    thumbCanvas.height = Math.round(source.height * thumbWidth / source.width);
+    thumbCanvas.getContext('2d').drawImage(source, 0, 0, thumbCanvas.width, thumbCanvas.height);
+    return thumbCanvas.toDataURL();
+}
+
+/**
+ * REFRESHES THE PAGE INDICATOR, BUTTONS AND ACTIVE THUMBNAIL
+ */
+function updatePageNavigator() {
+    const indicator = document.getElementById('page-indicator');
+    const prevButton = document.getElementById('prev-page-btn');
+    const nextButton = document.getElementById('next-page-btn');
+
+    if (indicator) {
+        indicator.textContent = `Page ${currentPageIndex + 1} of ${pdfPages.length}`;
+    }
+    if (prevButton) {
+        prevButton.disabled = currentPageIndex === 0;
+    }
+    if (nextButton) {
+        nextButton.disabled = currentPageIndex >= pdfPages.length - 1;
+    }
+
+    document.querySelectorAll('.page-thumbnail').forEach(thumb => {
+        const isActive = Number(thumb.dataset.index) === currentPageIndex;
+        thumb.classList.toggle('active', isActive);
+        if (isActive) {
+            thumb.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
+
+/**
+ * CONFIGURES THE PREVIOUS/NEXT PAGE BUTTONS
+ */
+function setupPageNavigation() {
+    const prevButton = document.getElementById('prev-page-btn');
+    const nextButton = document.getElementById('next-page-btn');
+
+    if (!prevButton || !nextButton) {
+        console.error('Page navigation buttons not found on the DOM');
+        return;
+    }
+
+    prevButton.addEventListener('click', () => showPage(currentPageIndex - 1));
+    nextButton.addEventListener('click', () => showPage(currentPageIndex + 1));
+
+    console.log('Page navigation configured');
+}
+
 // =============================================================================
 // MODULE 2: ADDING MANIPULABLE NODES
 // =============================================================================
@@ -330,7 +764,9 @@ function setupDragDrop() {
 
     // COUNTERS FOR UNIQUE ELEMENTS
     let textCounter = 0;
-    let imageCounter = 0;
+
+    // Where the image element was dropped, while its file selector is open
+    let imageDropPoint = null;
 
     // GET DRAGGABLE ELEMENTS
     const textDraggable = document.querySelector('.text-draggable');
@@ -372,15 +808,32 @@ function setupDragDrop() {
     // SET UP EVENTS IN THE KONVAJS STAGE
     const stageContainer = stage.container();
 
+    // Files dragged from the desktop carry the 'Files' type
+    const isFileDrag = (e) => Array.from(e.dataTransfer.types || []).includes('Files');
+
     // PREVENT DEFAULT BEHAVIOR
     stageContainer.addEventListener('dragover', function(e) {
         e.preventDefault();
         e.dataTransfer.dropEffect = 'copy';
+        stageContainer.classList.toggle('file-drag-over', isFileDrag(e));
+    });
+
+    stageContainer.addEventListener('dragleave', function(e) {
+        if (!stageContainer.contains(e.relatedTarget)) {
+            stageContainer.classList.remove('file-drag-over');
+        }
     });
 
     // MANAGE ELEMENTS DROP
     stageContainer.addEventListener('drop', function(e) {
         e.preventDefault();
+        stageContainer.classList.remove('file-drag-over');
+
+        // IMAGE FILES FROM THE DESKTOP: placed where they were dropped
+        if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+            addImageFilesAt(Array.from(e.dataTransfer.files), clientToCanvasPoint(e.clientX, e.clientY));
+            return;
+        }
 
         const draggedType = e.dataTransfer.getData('text/plain');
         console.log('Element dropped:', draggedType);
@@ -388,10 +841,8 @@ function setupDragDrop() {
         if (!draggedType) return;
 
         // CALCULATE RELATIVE POSITION TO CANVAS
-        const stageBox = stageContainer.getBoundingClientRect();
-        const scale = stage.scaleX(); // Considerar zoom si existe
-        const x = (e.clientX - stageBox.left) / scale;
-        const y = (e.clientY - stageBox.top) / scale;
+        // Takes the current zoom and pan into account
+        const { x, y } = clientToCanvasPoint(e.clientX, e.clientY);
 
         console.log(`DROP POSITION: (${x.toFixed(0)}, ${y.toFixed(0)})`);
 
@@ -406,6 +857,7 @@ function setupDragDrop() {
         } else if (draggedType === 'image-element') {
             // OPEN FILE SELECTOR AFTER DROP
             if (imageInput) {
+                imageDropPoint = { x: x, y: y };
                 imageStatus.textContent = '📂 Select an image...';
                 imageStatus.style.color = '#fd7e14';
 
@@ -422,65 +874,19 @@ function setupDragDrop() {
         imageInput.addEventListener('change', function(event) {
             const file = event.target.files[0];
 
+            // Reset the input so the same file can be selected again
+            imageInput.value = '';
+
             if (!file) {
                 // User caceled selection
                 imageStatus.textContent = '';
-                // Reset input to reopen
-                imageInput.value = '';
                 console.log('Image selection canceled');
                 return;
             }
 
-            // VALIDATE FILE TYPE
-            if (!file.type.startsWith('image/')) {
-                imageStatus.textContent = '⚠️ Only images allow';
-                // Resetear el input para futuras selecciones
-                imageInput.value = '';
-                alert('Please select an image file');
-                return;
-            }
-
-            // VALIDATE SIZE (máximo 5MB)
-            const maxSize = 5 * 1024 * 1024; // 5MB
-            if (file.size > maxSize) {
-                imageStatus.textContent = '⚠️ Image too large (máx. 5MB)';
-                // Reset input for future selections
-                imageInput.value = '';
-                alert('The image is too large. Max 5MB allowed.');
-                return;
-            }
-
-            imageStatus.textContent = '⏳ Processing image...';
-
-            // PROCESS THE IMAGE
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                const imageUrl = e.target.result;
-
-                // Use a deafault position since we can't track the exact drop position for images
-                const defaultX = 200 + (imageCounter * 60);
-                const defaultY = 200 + (imageCounter * 40);
-
-                createDraggableImage(imageUrl, file.name, defaultX, defaultY);
-                imageCounter++;
-                imageStatus.textContent = '✅ Image added: ' + file.name;
-                // Reset the input for future selections
-                imageInput.value = '';
-                setTimeout(() => {
-                    imageStatus.textContent = '';
-                }, 3000);
-
-                console.log(`Image created by drag and drop: "${file.name}" on (${defaultX}, ${defaultY})`);
-            };
-
-            reader.onerror = function() {
-                imageStatus.textContent = '❌ Error loading the image';
-                // Reset the input for future selections
-                imageInput.value = '';
-                console.error('Error reading the image file');
-            };
-
-            reader.readAsDataURL(file);
+            // The image goes where the sidebar element was dropped
+            addImageFilesAt([file], imageDropPoint || getViewportCenter());
+            imageDropPoint = null;
         });
     }
 
@@ -493,16 +899,26 @@ function setupDragDrop() {
  * @param {string} text - The text to display.
  * @param {number} x - Initial X position.
  * @param {number} y - Initial Y position.
+ * @param {Object} [attrs] - Extra Konva attributes (e.g. restored from a saved scene).
+ * @param {Object} [options] - { recordHistory: false } when the caller records one command
+ *     for several new nodes (paste, dropped files).
+ * @returns {Konva.Text} The created text node.
  *
  * Advanced Editing Features:
  * - Double-click opens the editor at the precise text position.
- * - Numeric control for font size (8-100px).
+ * - Numeric control for font size (8-100px) and an auto-fit option.
  * - Visually resizable textarea.
  * - Real-time size update.
  * - Maintains the original text's position and rotation.
+ *
+ * Text Box Features:
+ * - Text wraps to the box width.
+ * - Click shows a Transformer to rotate and change the width
+ *   (and the height when auto-fit is enabled).
+ * - Auto-fit (`autoFit` attribute) picks the largest font size that fits the box.
  */
 
-function createDraggableText(text, x = 100, y = 100) {
+function createDraggableText(text, x = 100, y = 100, attrs = {}, options = {}) {
     // CREATE THE TEXT NODE ON KONVAJS
     const textNode = new Konva.Text({
         text: text,
@@ -514,40 +930,83 @@ function createDraggableText(text, x = 100, y = 100) {
         draggable: true,
         name: 'draggable-text',
         padding: 5,
-        align: 'left'
+        align: 'left',
+        width: DEFAULT_TEXT_WIDTH,
+        wrap: 'word',
+        autoFit: false,
+        ...attrs
     });
 
+    // Replacement of an original PDF text run: paint over the original (module 13)
+    if (textNode.getAttr('coverRect')) {
+        installTextCover(textNode);
+    }
+
     // AGREGAR EFECTOS VISUALES PARA INTERACCIÓN
     // ADD VISUAL EFFECTS FOR INTERACTION
-    // when hover
+    // when hover: a blue glow, so the text keeps its own colour
     textNode.on('mouseover', function() {
         document.body.style.cursor = 'move';
-        this.fill('#007bff'); // Cambiar color
+        this.setAttrs({ shadowColor: '#007bff', shadowBlur: 6, shadowEnabled: true });
     });
 
     // Take off the cursor
     textNode.on('mouseout', function() {
         document.body.style.cursor = 'default';
-        this.fill('#000000');
+        this.shadowEnabled(false);
+    });
+
+    // TRANSFORMER OF THE TEXT BOX
+    // The side anchors change the wrap width, scaling is converted back to width/height
+    textNode.transformerConfig = () => ({
+        enabledAnchors: getTextTransformerAnchors(textNode),
+        boundBoxFunc: (oldBox, newBox) => (Math.abs(newBox.width) < MIN_TEXT_WIDTH ? oldBox : newBox)
+    });
+
+    // EVENT: CLICK TO SELECT (SHIFT/CTRL-CLICK ADDS TO THE SELECTION)
+    textNode.on('click tap', function(e) {
+        selectNodeFromClick(textNode, e);
+    });
+
+    // EVENT: KEEP THE FONT UNSCALED WHILE RESIZING THE BOX
+    textNode.on('transform', function() {
+        const attrs = {
+            width: Math.max(this.width() * this.scaleX(), MIN_TEXT_WIDTH),
+            scaleX: 1,
+            scaleY: 1
+        };
+        if (this.getAttr('autoFit')) {
+            attrs.height = Math.max(this.height() * this.scaleY(), MIN_AUTO_FIT_FONT_SIZE);
+        }
+        this.setAttrs(attrs);
+
+        if (this.getAttr('autoFit')) {
+            fitTextToBox(this);
+        }
     });
 
     // EVENT: DOUBLE CLICK TO EDIT TEXT
     textNode.on('dblclick dbltap', function() {
+        // REMEMBER THE ORIGINAL CONTENT FOR THE UNDO HISTORY
+        const editedAttrs = ['text', 'fontSize', 'autoFit', 'height', ...TEXT_STYLE_ATTRS];
+        const attrsBeforeEdit = captureAttrs(this, editedAttrs);
+
         // CREATE TEMPORARY HTML CONTAINER FOR EDITION
         const textPosition = this.absolutePosition();
 
         // Calculate position precisely
+        // absolutePosition() is already in container pixels (zoom and pan included)
         const stageBox = stage.container().getBoundingClientRect();
         const textHeight = this.height() * stage.scaleY();
-        const visualY = textPosition.y * stage.scaleY();
+        const visualY = textPosition.y;
         const spaceBelow = stageBox.height - (visualY + textHeight);
         const spaceAbove = visualY;
 
         // Place below if there's more space below, else above
-        const yOffset = spaceBelow > spaceAbove ? textPosition.y + this.height() : textPosition.y;
+        const yOffset = spaceBelow > spaceAbove ? visualY + textHeight : visualY;
         const areaPosition = {
-            x: stageBox.left + textPosition.x * stage.scaleX() - 10, // Scale position
-            y: stageBox.top + yOffset * stage.scaleY() + (spaceBelow > spaceAbove ? 2 : 0),   // Adjust offset
+            x: stageBox.left + textPosition.x - 10,
+            y: stageBox.top + yOffset + (spaceBelow > spaceAbove ? 2 : 0),   // Adjust offset
         };
 
         // Create main container for edition with horizontal layout
@@ -567,11 +1026,11 @@ function createDraggableText(text, x = 100, y = 100) {
         textarea.className = 'text-edit-textarea'; // ← USAR CLASE CSS
 
         // Only configure dynamic properties
-        const initialTextWidth = Math.max(this.width() - this.padding() * 2, 100);
+        // The textarea content area matches the box's wrap width (7px = padding + border)
+        const initialTextWidth = Math.max(this.width() - this.padding() * 2 + 14, 100);
         textarea.style.width = initialTextWidth + 'px';
         textarea.style.fontSize = this.fontSize() + 'px';
-        textarea.style.fontFamily = this.fontFamily();
-        textarea.style.textAlign = this.align();
+        applyTextStyleToTextarea(this, textarea);
 
         // Create size control (left size, without label)
         const sizeControl = document.createElement('div');
@@ -595,12 +1054,33 @@ function createDraggableText(text, x = 100, y = 100) {
 
         sizeControl.appendChild(sizeInput);
 
-        // Add elements to the container
-        editContainer.appendChild(sizeControl);
+        // Auto-fit toggle: the font size follows the box size
+        const autoFitLabel = document.createElement('label');
+        autoFitLabel.className = 'text-edit-autofit';
+        autoFitLabel.title = 'Fit the font size to the text box';
+        const autoFitInput = document.createElement('input');
+        autoFitInput.type = 'checkbox';
+        autoFitInput.checked = !!this.getAttr('autoFit');
+        autoFitLabel.appendChild(autoFitInput);
+        autoFitLabel.appendChild(document.createTextNode('Fit'));
+
+        sizeControl.style.flexDirection = 'column';
+        sizeControl.style.gap = '4px';
+        sizeControl.appendChild(autoFitLabel);
+        sizeInput.disabled = autoFitInput.checked;
+
+        // Create the formatting toolbar (font, colour, styles, alignment, spacing)
+        // Every change is applied live to the Konva.Text node
+        const formatToolbar = createTextFormatToolbar(this, textarea, () => updateFontSize());
+        formatToolbar.prepend(sizeControl);
+
+        // Add elements to the container (toolbar above the textarea)
+        editContainer.style.flexDirection = 'column';
+        editContainer.appendChild(formatToolbar);
         editContainer.appendChild(textarea);
 
         // Rotate the container if text is rotated
-        const rotation = this.rotation();
+        const rotation = this.getAbsoluteRotation();
         if (rotation) {
             editContainer.style.transform = 'rotateZ(' + rotation + 'deg)';
             editContainer.style.transformOrigin = 'left top';
@@ -619,12 +1099,18 @@ function createDraggableText(text, x = 100, y = 100) {
         };
 
         // FUNCTION TO AUTO-RESIZE HORIZONTAL TEXTAREA
+        // Text boxes keep their wrap width, so only the height follows the content
         const autoResizeTextarea = () => {
-            const textWidth = measureTextWidth(textarea.value, this.fontSize(), this.fontFamily());
-            const padding = 10; // Padding extra para comodidad
-            const newWidth = Math.max(Math.min(textWidth + padding + 20, 400), 100); // Entre 100px y 400px
+            if (this.getAttr('width') === undefined) {
+                const textWidth = measureTextWidth(textarea.value, this.fontSize(), this.fontFamily());
+                const padding = 10; // Padding extra para comodidad
+                const newWidth = Math.max(Math.min(textWidth + padding + 20, 400), 100); // Entre 100px y 400px
+
+                textarea.style.width = newWidth + 'px';
+            }
 
-            textarea.style.width = newWidth + 'px';
+            textarea.style.setProperty('height', 'auto', 'important');
+            textarea.style.setProperty('height', textarea.scrollHeight + 'px', 'important');
         };
 
         // Apply auto-resize when starting
@@ -632,6 +1118,16 @@ function createDraggableText(text, x = 100, y = 100) {
 
         // FUNCTIONS TO UPDATE SIZE
         const updateFontSize = () => {
+            // With auto-fit the box decides the size
+            if (autoFitInput.checked) {
+                fitTextToBox(this);
+                sizeInput.value = this.fontSize();
+                textarea.style.fontSize = this.fontSize() + 'px';
+                layer.draw();
+                setTimeout(autoResizeTextarea, 0);
+                return;
+            }
+
             const newSize = parseInt(sizeInput.value);
             if (newSize >= 8 && newSize <= 100) {
                 this.fontSize(newSize);
@@ -646,6 +1142,13 @@ function createDraggableText(text, x = 100, y = 100) {
         sizeInput.addEventListener('input', updateFontSize);
         sizeInput.addEventListener('change', updateFontSize);
 
+        // Event to toggle auto-fit
+        autoFitInput.addEventListener('change', () => {
+            setTextAutoFit(this, autoFitInput.checked);
+            sizeInput.disabled = autoFitInput.checked;
+            updateFontSize();
+        });
+
         // Event to auto-resize the textarea while writing
         textarea.addEventListener('input', autoResizeTextarea);
 
@@ -654,6 +1157,11 @@ function createDraggableText(text, x = 100, y = 100) {
             document.body.removeChild(editContainer);
             window.removeEventListener('click', handleOutsideClick);
             this.hide(); //Hide text temporarily
+
+            // Record the whole editing session as a single history command
+            const attrsAfterEdit = captureAttrs(this, editedAttrs);
+            const label = attrsAfterEdit.text !== attrsBeforeEdit.text ? 'Edit text' : 'Change text style';
+            recordAttrsChange(this, attrsBeforeEdit, attrsAfterEdit, label);
         };
 
         // When press Enter or Escape
@@ -665,6 +1173,7 @@ function createDraggableText(text, x = 100, y = 100) {
                 this.show(); // Show updated text
             }
             if (e.keyCode === 27) { // Escape
+                this.setAttrs(attrsBeforeEdit); // Discard the live style changes too
                 removeEditContainer();
                 this.show(); // Show text without changes
             }
@@ -698,40 +1207,232 @@ function createDraggableText(text, x = 100, y = 100) {
         }
     });
 
-    // EVENT: PRESS DELETE TO ELIMINATE
-    textNode.on('keydown', function(event) {
-        if (event.keyCode === 46 || event.keyCode === 8) { // Delete or Backspace
-            this.destroy(); // Eliminate element
-            layer.draw(); // Re-draw layer
-        }
-    });
+    // Delete, copy/paste and nudging act on the selection (keyboard shortcuts, MODULE 17)
+
+    // ADD THE TEXT TO LAYER AND RE-DRAW
+    layer.add(textNode);
+    layer.draw();
+
+    // TRACK MOVES AND THE CREATION ITSELF IN THE UNDO HISTORY
+    registerHistoryHandlers(textNode);
+    if (options.recordHistory !== false) {
+        recordNodeCreation(textNode, 'Add text');
+    }
+
+    console.log(`Text created: "${text}" on position (${x}, ${y})`);
+
+    return textNode;
+}
+
+/**
+ * BUILDS THE FORMATTING TOOLBAR OF THE TEXT EDITOR
+ * ================================================
+ *
+ * @param {Konva.Text} textNode - Text node being edited.
+ * @param {HTMLTextAreaElement} textarea - Editor textarea, restyled to match.
+ * @param {Function} onChange - Called after every change (re-fit, redraw).
+ * @returns {HTMLDivElement} The toolbar element.
+ *
+ * Controls: font family, colour, bold/italic/underline, alignment,
+ * line height and letter spacing.
+ */
+function createTextFormatToolbar(textNode, textarea, onChange) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'text-format-toolbar';
+
+    const applyChange = (attrs) => {
+        textNode.setAttrs(attrs);
+        applyTextStyleToTextarea(textNode, textarea);
+        onChange();
+    };
 
-    // ENABLE EVENT KEYBOARD LISTENING
-    textNode.on('focus', function() {
-        // When the element has focus, listen keys
-        document.addEventListener('keydown', handleKeyDown);
+    // FONT FAMILY
+    const fontSelect = document.createElement('select');
+    fontSelect.className = 'text-format-select';
+    fontSelect.title = 'Font family';
+    const fontFamilies = TEXT_FONT_FAMILIES.includes(textNode.fontFamily())
+        ? TEXT_FONT_FAMILIES
+        : [textNode.fontFamily(), ...TEXT_FONT_FAMILIES];
+    fontFamilies.forEach(family => {
+        const option = document.createElement('option');
+        option.value = family;
+        option.textContent = family;
+        option.style.fontFamily = family;
+        fontSelect.appendChild(option);
+    });
+    fontSelect.value = textNode.fontFamily();
+    fontSelect.addEventListener('change', () => applyChange({ fontFamily: fontSelect.value }));
+    toolbar.appendChild(fontSelect);
+
+    // COLOUR
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'text-format-color';
+    colorInput.title = 'Text colour';
+    colorInput.value = /^#[0-9a-f]{6}$/i.test(textNode.fill()) ? textNode.fill() : '#000000';
+    colorInput.addEventListener('input', () => applyChange({ fill: colorInput.value }));
+    toolbar.appendChild(colorInput);
+
+    // BOLD / ITALIC / UNDERLINE TOGGLES
+    const isBold = () => textNode.fontStyle().includes('bold');
+    const isItalic = () => textNode.fontStyle().includes('italic');
+    const buildFontStyle = (bold, italic) => [italic ? 'italic' : '', bold ? 'bold' : ''].join(' ').trim() || 'normal';
+
+    const toggles = [
+        { label: 'B', title: 'Bold', className: 'bold', isActive: isBold,
+            toggle: () => ({ fontStyle: buildFontStyle(!isBold(), isItalic()) }) },
+        { label: 'I', title: 'Italic', className: 'italic', isActive: isItalic,
+            toggle: () => ({ fontStyle: buildFontStyle(isBold(), !isItalic()) }) },
+        { label: 'U', title: 'Underline', className: 'underline', isActive: () => textNode.textDecoration().includes('underline'),
+            toggle: () => ({ textDecoration: textNode.textDecoration().includes('underline') ? '' : 'underline' }) }
+    ];
+    toggles.forEach(config => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'text-format-btn ' + config.className;
+        button.title = config.title;
+        button.textContent = config.label;
+        button.classList.toggle('active', config.isActive());
+        button.addEventListener('click', () => {
+            applyChange(config.toggle());
+            button.classList.toggle('active', config.isActive());
+        });
+        toolbar.appendChild(button);
     });
 
-    textNode.on('blur', function() {
-        // Cuando pierde focus, dejar de escuchar
-        // When loss foco, stop listening
-        document.removeEventListener('keydown', handleKeyDown);
+    // ALIGNMENT
+    const alignButtons = [];
+    [['left', '⯇'], ['center', '≡'], ['right', '⯈'], ['justify', '☰']].forEach(([align, icon]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'text-format-btn';
+        button.title = 'Align ' + align;
+        button.textContent = icon;
+        button.classList.toggle('active', textNode.align() === align);
+        button.addEventListener('click', () => {
+            applyChange({ align: align });
+            alignButtons.forEach(other => other.classList.toggle('active', other === button));
+        });
+        alignButtons.push(button);
+        toolbar.appendChild(button);
     });
 
-    // Auxiliar function to manage keys
-    const handleKeyDown = (event) => {
-        if (event.keyCode === 46 || event.keyCode === 8) { // Delete or Backspace
-            textNode.destroy();
-            layer.draw();
-            document.removeEventListener('keydown', handleKeyDown);
-        }
+    // LINE HEIGHT AND LETTER SPACING
+    const addNumberControl = (title, label, value, min, max, step, attr) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'text-format-number';
+        wrapper.title = title;
+        wrapper.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+        input.addEventListener('input', () => {
+            const number = parseFloat(input.value);
+            if (!isNaN(number) && number >= min && number <= max) {
+                applyChange({ [attr]: number });
+            }
+        });
+
+        wrapper.appendChild(input);
+        toolbar.appendChild(wrapper);
     };
+    addNumberControl('Line height', '↕', textNode.lineHeight(), 0.5, 3, 0.1, 'lineHeight');
+    addNumberControl('Letter spacing', '↔', textNode.letterSpacing(), -5, 50, 0.5, 'letterSpacing');
 
-    // ADD THE TEXT TO LAYER AND RE-DRAW
-    layer.add(textNode);
-    layer.draw();
+    return toolbar;
+}
 
-    console.log(`Text created: "${text}" on position (${x}, ${y})`);
+/**
+ * MIRRORS THE STYLE OF A TEXT NODE ON THE EDITOR TEXTAREA
+ * (the textarea CSS class uses !important, so the priority is required)
+ */
+function applyTextStyleToTextarea(textNode, textarea) {
+    const fontStyle = textNode.fontStyle();
+    textarea.style.setProperty('font-family', textNode.fontFamily(), 'important');
+    textarea.style.setProperty('font-weight', fontStyle.includes('bold') ? 'bold' : 'normal');
+    textarea.style.setProperty('font-style', fontStyle.includes('italic') ? 'italic' : 'normal');
+    textarea.style.setProperty('text-decoration', textNode.textDecoration() || 'none');
+    textarea.style.setProperty('color', textNode.fill());
+    textarea.style.setProperty('text-align', textNode.align(), 'important');
+    textarea.style.setProperty('line-height', String(textNode.lineHeight()), 'important');
+    textarea.style.setProperty('letter-spacing', textNode.letterSpacing() + 'px');
+}
+
+/**
+ * RETURNS THE TRANSFORMER ANCHORS OF A TEXT BOX
+ * (height anchors only make sense when the font size follows the box)
+ */
+function getTextTransformerAnchors(textNode) {
+    return textNode.getAttr('autoFit')
+        ? ['middle-left', 'middle-right', 'top-center', 'bottom-center']
+        : ['middle-left', 'middle-right'];
+}
+
+/**
+ * ENABLES OR DISABLES THE AUTO-FIT FONT SIZE OF A TEXT BOX
+ * ========================================================
+ *
+ * Enabling it freezes the current box height, disabling it lets the
+ * height follow the wrapped text again.
+ *
+ * @param {Konva.Text} textNode - Text box to update.
+ * @param {boolean} enabled - New auto-fit state.
+ */
+function setTextAutoFit(textNode, enabled) {
+    if (enabled) {
+        textNode.setAttrs({ autoFit: true, height: textNode.height() });
+        fitTextToBox(textNode);
+    } else {
+        textNode.setAttrs({ autoFit: false, height: undefined });
+    }
+
+    // Rebuild the shared transformer, the available anchors depend on auto-fit
+    if (getSelectedNodes().includes(textNode)) {
+        selectNodes(getSelectedNodes());
+    }
+}
+
+/**
+ * PICKS THE LARGEST FONT SIZE THAT FITS THE TEXT INSIDE ITS BOX
+ * =============================================================
+ *
+ * Binary search over the font size, measuring the wrapped height of an
+ * off-screen copy of the text (a fixed-height Konva.Text clips its lines,
+ * so the node itself can't tell whether it overflows).
+ *
+ * @param {Konva.Text} textNode - Text box with a fixed width and height.
+ */
+function fitTextToBox(textNode) {
+    const probe = new Konva.Text({
+        text: textNode.text(),
+        fontFamily: textNode.fontFamily(),
+        fontStyle: textNode.fontStyle(),
+        padding: textNode.padding(),
+        lineHeight: textNode.lineHeight(),
+        letterSpacing: textNode.letterSpacing(),
+        width: textNode.width(),
+        wrap: textNode.wrap()
+    });
+    const boxHeight = textNode.height();
+
+    let low = MIN_AUTO_FIT_FONT_SIZE;
+    let high = MAX_AUTO_FIT_FONT_SIZE;
+    while (low < high) {
+        const size = Math.ceil((low + high) / 2);
+        probe.fontSize(size);
+        if (probe.height() <= boxHeight) {
+            low = size;
+        } else {
+            high = size - 1;
+        }
+    }
+
+    probe.destroy();
+    textNode.fontSize(low);
 }
 // =============================================================================
 // MODULE 2.6: INTERACTIVE IMAGE ELEMENT MANAGEMENT
@@ -836,12 +1537,12 @@ function setupCanvasInteraction() {
             return;
         }
 
+        // The click ends a marquee selection, keep what it selected
+        if (consumeMarqueeClick()) return;
+
         // The click was on the stage or the background (void area)
-        // REMOVE ALL THE ACTIVE TRANSFORMERS
-        layer.find('Transformer').forEach(transformer => {
-            transformer.destroy();
-        });
-        layer.draw();
+        // REMOVE THE SELECTION AND ITS TRANSFORMER
+        clearSelection();
 
         console.log('Edition mode deactivated - transformers removed');
     });
@@ -856,141 +1557,198 @@ function setupCanvasInteraction() {
  * @param {string} fileName - Original file name
  * @param {number} x - Initial X position
  * @param {number} y - Initial Y position
+ * @param {Object} [attrs] - Extra Konva attributes (e.g. restored from a saved scene)
+ * @param {Object} [options] - { recordHistory: false } when the caller records one command
+ *     for several new nodes (paste, dropped files)
+ * @returns {Promise<Konva.Image|null>} Resolves with the node once the image is loaded
  */
 
-function createDraggableImage(imageUrl, fileName, x = 150, y = 150) {
-    // CREATE HTML ELEMENT IMAGE TO MEASURE DIMENTIONS
-    const img = new Image();
-
-    img.onload = function() {
-        // CALCULATE MAX DIMENTIONS TO AVOID IMAGES TOO LARGE
-        const maxWidth = 400;
-        const maxHeight = 300;
-        let width = img.width;
-        let height = img.height;
-
-        // SCALE IF NECESSARY
-        if (width > maxWidth) {
-            height = (height * maxWidth) / width;
-            width = maxWidth;
-        }
-        if (height > maxHeight) {
-            width = (width * maxHeight) / height;
-            height = maxHeight;
-        }
-
-        // CREATE IMAGE NODE ON KONVAJS
-        const imageNode = new Konva.Image({
-            x: x,
-            y: y,
-            image: img,
-            width: width,
-            height: height,
-            draggable: true,
-            name: 'draggable-image',
-            id: 'image-' + Date.now() // ID único
-        });
+function createDraggableImage(imageUrl, fileName, x = 150, y = 150, attrs = {}, options = {}) {
+    // PAGE LAYER THE IMAGE BELONGS TO
+    // Captured now because the user may switch pages before the image loads
+    const targetLayer = layer;
+
+    return new Promise((resolve) => {
+        // CREATE HTML ELEMENT IMAGE TO MEASURE DIMENTIONS
+        const img = new Image();
+
+        img.onload = function() {
+            // CALCULATE MAX DIMENTIONS TO AVOID IMAGES TOO LARGE
+            const maxWidth = 400;
+            const maxHeight = 300;
+            let width = img.width;
+            let height = img.height;
+
+            // SCALE IF NECESSARY
+            if (width > maxWidth) {
+                height = (height * maxWidth) / width;
+                width = maxWidth;
+            }
+            if (height > maxHeight) {
+                width = (width * maxHeight) / height;
+                height = maxHeight;
+            }
 
-        // ADD VISUAL EFFECTS FOR THE INTERACTION
-        // While hover
-        imageNode.on('mouseover', function() {
-            document.body.style.cursor = 'move';
-            // Add soft border
-            this.stroke('#007bff');
-            this.strokeWidth(2);
-            layer.draw();
-        });
+            // CREATE IMAGE NODE ON KONVAJS
+            const imageNode = new Konva.Image({
+                x: x,
+                y: y,
+                image: img,
+                width: width,
+                height: height,
+                draggable: true,
+                name: 'draggable-image',
+                id: 'image-' + Date.now(), // ID único
+                // Original data and file name, kept for saving the scene
+                src: imageUrl,
+                fileName: fileName,
+                ...attrs
+            });
 
-        // When taking off the cursor
-        imageNode.on('mouseout', function() {
-            document.body.style.cursor = 'default';
-            this.stroke(null);
-            this.strokeWidth(0);
-            layer.draw();
-        });
+            // ADD VISUAL EFFECTS FOR THE INTERACTION
+            // While hover
+            imageNode.on('mouseover', function() {
+                document.body.style.cursor = 'move';
+                // Add soft border
+                this.stroke('#007bff');
+                this.strokeWidth(2);
+                layer.draw();
+            });
 
-        // EVENT: DOUBLE CLICK TO ACTIVATE TRANSFORMER
-        imageNode.on('dblclick dbltap', function() {
-            // REMOVE EXISTING TRANSFORMERS
-            layer.find('Transformer').forEach(transformer => transformer.destroy());
-
-            // CREATE NEW TRANSFORMER FOR THIS IMAGE
-            const transformer = new Konva.Transformer({
-                node: imageNode,
-                enabledAnchors: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'middle-left', 'middle-right', 'top-center', 'bottom-center'],
-                rotateEnabled: true,
-                borderEnabled: true,
-                borderStroke: '#007bff',
-                borderStrokeWidth: 2,
-                anchorFill: '#ffffff',
-                anchorStroke: '#007bff',
-                anchorStrokeWidth: 2,
-                anchorSize: 8
+            // When taking off the cursor
+            imageNode.on('mouseout', function() {
+                document.body.style.cursor = 'default';
+                this.stroke(null);
+                this.strokeWidth(0);
+                layer.draw();
             });
 
-            layer.add(transformer);
-            layer.draw();
+            // TRANSFORMER OF THE IMAGE
+            imageNode.transformerConfig = () => ({
+                enabledAnchors: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'middle-left', 'middle-right', 'top-center', 'bottom-center']
+            });
 
-            // SAVE REFERENCE WHEN TRANSFORMING
-            imageNode.transformer = transformer;
-        });
+            // EVENT: CLICK TO SELECT (SHIFT/CTRL-CLICK ADDS TO THE SELECTION)
+            imageNode.on('click tap', function(e) {
+                selectNodeFromClick(imageNode, e);
+            });
 
-        // EVENT: PRESS DELETE TO ELIMINATE
-        imageNode.on('keydown', function(event) {
-            if (event.keyCode === 46 || event.keyCode === 8) { // Delete o Backspace
-                // Remove transformer if exists
-                if (this.transformer) {
-                    this.transformer.destroy();
-                }
-                this.destroy(); // Eliminate the image
-                layer.draw(); // Re-draw the layer
-            }
-        });
+            // Delete, copy/paste and nudging act on the selection (keyboard shortcuts, MODULE 17)
 
-        // ENABLE KEYBOARD EVENTS LISTENING
-        imageNode.on('focus', function() {
-            document.addEventListener('keydown', handleKeyDown);
-        });
+            // EVENT: WHEN FINISH DRAGGING, REMOVE THE TRANSFORMER IF IS NOT SELECTED
+            imageNode.on('dragend', function() {
+                // Optional: remove transformer when finish dragging
+                // For now we keep it, so the user can keep redimentionating
+            });
 
-        imageNode.on('blur', function() {
-            document.removeEventListener('keydown', handleKeyDown);
-        });
+            // ADD THE IMAGE TO THE LAYER AND RE-DRAW
+            targetLayer.add(imageNode);
+            targetLayer.draw();
 
-        // Auxiliar function to manage keys
-        const handleKeyDown = (event) => {
-            if (event.keyCode === 46 || event.keyCode === 8) { // Delete or Backspace
-                if (imageNode.transformer) {
-                    imageNode.transformer.destroy();
-                }
-                imageNode.destroy();
-                layer.draw();
-                document.removeEventListener('keydown', handleKeyDown);
+            // TRACK MOVES, TRANSFORMS AND THE CREATION ITSELF IN THE UNDO HISTORY
+            registerHistoryHandlers(imageNode);
+            if (options.recordHistory !== false) {
+                recordNodeCreation(imageNode, 'Add image');
             }
+
+            console.log(`Image created: "${fileName}" (${width}x${height}px) on position (${x}, ${y})`);
+            resolve(imageNode);
         };
 
-        // EVENT: WHEN FINISH DRAGGING, REMOVE THE TRANSFORMER IF IS NOT SELECTED
-        imageNode.on('dragend', function() {
-            // Optional: remove transformer when finish dragging
-            // For now we keep it, so the user can keep redimentionating
-        });
+        img.onerror = function() {
+            console.error('Error while loading the image:', fileName);
+            alert('Error while loading the image. Try with other file.');
+            resolve(null);
+        };
 
-        // ADD THE IMAGE TO THE LAYER AND RE-DRAW
-        layer.add(imageNode);
-        layer.draw();
+        // ESTABLISH THE IMAGE SOURCE
+        img.src = imageUrl;
+    });
+}
 
-        console.log(`Image created: "${fileName}" (${width}x${height}px) on position (${x}, ${y})`);
-    };
+// Largest image file accepted from the file input, a drop or the clipboard
+const MAX_IMAGE_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 
-    img.onerror = function() {
-        console.error('Error while loading the image:', fileName);
-        alert('Error while loading the image. Try with other file.');
-    };
+// Offset between several images dropped or pasted at once (canvas units)
+const IMAGE_CASCADE_OFFSET = 20;
+
+/**
+ * READS AN IMAGE FILE AS A DATA URL
+ *
+ * @param {File} file - File from a drop, the clipboard or a file input.
+ * @returns {Promise<string>} Data URL; rejects with a readable message.
+ */
+function readImageFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!file.type.startsWith('image/')) {
+            reject(new Error(`"${file.name}" is not an image`));
+            return;
+        }
+        if (file.size > MAX_IMAGE_FILE_SIZE) {
+            reject(new Error(`"${file.name}" is too large (max. 5MB)`));
+            return;
+        }
 
-    // ESTABLISH THE IMAGE SOURCE
-    img.src = imageUrl;
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`"${file.name}" could not be read`));
+        reader.readAsDataURL(file);
+    });
 }
 
+/**
+ * ADDS IMAGE FILES CENTRED ON A POINT OF THE CURRENT PAGE
+ * =======================================================
+ *
+ * Several files cascade from the point. All the images are one undoable
+ * command and end up selected.
+ *
+ * @param {File[]} files - Image files (others are reported and skipped).
+ * @param {{x: number, y: number}} point - Centre of the first image, in canvas units.
+ * @returns {Promise<Konva.Image[]>} The new images.
+ */
+async function addImageFilesAt(files, point) {
+    const imageStatus = document.getElementById('image-status');
+    const setImageStatus = (message) => {
+        if (imageStatus) {
+            imageStatus.textContent = message;
+        }
+    };
+
+    setImageStatus('⏳ Processing image...');
+
+    const errors = [];
+    // The images are recorded together below, not one by one by the factory
+    const images = await Promise.all(files.map(async (file, i) => {
+        try {
+            const imageUrl = await readImageFile(file);
+            const imageNode = await createDraggableImage(imageUrl, file.name, point.x, point.y, {}, { recordHistory: false });
+            if (!imageNode) return null;
+
+            imageNode.position({
+                x: point.x - imageNode.width() / 2 + i * IMAGE_CASCADE_OFFSET,
+                y: point.y - imageNode.height() / 2 + i * IMAGE_CASCADE_OFFSET
+            });
+            return imageNode;
+        } catch (error) {
+            errors.push(error.message);
+            return null;
+        }
+    }));
+
+    const added = images.filter(Boolean);
+    if (added.length) {
+        recordNodesCreation(added, added.length === 1 ? 'Add image' : `Add ${added.length} images`);
+        selectNodes(added);
+    }
+
+    setImageStatus(errors.length
+        ? '⚠️ ' + errors.join(', ')
+        : `✅ Image${added.length === 1 ? '' : 's'} added: ${files.map(file => file.name).join(', ')}`);
+    setTimeout(() => setImageStatus(''), 3000);
 
+    return added;
+}
 
 
 // =============================================================================
@@ -1003,13 +1761,12 @@ function createDraggableImage(imageUrl, fileName, x = 150, y = 150) {
  *
  * Converts the complete KonvaJS scene (manipulated PDF + added elements)
  * into a downloadable PDF file using the jsPDF library.
+ * Every loaded page is written to its own PDF page together with its overlays.
  *
- * Process: Separate Text → Separate Images → Rasterize Scene → Combine into PDF
+ * Process: Rasterize Scene → Combine into PDF
  *
- * ADVANCED PROCESSING:
- * - Text: Processed individually with font, size, and rotation
- * - Images: Processed individually with scaling, rotation, and transformation
- * - Complete Scene: Rendered as a background image with a high pixelRatio
+ * Each page is rendered with its overlays as one image with a high
+ * pixelRatio; the vector export (MODULE 3.5) keeps the original content.
  */
 
 function setupPdfExport() {
@@ -1022,170 +1779,7917 @@ function setupPdfExport() {
     }
 
     // CONFIGURE EVENT LISTENER FOR EXPORT
-    saveButton.addEventListener('click', function (event) {
+    saveButton.addEventListener('click', async function (event) {
         event.preventDefault();
         console.log('Initialize PDF exportation...');
 
-        // DEPENDENCY VALIDATION
-        if (typeof jsPDF === 'undefined') {
-            console.error('jsPDF is not loaded');
-            alert('Error: jsPDF library is not available');
+        if (pdfPages.length === 0) {
+            alert('The PDF is still loading, please wait');
+            return;
+        }
+
+        // SELECT THE EXPORT MODE
+        // 'vector' stamps the overlays onto the original PDF bytes,
+        // 'flatten' rasterizes every page through jsPDF
+        const exportModeSelect = document.getElementById('export-mode');
+        const exportMode = exportModeSelect ? exportModeSelect.value : 'flatten';
+
+        // Unapplied redaction marks would leave the content underneath in the file
+        if (!confirmPendingRedactions()) {
             return;
         }
 
+        saveButton.disabled = true;
         try {
-            // STEP 1: JSPDF INITIALIZATION
-            // Create PDF document with landscape orientation ('l'), units in pixels ('px')
-            // Dimensions based on the KonvaJS stage
-
-            const pageOrientation = stage.width() > stage.height() ? 'l' : 'p';
-
-            const pdf = new jsPDF(pageOrientation, 'px', [stage.width(), stage.height()]);
-
-            // Configure default text color
-            pdf.setTextColor('#000000');
-
-            // STEP 2: EXPORT TEXT SEPARATELY
-            // KonvaJS does not natively export text to PDF, so we process each Text node
-            console.log('Exportando textos...');
-
-            // stage.find('Text') finds all Konva.Text type nodes in the scene
-            stage.find('Text').forEach((textNode) => {
-                // UNIT CONVERSION
-                // jsPDF uses points (1/72 inch), Konva uses pixels
-                // Approximate conversion factor: 1px ≈ 0.75pt
-                const fontSizeInPoints = textNode.fontSize() / 0.75;
-                pdf.setFontSize(fontSizeInPoints);
-                // EXTRACT NODE PROPERTIES
-                const textContent = textNode.text();
-                const x = textNode.x();
-                const y = textNode.y();
-
-                // ROTATION HANDLING
-                // jsPDF uses positive rotation in a clockwise direction
-                // KonvaJS uses positive rotation in a counter-clockwise direction
-                // getAbsoluteRotation() gets the total rotation including ancestors
-
-                const rotation = -textNode.getAbsoluteRotation();
-
-                // ADD TEXT TO PDF
-                // baseline: 'top' ensures correct positioning from the top edge
-
-                pdf.text(textContent, x, y, {
-                    baseline: 'top',
-                    angle: rotation,
-                });
+            await exportDocument(exportMode);
+        } finally {
+            saveButton.disabled = false;
+        }
+    });
+
+    // SPLIT OPTIONS (MODULE 3.6): only the inputs of the chosen mode are shown
+    const splitModeSelect = document.getElementById('export-split-mode');
+    if (splitModeSelect) {
+        const updateSplitOptions = () => {
+            const splitOptions = document.getElementById('export-split-options');
+            if (splitOptions) {
+                splitOptions.hidden = splitModeSelect.value === 'all';
+            }
+            document.querySelectorAll('[data-split-mode]').forEach(input => {
+                input.hidden = input.dataset.splitMode !== splitModeSelect.value;
             });
+        };
+        splitModeSelect.addEventListener('change', updateSplitOptions);
+        updateSplitOptions();
+    }
 
-            // STEP 2.5: EXPORT IMAGES SEPARATELY
-            // Images also require individual processing to preserve rotation and scaling
-            console.log('Exporting images...');
+    console.log('PDF exportation system configured');
+}
 
-            // stage.find('Image') finds all Konva.Image type nodes in the scene
-            // We exclude the PDF background image (which has name: 'pdf-background')
-            stage.find('Image').forEach((imageNode) => {
-                // SALTAR LA IMAGEN DE FONDO DEL PDF
-                if (imageNode.name() === 'pdf-background') {
-                    return; // Continue with the next image
-                }
+/**
+ * EXPORTS A FLATTENED COPY OF THE DOCUMENT WITH JSPDF
+ * ===================================================
+ *
+ * Every page is rasterized together with its overlays, so the output
+ * looks exactly like the canvas but loses the original vector content.
+ *
+ * @param {number[][]} parts - Page indexes of every output file (see getExportParts()).
+ * @returns {Blob[]} One PDF per part.
+ */
+function exportFlattenedPdf(parts) {
+    // DEPENDENCY VALIDATION
+    if (typeof jsPDF === 'undefined') {
+        console.error('jsPDF is not loaded');
+        throw new Error('jsPDF library is not available');
+    }
+
+    // Rasterize the pages at 100%, whatever the user is looking at
+    const restoreViewport = resetViewportForExport();
+
+    try {
+        // STEP 1: JSPDF INITIALIZATION
+        // Units in points ('pt'); every page gets the displayed size of its
+        // original (media box, rotation included) and its own orientation
+        const getPageFormat = page => {
+            const size = getPageSizeInPoints(page);
+            return {
+                format: [size.width, size.height],
+                orientation: size.width > size.height ? 'l' : 'p'
+            };
+        };
 
-                try {
-                    // EXTRACT NODE PROPERTIES
-                    const x = imageNode.x();
-                    const y = imageNode.y();
-                    const width = imageNode.width();
-                    const height = imageNode.height();
-
-                    // ROTATION AND SCALE HANDLING
-                    // getAbsoluteRotation() gets the total rotation including ancestors
-                    const rotation = imageNode.getAbsoluteRotation();
-                    const scaleX = imageNode.scaleX();
-                    const scaleY = imageNode.scaleY();
-
-                    // CALCULATE SCALED DIMENSIONS
-                    const scaledWidth = width * scaleX;
-                    const scaledHeight = height * scaleY;
-
-                    // CONVERT IMAGE TO BASE64
-                    // Use toDataURL() on the underlying HTML Image element
-                    const imageElement = imageNode.image();
-                    if (imageElement && imageElement.toDataURL) {
-                        const imageDataURL = imageElement.toDataURL('image/png');
-
-                        // ADD IMAGE TO PDF
-                        // jsPDF handles rotation and scaling automatically
-                        pdf.addImage(
-                            imageDataURL,     // Image Base64 format
-                            'PNG',
-                            x,
-                            y,
-                            scaledWidth,
-                            scaledHeight,
-                            undefined,
-                            'FAST'
-                        );
-
-                        // APPLY ROTATION IF NECESSARY
-                        if (rotation !== 0) {
-
-
-                            // jsPDF rotates positive clockwise
-                            // KonvaJS rotates positive counter-clockwise
-                            const pdfRotation = -rotation;
-
-                            // Calculate the center of rotation
-                            const centerX = x + scaledWidth / 2;
-                            const centerY = y + scaledHeight / 2;
-
-                            // Apply rotation around the center
-                            pdf.text('', centerX, centerY, {
-                                angle: pdfRotation
-                            });
-                        }
-
-                        console.log(`Image exported: ${scaledWidth.toFixed(0)}x${scaledHeight.toFixed(0)}px on (${x.toFixed(0)}, ${y.toFixed(0)})`);
-                    }
-                } catch (imageError) {
-                    console.warn('Error while processing the individual image:', imageError);
-                    // Continue with other images
+        return parts.map(part => {
+            const pages = part.map(index => pdfPages[index]);
+            const firstPage = getPageFormat(pages[0]);
+            const pdf = new jsPDF(firstPage.orientation, 'pt', firstPage.format);
+
+            // STEP 2: EXPORT EVERY PAGE WITH ITS OWN OVERLAYS
+            // jsPDF starts with one page, the following ones are appended
+            pages.forEach((page, index) => {
+                if (index > 0) {
+                    const pageFormat = getPageFormat(page);
+                    pdf.addPage(pageFormat.format, pageFormat.orientation);
                 }
+                exportPageToPdf(pdf, page);
             });
 
-            // STEP 3: EXPORT COMPLETE SCENE AS IMAGE
-            console.log('Exporting stage as an image...');
+            console.log(`PDF exported successfully (${pages.length} pages)`);
+            return pdf.output('blob');
+        });
 
+    } finally {
+        // RESTORE THE PAGE THE USER WAS EDITING
+        pdfPages.forEach((page, i) => page.layer.visible(i === currentPageIndex));
+        restoreViewport();
+        layer.draw();
+    }
+}
 
-            // stage.toDataURL() converts the entire KonvaJS canvas to a Base64 image
-            // pixelRatio: 2 doubles the resolution for retina/high-density displays
-            const canvasDataURL = stage.toDataURL({
-                pixelRatio: 2,
-                mimeType: 'image/png'  // PNG format by default
-            });
+/**
+ * WRITES ONE PAGE AND ITS OVERLAYS INTO THE CURRENT JSPDF PAGE
+ * ============================================================
+ *
+ * @param {Object} pdf - jsPDF document, positioned on the target page.
+ * @param {Object} page - Entry of `pdfPages` to export.
+ */
+function exportPageToPdf(pdf, page) {
+    // THE WHOLE PAGE AS ONE IMAGE
+    // Text boxes, images and every other overlay are part of the raster;
+    // the vector export (MODULE 3.5) is the one that keeps them as PDF content
+
+    // Only the exported page's layer must be visible while rasterizing
+    pdfPages.forEach(other => other.layer.visible(other === page));
+
+    // The grid and the guides are not part of the document
+    const guidesWereVisible = guidesLayer ? guidesLayer.visible() : false;
+    if (guidesLayer) {
+        guidesLayer.visible(false);
+    }
 
-            const DPI_FACTOR = 1.3333;
-
-            // ADD IMAGE TO PDF
-            // Position (0,0) covers the entire PDF page
-            pdf.addImage(
-                canvasDataURL,     // backgruond image Base64 format
-                'PNG',
-                0,
-                0,
-                stage.width()/DPI_FACTOR,
-                stage.height()/DPI_FACTOR
-            );
+    // The on-screen highlight of form fields must not be printed
+    const fieldHighlights = page.layer.find('.form-field-highlight');
+    fieldHighlights.forEach(highlight => highlight.visible(false));
+
+    // stage.toDataURL() converts the page area of the KonvaJS canvas to a Base64 image
+    // pixelRatio: 2 doubles the resolution for retina/high-density displays
+    const canvasDataURL = stage.toDataURL({
+        x: 0,
+        y: 0,
+        width: page.background.width(),
+        height: page.background.height(),
+        pixelRatio: 2,
+        mimeType: 'image/png'  // PNG format by default
+    });
+
+    fieldHighlights.forEach(highlight => highlight.visible(true));
+    if (guidesLayer) {
+        guidesLayer.visible(guidesWereVisible);
+    }
 
-            // STEP 4: FILE DOWNLOAD
-            // Show save file dialog to the user
-            pdf.save('canvas.pdf');
+    // ADD IMAGE TO PDF
+    // Position (0,0) covers the entire PDF page
+    const pageSize = getPageSizeInPoints(page);
+    pdf.addImage(
+        canvasDataURL,     // backgruond image Base64 format
+        'PNG',
+        0,
+        0,
+        pageSize.width,
+        pageSize.height
+    );
+}
 
-            console.log('PDF exported successfully');
+// =============================================================================
+// MODULE 3.5: VECTOR EXPORT USING PDF-LIB
+// =============================================================================
 
-        } catch (error) {
-            console.error('Error while the PDF exportation:', error);
-            alert('Error when exporting PDF: ' + error.message);
+/**
+ * MODULE 3.5: VECTOR-PRESERVING EXPORT
+ * ====================================
+ *
+ * Loads the bytes of the uploaded PDF (`window.pdfBase64Data`) with pdf-lib
+ * and stamps only the added overlays on top of each original page as real
+ * PDF content. The source text stays selectable and searchable and the file
+ * keeps roughly its original size.
+ *
+ * Coordinates: Konva nodes live in the page layer's space, where the page
+ * background spans (0, 0) → (background.width(), background.height()).
+ * PDF space is measured in points with the origin at the bottom-left corner.
+ *
+ * @param {number[][]} parts - Page indexes of every output file (see getExportParts()).
+ * @returns {Promise<Blob[]>} One PDF per part.
+ */
+async function exportVectorPdf(parts) {
+    // DEPENDENCY VALIDATION
+    if (typeof PDFLib === 'undefined') {
+        console.error('pdf-lib is not loaded');
+        throw new Error('pdf-lib library is not available');
+    }
+
+    // STEP 1: LOAD THE ORIGINAL PDF BYTES
+    const pdfDoc = await PDFLib.PDFDocument.load(base64ToBytes(window.pdfBase64Data));
+    const fontCache = {};
+
+    // STEP 1.5: WRITE THE VALUES OF THE FORM FIELDS
+    // Done first so the fields of redacted pages can be dropped afterwards
+    const formMode = document.getElementById('form-export-mode');
+    await fillPdfForm(pdfDoc, formMode ? formMode.value : 'fill');
+
+    // STEP 1.6: PAGE ORDER, ROTATIONS, BLANK AND APPENDED PAGES (see module 18)
+    // Afterwards the pages of the output match `pdfPages` one to one
+    await arrangeOutputPages(pdfDoc);
+
+    // STEP 2: STAMP THE OVERLAYS OF EVERY PAGE
+    for (const [index, page] of pdfPages.entries()) {
+        // Redacted pages lose their original content (see module 10)
+        const pdfPage = page.redactions && page.redactions.length > 0
+            ? await replacePageWithRedactedRender(pdfDoc, page, index)
+            : pdfDoc.getPage(index);
+        await stampPageOverlays(pdfDoc, pdfPage, page, fontCache);
+    }
+
+    // STEP 3: ONE FILE PER PART
+    // The whole document is saved as is; parts get only their own pages (module 3.6)
+    const isWholeDocument = parts.length === 1 && parts[0].length === pdfPages.length
+        && parts[0].every((pageIndex, i) => pageIndex === i);
+    if (isWholeDocument) {
+        console.log(`Vector PDF exported successfully (${pdfPages.length} pages)`);
+        return [new Blob([await pdfDoc.save()], { type: 'application/pdf' })];
+    }
+
+    const blobs = [];
+    for (const part of parts) {
+        const partDoc = await extractPdfPart(pdfDoc, part);
+        blobs.push(new Blob([await partDoc.save()], { type: 'application/pdf' }));
+    }
+
+    console.log(`Vector PDF exported successfully (${parts.length} files)`);
+    return blobs;
+}
+
+/**
+ * DRAWS THE OVERLAY NODES OF ONE PAGE ONTO A PDF-LIB PAGE
+ * =======================================================
+ *
+ * @param {Object} pdfDoc - pdf-lib PDFDocument being written.
+ * @param {Object} pdfPage - pdf-lib PDFPage that receives the overlays.
+ * @param {Object} page - Entry of `pdfPages` holding the Konva layer.
+ * @param {Object} fontCache - Embedded fonts shared between pages.
+ */
+async function stampPageOverlays(pdfDoc, pdfPage, page, fontCache) {
+    const mapping = getPdfPageMapping(page, pdfPage);
+
+    // Rotated pages and boxes away from the origin: draw in displayed page space
+    const needsMatrix = !isIdentityPdfMapping(mapping);
+    if (needsMatrix) {
+        pdfPage.pushOperators(
+            PDFLib.pushGraphicsState(),
+            PDFLib.concatTransformationMatrix(...mapping.matrix)
+        );
+    }
+
+    for (const node of page.layer.getChildren()) {
+        if (!node.visible() || node.name() === 'pdf-background' || node.getClassName() === 'Transformer') {
+            continue;
+        }
+
+        try {
+            if (node.getClassName() === 'Text') {
+                if (node.getAttr('coverRect')) {
+                    stampTextCover(pdfPage, node, mapping);
+                }
+                await stampTextNode(pdfDoc, pdfPage, node, mapping, fontCache);
+            } else if (node.getClassName() === 'Image') {
+                await stampImageNode(pdfDoc, pdfPage, node, mapping);
+            } else if (node.hasName('annotation-shape')) {
+                stampShapeNode(pdfPage, node, mapping);
+            } else if (node.hasName('ink-stroke')) {
+                stampInkNode(pdfPage, node, mapping);
+            } else if (node.hasName('text-markup')) {
+                addTextMarkupAnnotation(pdfDoc, pdfPage, node, mapping);
+            } else if (node.hasName('watermark')) {
+                await stampWatermark(pdfDoc, pdfPage, node, mapping, fontCache);
+            } else if (node.hasName('header-footer')) {
+                for (const slot of node.getChildren()) {
+                    await stampTextNode(pdfDoc, pdfPage, slot, mapping, fontCache);
+                }
+            }
+        } catch (nodeError) {
+            // Keep exporting the other nodes (e.g. characters the font can't encode)
+            console.warn(`Error while stamping a ${node.getClassName()} node on page ${page.pageNumber}:`, nodeError);
+        }
+    }
+
+    if (needsMatrix) {
+        pdfPage.pushOperators(PDFLib.popGraphicsState());
+    }
+}
+
+/**
+ * WRITES A KONVA.TEXT NODE AS REAL PDF TEXT
+ * =========================================
+ *
+ * Uses the lines as Konva wrapped them to the box width (textArr) and
+ * re-applies the alignment with the PDF font metrics. Every line is rotated
+ * around the node origin, like the text box on the canvas.
+ *
+ * Styles: colour, font family, bold/italic, underline/line-through,
+ * alignment (including justify), line height and letter spacing.
+ */
+async function stampTextNode(pdfDoc, pdfPage, textNode, mapping, fontCache) {
+    const font = await getPdfFont(pdfDoc, textNode, fontCache);
+    const scale = mapping.scale * textNode.scaleY();
+    const fontSize = textNode.fontSize() * scale;
+    const lineHeight = textNode.fontSize() * textNode.lineHeight();
+    const letterSpacing = textNode.letterSpacing();
+    const padding = textNode.padding();
+    const boxWidth = textNode.width() - padding * 2;
+    const transform = textNode.getTransform();
+    const color = colorToPdfRgb(textNode.fill());
+    const decoration = textNode.textDecoration() || '';
+    const rotate = PDFLib.degrees(-textNode.rotation());
+
+    // Letter spacing is part of the PDF text state (Tc operator)
+    if (letterSpacing) {
+        pdfPage.pushOperators(PDFLib.setCharacterSpacing(letterSpacing * scale));
+    }
+
+    // Konva centers each line vertically inside its line box, so the
+    // baseline sits roughly 0.85em below the top of a line box with lineHeight 1
+    textNode.textArr.forEach((line, lineIndex) => {
+        if (!line.text) return;
+
+        // Width of the line in canvas units, letter spacing included
+        const lineWidth = font.widthOfTextAtSize(line.text, fontSize) / scale + letterSpacing * line.text.length;
+
+        // Horizontal offset for center/right alignment, in canvas units
+        let offsetX = 0;
+        let wordSpacing = 0;
+        if (textNode.align() === 'center') {
+            offsetX = (boxWidth - lineWidth) / 2;
+        } else if (textNode.align() === 'right') {
+            offsetX = boxWidth - lineWidth;
+        } else if (textNode.align() === 'justify' && !line.lastInParagraph) {
+            const spaces = (line.text.match(/ /g) || []).length;
+            wordSpacing = spaces ? (boxWidth - lineWidth) / spaces : 0;
         }
+
+        const baselineY = padding + lineIndex * lineHeight + lineHeight / 2 + textNode.fontSize() * 0.35;
+        const origin = toPdfPoint(mapping, transform.point({ x: padding + offsetX, y: baselineY }));
+
+        if (wordSpacing) {
+            pdfPage.pushOperators(PDFLib.setWordSpacing(wordSpacing * scale));
+        }
+
+        pdfPage.drawText(line.text, {
+            x: origin.x,
+            y: origin.y,
+            size: fontSize,
+            font: font,
+            color: color,
+            rotate: rotate,
+            opacity: textNode.opacity()
+        });
+
+        if (wordSpacing) {
+            pdfPage.pushOperators(PDFLib.setWordSpacing(0));
+        }
+
+        // UNDERLINE / LINE-THROUGH, drawn as lines in the rotated text direction
+        const decorationOffsets = [];
+        if (decoration.includes('underline')) {
+            decorationOffsets.push(textNode.fontSize() * 0.1);
+        }
+        if (decoration.includes('line-through')) {
+            decorationOffsets.push(-textNode.fontSize() * 0.3);
+        }
+        const decoratedWidth = wordSpacing ? boxWidth : lineWidth;
+        decorationOffsets.forEach(offsetY => {
+            const start = toPdfPoint(mapping, transform.point({ x: padding + offsetX, y: baselineY + offsetY }));
+            const end = toPdfPoint(mapping, transform.point({ x: padding + offsetX + decoratedWidth, y: baselineY + offsetY }));
+            pdfPage.drawLine({
+                start: start,
+                end: end,
+                thickness: Math.max(textNode.fontSize() * 0.05 * scale, 0.5),
+                color: color,
+                opacity: textNode.opacity()
+            });
+        });
     });
 
-    console.log('PDF exportation system configured');
+    if (letterSpacing) {
+        pdfPage.pushOperators(PDFLib.setCharacterSpacing(0));
+    }
+}
+
+/**
+ * EMBEDS AND DRAWS A KONVA.IMAGE NODE
+ * ===================================
+ *
+ * pdf-lib anchors and rotates images around their bottom-left corner,
+ * so that corner is taken from the node's transform.
+ */
+async function stampImageNode(pdfDoc, pdfPage, imageNode, mapping) {
+    const embeddedImage = await pdfDoc.embedPng(imageElementToPngBytes(imageNode.image()));
+    const bottomLeft = toPdfPoint(mapping, imageNode.getTransform().point({ x: 0, y: imageNode.height() }));
+
+    pdfPage.drawImage(embeddedImage, {
+        x: bottomLeft.x,
+        y: bottomLeft.y,
+        width: imageNode.width() * imageNode.scaleX() * mapping.scale,
+        height: imageNode.height() * imageNode.scaleY() * mapping.scale,
+        rotate: PDFLib.degrees(-imageNode.rotation()),
+        opacity: imageNode.opacity()
+    });
+}
+
+/**
+ * COMPUTES THE KONVA → PDF COORDINATE MAPPING OF A PAGE
+ * =====================================================
+ *
+ * Overlays are drawn in the displayed page space: the visible (crop) box
+ * after /Rotate, in points, origin at the bottom-left corner. `matrix`
+ * maps that space to the page's own user space, so content drawn under it
+ * lands where it was on the canvas whatever the rotation and box origin.
+ *
+ * @returns {{scale: number, pageHeight: number, matrix: number[]}} Points per Konva unit,
+ *     displayed page height in points and display → user space matrix.
+ */
+function getPdfPageMapping(page, pdfPage) {
+    const box = pdfPage.getCropBox();
+    const rotation = ((pdfPage.getRotation().angle % 360) + 360) % 360;
+    const isQuarterTurn = rotation % 180 !== 0;
+    const displayWidth = isQuarterTurn ? box.height : box.width;
+    const displayHeight = isQuarterTurn ? box.width : box.height;
+
+    const matrices = {
+        0: [1, 0, 0, 1, box.x, box.y],
+        90: [0, 1, -1, 0, box.x + box.width, box.y],
+        180: [-1, 0, 0, -1, box.x + box.width, box.y + box.height],
+        270: [0, -1, 1, 0, box.x, box.y + box.height]
+    };
+
+    return {
+        scale: displayWidth / page.background.width(),
+        pageHeight: displayHeight,
+        matrix: matrices[rotation] || matrices[0]
+    };
+}
+
+/**
+ * CONVERTS A POINT FROM KONVA LAYER SPACE TO PDF SPACE (Y AXIS FLIPPED)
+ */
+function toPdfPoint(mapping, point) {
+    return {
+        x: point.x * mapping.scale,
+        y: mapping.pageHeight - point.y * mapping.scale
+    };
+}
+
+/**
+ * CONVERTS A POINT FROM KONVA LAYER SPACE TO THE PAGE'S USER SPACE
+ * (for annotations, whose coordinates ignore the content stream's matrix)
+ */
+function toPdfUserPoint(mapping, point) {
+    const display = toPdfPoint(mapping, point);
+    const [a, b, c, d, e, f] = mapping.matrix;
+    return {
+        x: a * display.x + c * display.y + e,
+        y: b * display.x + d * display.y + f
+    };
+}
+
+/**
+ * TELLS WHETHER A MAPPING NEEDS NO MATRIX (UNROTATED PAGE AT THE ORIGIN)
+ */
+function isIdentityPdfMapping(mapping) {
+    return mapping.matrix.every((value, i) => value === [1, 0, 0, 1, 0, 0][i]);
+}
+
+/**
+ * RETURNS (AND CACHES) THE STANDARD PDF FONT CLOSEST TO A TEXT NODE'S FONT
+ */
+async function getPdfFont(pdfDoc, textNode, fontCache) {
+    const fontStyle = textNode.fontStyle();
+    const bold = fontStyle.includes('bold');
+    const italic = fontStyle.includes('italic');
+    const fontNames = {
+        helvetica: ['Helvetica', 'HelveticaBold', 'HelveticaOblique', 'HelveticaBoldOblique'],
+        times: ['TimesRoman', 'TimesRomanBold', 'TimesRomanItalic', 'TimesRomanBoldItalic'],
+        courier: ['Courier', 'CourierBold', 'CourierOblique', 'CourierBoldOblique']
+    };
+    const variant = (bold ? 1 : 0) + (italic ? 2 : 0);
+    const fontName = PDFLib.StandardFonts[fontNames[getStandardFontFamily(textNode.fontFamily())][variant]];
+
+    if (!fontCache[fontName]) {
+        fontCache[fontName] = await pdfDoc.embedFont(fontName);
+    }
+    return fontCache[fontName];
+}
+
+/**
+ * MAPS A CSS FONT FAMILY TO ONE OF THE STANDARD PDF FAMILIES
+ *
+ * @param {string} fontFamily - Konva/CSS font family.
+ * @returns {string} 'helvetica', 'times' or 'courier'.
+ */
+function getStandardFontFamily(fontFamily) {
+    const family = (fontFamily || '').toLowerCase();
+
+    if (family.includes('courier') || family.includes('mono')) {
+        return 'courier';
+    }
+    if (family.includes('times') || family.includes('georgia') || (family.includes('serif') && !family.includes('sans'))) {
+        return 'times';
+    }
+    return 'helvetica';
+}
+
+/**
+ * CONVERTS A CSS HEX COLOR (#rgb OR #rrggbb) TO A PDF-LIB RGB COLOR
+ */
+function colorToPdfRgb(color) {
+    let hex = (color || '#000000').replace('#', '');
+    if (hex.length === 3) {
+        hex = hex.split('').map(char => char + char).join('');
+    }
+    const value = parseInt(hex, 16) || 0;
+    return PDFLib.rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+}
+
+/**
+ * DRAWS AN HTML IMAGE INTO A CANVAS AND RETURNS ITS PNG BYTES
+ */
+function imageElementToPngBytes(imageElement) {
+    const canvas = document.createElement('canvas');
+    canvas.width = imageElement.naturalWidth || imageElement.width;
+    canvas.height = imageElement.naturalHeight || imageElement.height;
+    canvas.getContext('2d').drawImage(imageElement, 0, 0);
+    return base64ToBytes(canvas.toDataURL('image/png').split(',')[1]);
+}
+
+/**
+ * DECODES A BASE64 STRING INTO A UINT8ARRAY
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * OFFERS A BLOB TO THE USER AS A FILE DOWNLOAD
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// =============================================================================
+// MODULE 3.6: SPLIT AND EXTRACT PAGES
+// =============================================================================
+
+/**
+ * MODULE 3.6: SPLIT AND EXTRACT
+ * =============================
+ *
+ * The export can write the whole document or several parts of it:
+ * - page ranges such as "1-3, 7, 10-end" (one file per range);
+ * - every N pages;
+ * - one file per page.
+ * Every part keeps the overlays of its pages and is produced by the chosen
+ * export mode. Several parts are downloaded one by one or packed into a
+ * single ZIP built in the browser with JSZip.
+ */
+
+// Pause between separate downloads, so the browser doesn't drop any of them
+const SEPARATE_DOWNLOAD_DELAY = 300;
+
+/**
+ * EXPORTS THE DOCUMENT, OR THE PARTS CHOSEN IN THE SPLIT OPTIONS
+ *
+ * @param {string} exportMode - 'vector' or 'flatten'.
+ */
+async function exportDocument(exportMode) {
+    let parts;
+    try {
+        parts = getExportParts();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    try {
+        const blobs = exportMode === 'vector' ? await exportVectorPdf(parts) : exportFlattenedPdf(parts);
+        await deliverExportFiles(parts.map((part, i) => ({
+            name: getExportFileName(part, parts.length),
+            blob: blobs[i]
+        })));
+    } catch (error) {
+        console.error('Error while the PDF exportation:', error);
+        alert('Error when exporting PDF: ' + error.message);
+    }
+}
+
+/**
+ * READS THE SPLIT OPTIONS OF THE EXPORT MODULE
+ *
+ * @returns {number[][]} Zero-based page indexes of every output file.
+ * @throws {Error} When the ranges or the page count can't be used.
+ */
+function getExportParts() {
+    const modeSelect = document.getElementById('export-split-mode');
+    const allIndexes = pdfPages.map((page, index) => index);
+
+    switch (modeSelect ? modeSelect.value : 'all') {
+        case 'ranges': {
+            const rangesInput = document.getElementById('export-ranges');
+            return parsePageRanges(rangesInput ? rangesInput.value : '', pdfPages.length);
+        }
+        case 'every': {
+            const everyInput = document.getElementById('export-every');
+            const size = parseInt(everyInput ? everyInput.value : '', 10);
+            if (!(size >= 1)) {
+                throw new Error('Enter how many pages each file should have');
+            }
+            const parts = [];
+            for (let start = 0; start < allIndexes.length; start += size) {
+                parts.push(allIndexes.slice(start, start + size));
+            }
+            return parts;
+        }
+        case 'single':
+            return allIndexes.map(index => [index]);
+        default:
+            return [allIndexes];
+    }
+}
+
+/**
+ * PARSES PAGE RANGES SUCH AS "1-3, 7, 10-end"
+ *
+ * @param {string} text - Comma separated pages and ranges, 1-based; "end" is the last page.
+ * @param {number} pageCount - Number of pages of the document.
+ * @param {boolean} [lenient=false] - Cut ranges at the last page instead of failing
+ *     (ranges saved before pages were deleted).
+ * @returns {number[][]} Zero-based page indexes of every range.
+ * @throws {Error} With a message for the user when a range is not valid.
+ */
+function parsePageRanges(text, pageCount, lenient = false) {
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(\d+|end)(?:\s*-\s*(\d+|end))?$/i);
+        if (!match) {
+            throw new Error(`"${part}" is not a page or a range (e.g. 1-3, 7, 10-end)`);
+        }
+
+        const toPageNumber = value => value.toLowerCase() === 'end' ? pageCount : Number(value);
+        const first = toPageNumber(match[1]);
+        const last = Math.min(match[2] ? toPageNumber(match[2]) : first, lenient ? pageCount : Infinity);
+        if (lenient && first > last) {
+            return [];
+        }
+        if (first < 1 || last > pageCount || first > last) {
+            throw new Error(`"${part}" is outside pages 1-${pageCount}`);
+        }
+
+        const indexes = [];
+        for (let pageNumber = first; pageNumber <= last; pageNumber++) {
+            indexes.push(pageNumber - 1);
+        }
+        return indexes;
+    }).filter(part => part.length > 0);
+
+    if (parts.length === 0 && !lenient) {
+        throw new Error('Enter the pages to export, e.g. 1-3, 7, 10-end');
+    }
+    return parts;
+}
+
+/**
+ * NAMES THE FILE OF AN EXPORTED PART (canvas.pdf FOR THE WHOLE DOCUMENT)
+ */
+function getExportFileName(part, partCount) {
+    if (partCount === 1 && part.length === pdfPages.length) {
+        return 'canvas.pdf';
+    }
+
+    const first = part[0] + 1;
+    const last = part[part.length - 1] + 1;
+    return first === last ? `canvas-page-${first}.pdf` : `canvas-pages-${first}-${last}.pdf`;
+}
+
+/**
+ * DOWNLOADS THE EXPORTED FILES, SEPARATELY OR AS ONE ZIP
+ *
+ * @param {{name: string, blob: Blob}[]} files - Exported parts, in order.
+ */
+async function deliverExportFiles(files) {
+    if (files.length === 1) {
+        downloadBlob(files[0].blob, files[0].name);
+        return;
+    }
+
+    // Ranges may repeat: keep every name unique
+    const usedNames = {};
+    files.forEach(file => {
+        usedNames[file.name] = (usedNames[file.name] || 0) + 1;
+        if (usedNames[file.name] > 1) {
+            file.name = file.name.replace(/\.pdf$/, `-${usedNames[file.name]}.pdf`);
+        }
+    });
+
+    const deliverySelect = document.getElementById('export-delivery');
+    if (!deliverySelect || deliverySelect.value === 'zip') {
+        if (typeof JSZip === 'undefined') {
+            console.error('JSZip is not loaded');
+            throw new Error('JSZip library is not available');
+        }
+
+        const zip = new JSZip();
+        files.forEach(file => zip.file(file.name, file.blob));
+        downloadBlob(await zip.generateAsync({ type: 'blob' }), 'canvas-split.zip');
+        return;
+    }
+
+    for (const file of files) {
+        downloadBlob(file.blob, file.name);
+        await new Promise(resolve => setTimeout(resolve, SEPARATE_DOWNLOAD_DELAY));
+    }
+}
+
+/**
+ * COPIES SOME PAGES OF AN EXPORTED PDF-LIB DOCUMENT INTO A NEW ONE
+ *
+ * A new document only carries what its pages use, so a part of a large
+ * scanned bundle stays small.
+ *
+ * @param {Object} pdfDoc - Exported document (pages match `pdfPages`).
+ * @param {number[]} part - Zero-based indexes of the pages to copy.
+ * @returns {Promise<Object>} The new pdf-lib PDFDocument.
+ */
+async function extractPdfPart(pdfDoc, part) {
+    const partDoc = await PDFLib.PDFDocument.create();
+    const copiedPages = await partDoc.copyPages(pdfDoc, part);
+    copiedPages.forEach(pdfPage => partDoc.addPage(pdfPage));
+
+    copyFormFieldsToPart(pdfDoc, partDoc, copiedPages);
+    return partDoc;
+}
+
+/**
+ * KEEPS THE FORM FIELDS OF COPIED PAGES FILLABLE
+ *
+ * copyPages() brings the widgets along with their field dictionaries, but
+ * the AcroForm of the new document doesn't list them yet.
+ */
+function copyFormFieldsToPart(sourceDoc, partDoc, copiedPages) {
+    const sourceForm = sourceDoc.catalog.getAcroForm();
+    if (!sourceForm) return;
+
+    const parentKey = PDFLib.PDFName.of('Parent');
+    const fieldRefs = [];
+    copiedPages.forEach(pdfPage => {
+        const annots = pdfPage.node.Annots();
+        if (!annots) return;
+
+        annots.asArray().forEach(ref => {
+            let dict = partDoc.context.lookup(ref);
+            if (!(dict instanceof PDFLib.PDFDict) || dict.get(PDFLib.PDFName.of('Subtype')) !== PDFLib.PDFName.of('Widget')) {
+                return;
+            }
+
+            // The AcroForm lists the top-level fields only
+            let fieldRef = ref;
+            while (dict.get(parentKey)) {
+                fieldRef = dict.get(parentKey);
+                dict = partDoc.context.lookup(fieldRef);
+            }
+            if (!fieldRefs.includes(fieldRef)) {
+                fieldRefs.push(fieldRef);
+            }
+        });
+    });
+    if (fieldRefs.length === 0) return;
+
+    const acroForm = partDoc.getForm().acroForm;
+    fieldRefs.forEach(fieldRef => acroForm.addField(fieldRef));
+
+    // Default appearance, fonts and NeedAppearances of the original form
+    const resourcesKey = PDFLib.PDFName.of('DR');
+    const resources = sourceForm.dict.get(resourcesKey);
+    if (resources) {
+        acroForm.dict.set(resourcesKey, PDFLib.PDFObjectCopier.for(sourceDoc.context, partDoc.context).copy(resources));
+    }
+    ['DA', 'NeedAppearances'].forEach(key => {
+        const value = sourceForm.dict.get(PDFLib.PDFName.of(key));
+        if (value) {
+            acroForm.dict.set(PDFLib.PDFName.of(key), value);
+        }
+    });
+}
+
+// =============================================================================
+// MODULE 4: COMMAND HISTORY (UNDO / REDO)
+// =============================================================================
+
+/**
+ * MODULE 4: COMMAND HISTORY
+ * =========================
+ *
+ * Every reversible canvas operation (create, move, transform, text edit,
+ * style change, delete) is recorded as a command object:
+ *   { label, page, undo(), redo() }
+ * `page` is the `pdfPages` entry the command belongs to; undoing or redoing
+ * a command first switches to that page so the user sees the change.
+ *
+ * Deleted nodes are detached with remove() instead of destroy(), so undo can
+ * put the very same node (with all its event handlers) back in place.
+ */
+
+const HISTORY_LIMIT = 100;
+const undoStack = [];
+const redoStack = [];
+
+// True while a command is being undone/redone, so it isn't recorded again
+let isApplyingHistory = false;
+
+// Attributes changed by the Transformer (resize/rotate)
+const TRANSFORM_ATTRS = ['x', 'y', 'width', 'height', 'rotation', 'scaleX', 'scaleY', 'skewX', 'skewY'];
+
+/**
+ * PUSHES A NEW COMMAND ONTO THE UNDO STACK
+ * ========================================
+ *
+ * @param {Object} command - { label, undo(), redo(), page? }
+ */
+function recordCommand(command) {
+    if (isApplyingHistory) return;
+
+    command.page = command.page || pdfPages[currentPageIndex];
+    undoStack.push(command);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+
+    // A new action invalidates whatever could have been redone
+    redoStack.length = 0;
+    updateHistoryControls();
+}
+
+/**
+ * UNDOES THE LAST RECORDED COMMAND
+ */
+function undo() {
+    const command = undoStack.pop();
+    if (!command) return;
+
+    runHistoryCommand(command, 'undo');
+    redoStack.push(command);
+    updateHistoryControls();
+}
+
+/**
+ * REDOES THE LAST UNDONE COMMAND
+ */
+function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+
+    runHistoryCommand(command, 'redo');
+    undoStack.push(command);
+    updateHistoryControls();
+}
+
+/**
+ * RUNS ONE SIDE OF A COMMAND ON ITS OWN PAGE
+ *
+ * @param {Object} command - Command taken from one of the stacks.
+ * @param {string} action - 'undo' or 'redo'.
+ */
+function runHistoryCommand(command, action) {
+    const pageIndex = pdfPages.indexOf(command.page);
+    if (pageIndex !== -1 && pageIndex !== currentPageIndex) {
+        showPage(pageIndex);
+    }
+
+    isApplyingHistory = true;
+    try {
+        command[action]();
+    } finally {
+        isApplyingHistory = false;
+    }
+
+    layer.batchDraw();
+}
+
+/**
+ * RECORDS THE CREATION OF A NODE THAT WAS JUST ADDED TO ITS LAYER
+ *
+ * @param {Konva.Node} node - The new node.
+ * @param {string} label - Human readable description.
+ */
+function recordNodeCreation(node, label) {
+    const parent = node.getParent();
+
+    recordCommand({
+        label: label,
+        undo: () => detachNode(node),
+        redo: () => parent.add(node)
+    });
+}
+
+/**
+ * RECORDS THE CREATION OF SEVERAL NODES (E.G. A PASTE) AS ONE COMMAND
+ *
+ * @param {Konva.Node[]} nodes - The new nodes, bottom-to-top.
+ * @param {string} label - Human readable description.
+ */
+function recordNodesCreation(nodes, label) {
+    const parents = nodes.map(node => node.getParent());
+
+    recordCommand({
+        label: label,
+        undo: () => nodes.forEach(node => detachNode(node)),
+        redo: () => nodes.forEach((node, i) => parents[i].add(node))
+    });
+}
+
+/**
+ * DELETES NODES IN AN UNDOABLE WAY
+ * ================================
+ *
+ * @param {Konva.Node[]} nodes - Nodes to remove from the canvas.
+ * @param {string} [label] - Human readable description.
+ */
+function deleteNodes(nodes, label = 'Delete') {
+    // Bottom-to-top, so undo can put each node back at its own index
+    const removed = nodes
+        .filter(node => node.getParent())
+        .map(node => ({ node: node, parent: node.getParent(), zIndex: node.zIndex() }))
+        .sort((a, b) => a.zIndex - b.zIndex);
+    if (!removed.length) return;
+
+    removed.forEach(entry => detachNode(entry.node));
+    removed[0].parent.batchDraw();
+
+    recordCommand({
+        label: label,
+        undo: () => removed.forEach(entry => {
+            entry.parent.add(entry.node);
+            entry.node.zIndex(entry.zIndex);
+        }),
+        redo: () => removed.forEach(entry => detachNode(entry.node))
+    });
+}
+
+/**
+ * REMOVES A NODE (AND ANY TRANSFORMER ATTACHED TO IT) WITHOUT DESTROYING IT
+ */
+function detachNode(node) {
+    if (getSelectedNodes().includes(node)) {
+        // The rest of the selection keeps a transformer of its own
+        selectNodes(getSelectedNodes().filter(selected => selected !== node));
+    }
+    const nodeLayer = node.getLayer();
+    if (nodeLayer) {
+        nodeLayer.find('Transformer').forEach(transformer => {
+            if (transformer.nodes().includes(node)) {
+                transformer.destroy();
+            }
+        });
+    }
+    node.transformer = null;
+    node.remove();
+}
+
+/**
+ * READS A SET OF ATTRIBUTES FROM A NODE
+ *
+ * @param {Konva.Node} node - Source node.
+ * @param {string[]} keys - Attribute names.
+ * @returns {Object} Plain object with the current values.
+ */
+function captureAttrs(node, keys) {
+    const attrs = {};
+    keys.forEach(key => {
+        attrs[key] = node.getAttr(key);
+    });
+    return attrs;
+}
+
+/**
+ * RECORDS AN ATTRIBUTE CHANGE, IGNORING NO-OPS
+ *
+ * @param {Konva.Node} node - Changed node.
+ * @param {Object} before - Attributes before the change.
+ * @param {Object} after - Attributes after the change.
+ * @param {string} label - Human readable description.
+ */
+function recordAttrsChange(node, before, after, label) {
+    const changed = Object.keys(after).some(key => before[key] !== after[key]);
+    if (!changed) return;
+
+    recordCommand({
+        label: label,
+        undo: () => node.setAttrs(before),
+        redo: () => node.setAttrs(after)
+    });
+}
+
+/**
+ * RECORDS THE SAME KIND OF CHANGE ON SEVERAL NODES AS ONE COMMAND
+ *
+ * @param {Konva.Node[]} nodes - Changed nodes.
+ * @param {Object[]} before - Attributes of each node before the change.
+ * @param {Object[]} after - Attributes of each node after the change.
+ * @param {string} label - Human readable description.
+ */
+function recordGroupAttrsChange(nodes, before, after, label) {
+    const changed = nodes.some((node, i) => Object.keys(after[i]).some(key => before[i][key] !== after[i][key]));
+    if (!changed) return;
+
+    recordCommand({
+        label: label,
+        undo: () => nodes.forEach((node, i) => node.setAttrs(before[i])),
+        redo: () => nodes.forEach((node, i) => node.setAttrs(after[i]))
+    });
+}
+
+/**
+ * RETURNS THE ATTRIBUTES A TRANSFORMER CHANGES ON A NODE
+ */
+function getTransformAttrs(node) {
+    // Resizing an auto-fit text box also changes its font size
+    return node.getClassName() === 'Text' ? [...TRANSFORM_ATTRS, 'fontSize'] : TRANSFORM_ATTRS;
+}
+
+/**
+ * RECORDS DRAG MOVES AND TRANSFORMER RESIZE/ROTATE OF A NODE
+ *
+ * @param {Konva.Node} node - Draggable/transformable node.
+ */
+function registerHistoryHandlers(node) {
+    let attrsBeforeDrag = null;
+    let attrsBeforeTransform = null;
+
+    // Nodes moved or transformed as a group are recorded by the selection (MODULE 14)
+    node.on('dragstart.history', () => {
+        if (isInGroupSelection(node)) return;
+        attrsBeforeDrag = captureAttrs(node, ['x', 'y']);
+    });
+
+    node.on('dragend.history', () => {
+        if (!attrsBeforeDrag) return;
+        recordAttrsChange(node, attrsBeforeDrag, captureAttrs(node, ['x', 'y']), 'Move');
+        attrsBeforeDrag = null;
+    });
+
+    const transformAttrs = getTransformAttrs(node);
+
+    node.on('transformstart.history', () => {
+        if (isInGroupSelection(node)) return;
+        attrsBeforeTransform = captureAttrs(node, transformAttrs);
+    });
+
+    node.on('transformend.history', () => {
+        if (!attrsBeforeTransform) return;
+        recordAttrsChange(node, attrsBeforeTransform, captureAttrs(node, transformAttrs), 'Transform');
+        attrsBeforeTransform = null;
+    });
+}
+
+/**
+ * EMPTIES BOTH HISTORY STACKS (E.G. AFTER RESTORING A SAVED SCENE)
+ */
+function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateHistoryControls();
+}
+
+/**
+ * REFRESHES THE UNDO/REDO TOOLBAR BUTTONS AND THEIR DEPTH COUNTERS
+ */
+function updateHistoryControls() {
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+    const undoCount = document.getElementById('undo-count');
+    const redoCount = document.getElementById('redo-count');
+
+    if (undoButton) {
+        undoButton.disabled = undoStack.length === 0;
+        undoButton.title = undoStack.length
+            ? `Undo ${undoStack[undoStack.length - 1].label} (Ctrl+Z)`
+            : 'Nothing to undo';
+    }
+    if (redoButton) {
+        redoButton.disabled = redoStack.length === 0;
+        redoButton.title = redoStack.length
+            ? `Redo ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)`
+            : 'Nothing to redo';
+    }
+    if (undoCount) {
+        undoCount.textContent = undoStack.length;
+    }
+    if (redoCount) {
+        redoCount.textContent = redoStack.length;
+    }
+
+    // Lets other panels follow changes made through the history
+    document.dispatchEvent(new CustomEvent('historyChanged'));
+}
+
+/**
+ * RETURNS TRUE WHEN A DOM ELEMENT ACCEPTS TYPED TEXT
+ * (shortcuts must not fire while the user is typing)
+ */
+function isTextEntryTarget(element) {
+    if (!element) return false;
+    const tagName = element.tagName;
+    return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || element.isContentEditable;
+}
+
+/**
+ * CONFIGURES THE TOOLBAR BUTTONS AND CTRL+Z / CTRL+SHIFT+Z SHORTCUTS
+ */
+function setupHistory() {
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+
+    if (undoButton) {
+        undoButton.addEventListener('click', undo);
+    }
+    if (redoButton) {
+        redoButton.addEventListener('click', redo);
+    }
+
+    registerShortcut({
+        keys: 'Ctrl+Z',
+        description: 'Undo',
+        match: event => isShortcut(event, 'z', { ctrl: true }),
+        run: undo
+    });
+    registerShortcut({
+        keys: 'Ctrl+Shift+Z / Ctrl+Y',
+        description: 'Redo',
+        match: event => isShortcut(event, 'z', { ctrl: true, shift: true }) || isShortcut(event, 'y', { ctrl: true }),
+        run: redo
+    });
+
+    updateHistoryControls();
+
+    console.log('Undo/redo history configured');
+}
+
+// =============================================================================
+// MODULE 5: SCENE DOCUMENTS (SAVE AND REOPEN EDITING SESSIONS)
+// =============================================================================
+
+/**
+ * MODULE 5: SCENE DOCUMENTS
+ * =========================
+ *
+ * Serializes the overlays of every page into a JSON scene document, stores it
+ * on the server under the signed-in user and rehydrates it into Konva nodes
+ * (with all their event handlers) when the document is reopened.
+ *
+ * SCENE FORMAT (version 2):
+ * {
+ *   "version": 2,
+ *   "formValues": {                   // values of the PDF's own form fields, by field name
+ *     "customer.name": "Jane Doe", "accept": "Yes"
+ *   },
+ *   "sources": [                      // PDFs appended in the page organiser (MODULE 18)
+ *     { "name": "appendix.pdf", "data": "JVBERi0xLjcK..." }   // Base64
+ *   ],
+ *   "watermark": {                    // document-wide watermark (MODULE 19) or null
+ *     "type": "text", "text": "DRAFT", "fontSize": 72, "opacity": 0.2, "rotation": -45,
+ *     "position": "center", "pages": "1-3, 7", ...
+ *   },
+ *   "headerFooter": {                 // headers and footers (MODULE 21) or null
+ *     "footer": { "left": "{file}", "center": "Page {page} of {pages}", "right": "{bates}" },
+ *     "batesPrefix": "ABC", "batesStart": 1, "batesDigits": 6, "fontSize": 10, ...
+ *   },
+ *   "pages": [                        // in document order
+ *     {
+ *       "source": 0,                  // 0: the uploaded PDF, n: sources[n - 1], null: blank page
+ *       "pageNumber": 1,              // 1-based page of its source PDF
+ *       "blank": null,                // blank pages: { "width": 612, "height": 792 } in points
+ *       "rotation": 0,                // displayed rotation in degrees
+ *       "width": 918,                 // page background size in canvas units; scenes saved
+ *       "height": 1188,               // with another size are scaled on load
+ *       "nodes": [                    // bottom-to-top (z-order)
+ *         { "type": "text",  "attrs": { "text": "...", "x": 10, "y": 20, "fontSize": 24, ... } },
+ *         { "type": "text",  "attrs": { "text": "...", "coverRect": { "x": 72, "y": 90, "width": 80, "height": 12 },
+ *                                        "coverColor": "#ffffff", ... } },   // edited PDF text
+ *         { "type": "image", "attrs": { "src": "data:image/png;base64,...", "fileName": "logo.png",
+ *                                        "x": 150, "y": 150, "width": 400, "height": 300, ... } },
+ *         { "type": "shape", "attrs": { "shapeType": "rect", "x": 40, "y": 60, "width": 200, "stroke": "#e53e3e", ... } },
+ *         { "type": "ink",   "attrs": { "inkPoints": [x1, y1, x2, y2, ...], "inkPressures": [0.5, ...],
+ *                                        "inkWidth": 3, "fill": "#1a202c", ... } },
+ *         { "type": "markup", "attrs": { "markupType": "highlight", "markupText": "...",
+ *                                        "markupRects": [{ "x": 72, "y": 90, "width": 300, "height": 14 }], ... } },
+ *         { "type": "redaction", "attrs": { "x": 72, "y": 300, "width": 120, "height": 16, ... } }
+ *       ],
+ *       "redactions": [               // applied redactions, burnt into the page again on load
+ *         { "x": 72, "y": 300, "width": 120, "height": 16 }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * `attrs` are the serializable Konva attributes of the node (Node.toObject()),
+ * so rotation, scale and styles survive a round trip. Images embed their
+ * original data URL in `src`.
+ *
+ * Node types are resolved through `sceneNodeTypes`; every overlay kind
+ * registers the Konva name it uses, the factory that recreates it and how
+ * it is described in the objects panel (MODULE 16). Factories that record
+ * their own creation in the history accept { recordHistory: false }.
+ *
+ * Common attributes: `objectName` (name given in the objects panel) and
+ * `locked` (cannot be selected or moved).
+ *
+ * Version 1 scenes have no `source`, `blank` or `rotation`: their pages are
+ * matched to the pages of the uploaded PDF by `pageNumber`.
+ */
+
+const SCENE_VERSION = 2;
+
+const sceneNodeTypes = {
+    text: {
+        name: 'draggable-text',
+        create: (attrs, options) => createDraggableText(attrs.text, attrs.x, attrs.y, attrs, options),
+        describe: (node) => node.text().trim().split('\n')[0] || 'Empty text'
+    },
+    image: {
+        name: 'draggable-image',
+        create: (attrs, options) => createDraggableImage(attrs.src, attrs.fileName, attrs.x, attrs.y, attrs, options),
+        describe: (node) => (node.hasName('signature') ? 'Signature: ' : node.hasName('stamp') ? 'Stamp: ' : '') + (node.getAttr('fileName') || 'Image')
+    },
+    shape: {
+        name: 'annotation-shape',
+        create: (attrs) => createShapeNode(attrs.shapeType, attrs),
+        describe: (node) => ({ rect: 'Rectangle', ellipse: 'Ellipse', line: 'Line', arrow: 'Arrow' })[node.getAttr('shapeType')] || 'Shape'
+    },
+    ink: {
+        name: 'ink-stroke',
+        create: (attrs) => createInkStroke(attrs),
+        describe: () => 'Ink stroke'
+    },
+    markup: {
+        name: 'text-markup',
+        create: (attrs) => createTextMarkup(attrs.markupType, attrs),
+        describe: (node) => `${TEXT_MARKUP_TYPES[node.getAttr('markupType')].label}: ${node.getAttr('markupText') || ''}`
+    },
+    redaction: {
+        name: 'redaction-mark',
+        create: (attrs) => createRedactionMark(attrs),
+        describe: () => 'Redaction mark'
+    }
+};
+
+/**
+ * RETURNS THE SCENE TYPE OF A NODE, OR NULL IF IT IS NOT A SAVABLE OVERLAY
+ */
+function getSceneNodeType(node) {
+    return Object.keys(sceneNodeTypes).find(type => node.hasName(sceneNodeTypes[type].name)) || null;
+}
+
+/**
+ * BUILDS THE SCENE DOCUMENT FOR ALL PAGES
+ * =======================================
+ *
+ * @returns {Object} Scene document (see format above).
+ */
+function serializeScene() {
+    return {
+        version: SCENE_VERSION,
+        formValues: { ...formFieldValues },
+        sources: pdfSources.slice(1).map(source => ({ name: source.name, data: source.data })),
+        watermark: watermarkSettings,
+        headerFooter: headerFooterSettings,
+        pages: pdfPages.map(page => ({
+            source: page.sourceIndex,
+            pageNumber: page.pageNumber,
+            blank: page.blankSize || null,
+            rotation: page.rotation,
+            width: page.background.width(),
+            height: page.background.height(),
+            redactions: page.redactions || [],
+            nodes: page.layer.getChildren()
+                .filter(node => getSceneNodeType(node) !== null)
+                .map(serializeNode)
+        }))
+    };
+}
+
+/**
+ * SERIALIZES ONE OVERLAY NODE (ALSO USED BY COPY/PASTE, MODULE 17)
+ *
+ * @param {Konva.Node} node - Node with a scene type.
+ * @returns {{type: string, attrs: Object}} Scene node.
+ */
+function serializeNode(node) {
+    return {
+        type: getSceneNodeType(node),
+        attrs: node.toObject().attrs
+    };
+}
+
+/**
+ * RECREATES THE NODES OF A SCENE DOCUMENT ON THEIR PAGES
+ * ======================================================
+ *
+ * @param {Object} scene - Scene document (see format above).
+ */
+async function loadScene(scene) {
+    if (!scene || !Array.isArray(scene.pages)) {
+        console.warn('Invalid scene document, nothing to restore');
+        return;
+    }
+
+    if (scene.version > SCENE_VERSION) {
+        console.warn(`Scene version ${scene.version} is newer than the supported version ${SCENE_VERSION}`);
+    }
+
+    if (scene.formValues) {
+        Object.entries(scene.formValues).forEach(([fieldName, value]) => setFormFieldValue(fieldName, value));
+    }
+
+    // Version 2 scenes carry the page structure (order, rotations, blank and
+    // appended pages); its pages match the scene pages one to one
+    const structuredPages = scene.pages.some(scenePage => 'source' in scenePage)
+        ? await restorePageStructure(scene)
+        : null;
+
+    if (scene.watermark) {
+        await setWatermark(await loadWatermarkState(scene.watermark));
+    }
+    if (scene.headerFooter) {
+        setHeaderFooter(scene.headerFooter);
+    }
+
+    // The node factories add to the global `layer`, so point it at each page in turn
+    const previousLayer = layer;
+    const pendingPages = [];
+
+    scene.pages.forEach((scenePage, index) => {
+        const page = structuredPages
+            ? structuredPages[index]
+            : pdfPages.find(candidate => candidate.sourceIndex === 0 && candidate.pageNumber === scenePage.pageNumber);
+        if (!page) {
+            console.warn(`Scene page ${scenePage.pageNumber} does not exist in this PDF`);
+            return;
+        }
+
+        // Scenes saved with another page size (e.g. before pages kept their
+        // real size in points) are scaled to the current background
+        const ratio = scenePage.width ? page.background.width() / scenePage.width : 1;
+
+        if (Array.isArray(scenePage.redactions) && scenePage.redactions.length > 0) {
+            burnRedactions(page, scenePage.redactions.map(area => scaleSceneRect(area, ratio)));
+        }
+
+        layer = page.layer;
+        const pendingNodes = [];
+        (scenePage.nodes || []).forEach(sceneNode => {
+            const nodeType = sceneNodeTypes[sceneNode.type];
+            if (!nodeType) {
+                console.warn(`Unknown scene node type "${sceneNode.type}"`);
+                return;
+            }
+            pendingNodes.push(Promise.resolve(nodeType.create(scaleSceneAttrs(sceneNode.attrs || {}, ratio))));
+        });
+        pendingPages.push(Promise.all(pendingNodes));
+    });
+
+    layer = previousLayer;
+
+    // Images load asynchronously and may finish out of order,
+    // so re-apply the saved z-order once every node exists
+    const restoredPages = await Promise.all(pendingPages);
+    restoredPages.forEach(nodes => {
+        nodes.filter(Boolean).forEach(node => node.moveToTop());
+    });
+
+    // A freshly opened document starts with an empty history
+    clearHistory();
+    layer.batchDraw();
+}
+
+/**
+ * SCALES THE POSITION AND SIZE OF SAVED NODE ATTRIBUTES BY A PAGE SIZE RATIO
+ */
+function scaleSceneAttrs(attrs, ratio) {
+    if (ratio === 1) return attrs;
+
+    const scaled = Object.assign({}, attrs, {
+        x: (attrs.x || 0) * ratio,
+        y: (attrs.y || 0) * ratio,
+        scaleX: (attrs.scaleX === undefined ? 1 : attrs.scaleX) * ratio,
+        scaleY: (attrs.scaleY === undefined ? 1 : attrs.scaleY) * ratio
+    });
+    if (attrs.coverRect) {
+        scaled.coverRect = scaleSceneRect(attrs.coverRect, ratio);
+    }
+    return scaled;
+}
+
+/**
+ * SCALES A SAVED {x, y, width, height} AREA BY A PAGE SIZE RATIO
+ */
+function scaleSceneRect(area, ratio) {
+    return {
+        x: area.x * ratio,
+        y: area.y * ratio,
+        width: area.width * ratio,
+        height: area.height * ratio
+    };
+}
+
+/**
+ * SAVES THE CURRENT SCENE TO THE SERVER
+ * =====================================
+ *
+ * The first save uploads the PDF and creates the document; later saves only
+ * overwrite the scene. The URL is updated so a reload reopens the session.
+ */
+async function saveScene() {
+    const payload = {
+        name: (window.pdfDocument && window.pdfDocument.name) || window.pdfFileName || 'document.pdf',
+        scene: serializeScene()
+    };
+
+    const isNewDocument = !(window.pdfDocument && window.pdfDocument.id);
+    if (isNewDocument) {
+        payload.pdf_base64 = window.pdfBase64Data;
+    }
+
+    const response = await fetch(isNewDocument ? '/documents' : `/documents/${window.pdfDocument.id}`, {
+        method: isNewDocument ? 'POST' : 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-CSRF-TOKEN': getCsrfToken()
+        },
+        body: JSON.stringify(payload)
+    });
+
+    if (response.status === 413) {
+        // Refused before Laravel could validate it (web server or PHP post size limit)
+        throw new Error('The document is too large to be saved');
+    }
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || `Server responded with ${response.status}`);
+    }
+
+    const result = await response.json();
+    window.pdfDocument = { id: result.id, name: payload.name };
+    window.history.replaceState(null, '', `/documents/${result.id}`);
+
+    return result;
+}
+
+/**
+ * READS THE CSRF TOKEN LARAVEL PRINTS IN THE LAYOUT
+ */
+function getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.getAttribute('content') : '';
+}
+
+/**
+ * CONFIGURES THE SAVE SESSION BUTTON
+ */
+function setupSceneSaving() {
+    const saveButton = document.getElementById('save-session-btn');
+    const sessionStatus = document.getElementById('session-status');
+
+    if (!saveButton || !sessionStatus) {
+        console.error('Save session controls not found on the DOM');
+        return;
+    }
+
+    saveButton.addEventListener('click', async function(event) {
+        event.preventDefault();
+
+        if (pdfPages.length === 0) {
+            alert('The PDF is still loading, please wait');
+            return;
+        }
+
+        saveButton.disabled = true;
+        sessionStatus.textContent = '⏳ Saving session...';
+        sessionStatus.style.color = '#fd7e14';
+
+        try {
+            await saveScene();
+            sessionStatus.textContent = '✅ Session saved';
+            sessionStatus.style.color = '#48bb78';
+            setTimeout(() => {
+                sessionStatus.textContent = '';
+            }, 3000);
+        } catch (error) {
+            console.error('Error while saving the session:', error);
+            sessionStatus.textContent = '❌ ' + error.message;
+            sessionStatus.style.color = '#e53e3e';
+        } finally {
+            saveButton.disabled = false;
+        }
+    });
+
+    console.log('Scene saving configured');
+}
+
+// =============================================================================
+// MODULE 6: VIEWPORT ZOOM AND PAN
+// =============================================================================
+
+/**
+ * MODULE 6: VIEWPORT
+ * ==================
+ *
+ * Zooms and pans the stage over the page without touching the nodes:
+ * the zoom is the stage scale and the pan is the stage position, so node
+ * coordinates (and therefore exports) stay in page units at any zoom level.
+ *
+ * Controls:
+ * - Toolbar: zoom out / zoom in / fit width / fit page
+ * - Ctrl + wheel: zoom around the cursor
+ * - Wheel: scroll the page when it doesn't fit the viewport
+ * - Space + drag or middle mouse button: pan
+ */
+
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.2;
+
+// 'fit-page', 'fit-width' or 'custom' (after a manual zoom)
+let zoomMode = 'fit-page';
+
+/**
+ * RETURNS THE SIZE OF THE CURRENT PAGE IN CANVAS UNITS
+ */
+function getCurrentPageSize() {
+    const page = pdfPages[currentPageIndex];
+    if (page) {
+        return { width: page.background.width(), height: page.background.height() };
+    }
+    return { width: DEFAULT_PAGE_WIDTH, height: DEFAULT_PAGE_HEIGHT };
+}
+
+/**
+ * APPLIES THE CURRENT ZOOM MODE TO THE STAGE
+ */
+function applyZoomMode() {
+    if (!stage) return;
+
+    const pageSize = getCurrentPageSize();
+    const fitWidthScale = stage.width() / pageSize.width;
+    const fitPageScale = Math.min(fitWidthScale, stage.height() / pageSize.height);
+
+    if (zoomMode === 'fit-width') {
+        setZoom(fitWidthScale, null, 'fit-width');
+        stage.y(0); // start at the top of the page
+        clampStagePosition();
+    } else if (zoomMode === 'fit-page') {
+        setZoom(fitPageScale, null, 'fit-page');
+    } else {
+        clampStagePosition();
+        updateZoomIndicator();
+    }
+}
+
+/**
+ * SETS THE STAGE SCALE, KEEPING A SCREEN POINT FIXED
+ * ==================================================
+ *
+ * @param {number} scale - New stage scale (1 = one canvas unit per pixel).
+ * @param {{x: number, y: number}|null} focus - Container point that must not move,
+ *                                              defaults to the viewport center.
+ * @param {string} [mode] - Zoom mode to remember, 'custom' by default.
+ */
+function setZoom(scale, focus, mode = 'custom') {
+    const newScale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+    const oldScale = stage.scaleX();
+    const point = focus || { x: stage.width() / 2, y: stage.height() / 2 };
+
+    // Canvas point currently under the focus point
+    const pointTo = {
+        x: (point.x - stage.x()) / oldScale,
+        y: (point.y - stage.y()) / oldScale
+    };
+
+    stage.scale({ x: newScale, y: newScale });
+    stage.position({
+        x: point.x - pointTo.x * newScale,
+        y: point.y - pointTo.y * newScale
+    });
+
+    zoomMode = mode;
+    clampStagePosition();
+    stage.batchDraw();
+    updateZoomIndicator();
+}
+
+/**
+ * KEEPS THE PAGE INSIDE THE VIEWPORT
+ * ==================================
+ *
+ * Centers the page on an axis where it is smaller than the viewport and
+ * otherwise prevents panning past its edges.
+ */
+function clampStagePosition() {
+    const pageSize = getCurrentPageSize();
+    const scale = stage.scaleX();
+    const clampAxis = (position, pageLength, viewLength) => {
+        const scaledLength = pageLength * scale;
+        if (scaledLength <= viewLength) {
+            return (viewLength - scaledLength) / 2;
+        }
+        return Math.min(0, Math.max(viewLength - scaledLength, position));
+    };
+
+    stage.position({
+        x: clampAxis(stage.x(), pageSize.width, stage.width()),
+        y: clampAxis(stage.y(), pageSize.height, stage.height())
+    });
+}
+
+/**
+ * CONVERTS BROWSER CLIENT COORDINATES INTO CANVAS (PAGE) COORDINATES
+ *
+ * @param {number} clientX - MouseEvent.clientX
+ * @param {number} clientY - MouseEvent.clientY
+ * @returns {{x: number, y: number}} Point in layer units.
+ */
+function clientToCanvasPoint(clientX, clientY) {
+    const stageBox = stage.container().getBoundingClientRect();
+    return stage.getAbsoluteTransform().copy().invert().point({
+        x: clientX - stageBox.left,
+        y: clientY - stageBox.top
+    });
+}
+
+/**
+ * RETURNS THE CANVAS POINT AT THE CENTRE OF THE VIEWPORT
+ */
+function getViewportCenter() {
+    return stage.getAbsoluteTransform().copy().invert().point({
+        x: stage.width() / 2,
+        y: stage.height() / 2
+    });
+}
+
+/**
+ * TEMPORARILY SHOWS THE PAGE AT 100% FROM ITS TOP-LEFT CORNER FOR RASTER EXPORTS
+ *
+ * @returns {Function} Restores the previous zoom and pan.
+ */
+function resetViewportForExport() {
+    const previous = { scale: stage.scale(), position: stage.position(), mode: zoomMode };
+
+    stage.scale({ x: 1, y: 1 });
+    stage.position({ x: 0, y: 0 });
+
+    return () => {
+        stage.scale(previous.scale);
+        stage.position(previous.position);
+        zoomMode = previous.mode;
+        stage.batchDraw();
+    };
+}
+
+/**
+ * SHOWS THE CURRENT ZOOM PERCENTAGE AND ACTIVE FIT MODE
+ */
+function updateZoomIndicator() {
+    const indicator = document.getElementById('zoom-level');
+    if (indicator) {
+        indicator.textContent = Math.round(stage.scaleX() * 100) + '%';
+    }
+
+    document.querySelectorAll('[data-zoom-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.zoomMode === zoomMode);
+    });
+}
+
+/**
+ * CONFIGURES ZOOM CONTROLS, WHEEL ZOOM AND PANNING
+ */
+function setupViewport() {
+    const container = stage.container();
+
+    // TOOLBAR BUTTONS
+    const zoomInButton = document.getElementById('zoom-in-btn');
+    const zoomOutButton = document.getElementById('zoom-out-btn');
+    if (zoomInButton) {
+        zoomInButton.addEventListener('click', () => setZoom(stage.scaleX() * ZOOM_STEP));
+    }
+    if (zoomOutButton) {
+        zoomOutButton.addEventListener('click', () => setZoom(stage.scaleX() / ZOOM_STEP));
+    }
+    document.querySelectorAll('[data-zoom-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+            zoomMode = button.dataset.zoomMode;
+            applyZoomMode();
+        });
+    });
+
+    // WHEEL: CTRL + WHEEL ZOOMS AROUND THE CURSOR, WHEEL ALONE SCROLLS THE PAGE
+    stage.on('wheel', function(e) {
+        const event = e.evt;
+
+        if (event.ctrlKey || event.metaKey) {
+            event.preventDefault();
+            const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+            setZoom(stage.scaleX() * factor, stage.getPointerPosition());
+            return;
+        }
+
+        // Only take over the wheel when the page is larger than the viewport
+        const pageSize = getCurrentPageSize();
+        const overflows = pageSize.width * stage.scaleX() > stage.width()
+            || pageSize.height * stage.scaleY() > stage.height();
+        if (!overflows) return;
+
+        event.preventDefault();
+        stage.position({
+            x: stage.x() - (event.shiftKey ? event.deltaY : event.deltaX),
+            y: stage.y() - (event.shiftKey ? 0 : event.deltaY)
+        });
+        clampStagePosition();
+        stage.batchDraw();
+    });
+
+    // PANNING WITH SPACE + DRAG OR THE MIDDLE MOUSE BUTTON
+    let isSpacePressed = false;
+    let panStart = null;
+
+    document.addEventListener('keydown', function(event) {
+        if (event.code !== 'Space' || isTextEntryTarget(event.target) || event.target.tagName === 'BUTTON') return;
+        event.preventDefault(); // don't scroll the page
+        if (!isSpacePressed) {
+            isSpacePressed = true;
+            container.style.cursor = 'grab';
+        }
+    });
+
+    document.addEventListener('keyup', function(event) {
+        if (event.code !== 'Space') return;
+        isSpacePressed = false;
+        if (!panStart) {
+            container.style.cursor = getToolCursor();
+        }
+    });
+
+    // Capture phase: stop the event before Konva starts dragging a node or a drawing tool.
+    // Pointer events are used so mouse, pen and touch behave the same; cancelling the
+    // pointerdown also suppresses the compatibility mousedown Konva listens to.
+    container.addEventListener('pointerdown', function(event) {
+        if (event.button !== 1 && !(event.button === 0 && isSpacePressed)) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        panStart = {
+            clientX: event.clientX,
+            clientY: event.clientY,
+            stageX: stage.x(),
+            stageY: stage.y()
+        };
+        container.style.cursor = 'grabbing';
+    }, true);
+
+    container.addEventListener('mousedown', function(event) {
+        if (panStart) {
+            event.stopPropagation();
+        }
+    }, true);
+
+    window.addEventListener('pointermove', function(event) {
+        if (!panStart) return;
+
+        stage.position({
+            x: panStart.stageX + event.clientX - panStart.clientX,
+            y: panStart.stageY + event.clientY - panStart.clientY
+        });
+        clampStagePosition();
+        stage.batchDraw();
+    });
+
+    window.addEventListener('pointerup', function() {
+        if (!panStart) return;
+        panStart = null;
+        container.style.cursor = isSpacePressed ? 'grab' : getToolCursor();
+    });
+
+    // Fit modes depend on the page size, so re-apply them on page changes
+    document.addEventListener('pageChanged', applyZoomMode);
+
+    updateZoomIndicator();
+
+    console.log('Viewport zoom and pan configured');
+}
+
+// =============================================================================
+// MODULE 7: SHAPE ANNOTATION TOOLS
+// =============================================================================
+
+/**
+ * MODULE 7: SHAPE ANNOTATION TOOLS
+ * ================================
+ *
+ * Rectangles, ellipses, lines and arrows drawn by dragging on the page.
+ *
+ * TOOL MODES: `activeTool` is 'select' (normal interaction) or the name of a
+ * drawing tool registered in `canvasTools`. While a drawing tool is active the
+ * page layers stop listening, so pointer events reach the stage instead of
+ * starting a node drag, and are forwarded to the tool:
+ *   canvasTools[name] = { cursor, pointerdown(pos, evt), pointermove(pos, evt), pointerup(pos, evt) }
+ * `pos` is in page (layer) units, whatever the zoom and pan.
+ *
+ * Shapes keep a constant stroke width when scaled (strokeScaleEnabled: false)
+ * and their style (stroke, fill, width, dash, opacity) can be edited afterwards
+ * from the sidebar while the shape is selected.
+ */
+
+let activeTool = 'select';
+const canvasTools = {};
+
+// Style used for new shapes, updated by the sidebar controls
+const shapeStyle = {
+    stroke: '#e53e3e',
+    fill: '#e53e3e',
+    fillEnabled: false,
+    strokeWidth: 3,
+    dashStyle: 'solid',
+    opacity: 1
+};
+
+// Dash patterns (in page units) offered by the sidebar
+const SHAPE_DASH_PATTERNS = {
+    solid: [],
+    dashed: [12, 6],
+    dotted: [2, 6]
+};
+
+// Shapes smaller than this (page units) are discarded as accidental clicks
+const MIN_SHAPE_SIZE = 3;
+
+/**
+ * SWITCHES THE ACTIVE CANVAS TOOL
+ * ===============================
+ *
+ * @param {string} name - 'select' or a key of `canvasTools`.
+ */
+function setActiveTool(name) {
+    if (name !== 'select' && !canvasTools[name]) {
+        console.warn(`Unknown canvas tool "${name}"`);
+        return;
+    }
+
+    activeTool = name;
+    const drawing = name !== 'select';
+
+    // Nodes must not react (drag, transform) while drawing
+    pdfPages.forEach(page => page.layer.listening(!drawing));
+    if (drawing) {
+        clearSelection();
+    }
+
+    stage.container().style.cursor = getToolCursor();
+
+    document.querySelectorAll('[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === name);
+    });
+
+    document.dispatchEvent(new CustomEvent('toolChanged', { detail: { tool: name } }));
+}
+
+/**
+ * RETURNS THE CSS CURSOR OF THE ACTIVE TOOL
+ */
+function getToolCursor() {
+    const tool = canvasTools[activeTool];
+    return tool ? tool.cursor || 'crosshair' : '';
+}
+
+/**
+ * FORWARDS STAGE POINTER EVENTS TO THE ACTIVE DRAWING TOOL
+ */
+function setupCanvasTools() {
+    let isPointerDown = false;
+
+    stage.on('pointerdown', function(e) {
+        const tool = canvasTools[activeTool];
+        if (!tool || e.evt.button !== 0) return;
+
+        e.evt.preventDefault();
+        isPointerDown = true;
+        tool.pointerdown(stage.getRelativePointerPosition(), e.evt);
+    });
+
+    stage.on('pointermove', function(e) {
+        const tool = canvasTools[activeTool];
+        if (!tool || !isPointerDown) return;
+
+        e.evt.preventDefault();
+        tool.pointermove(stage.getRelativePointerPosition(), e.evt);
+    });
+
+    // Listen on the window so releasing the button outside the stage ends the stroke
+    window.addEventListener('pointerup', function(event) {
+        const tool = canvasTools[activeTool];
+        if (!tool || !isPointerDown) return;
+
+        isPointerDown = false;
+        stage.setPointersPositions(event);
+        tool.pointerup(stage.getRelativePointerPosition(), event);
+    });
+
+    // SIDEBAR TOOL BUTTONS: clicking the active tool goes back to select
+    document.querySelectorAll('[data-tool]').forEach(button => {
+        button.addEventListener('click', () => {
+            setActiveTool(activeTool === button.dataset.tool ? 'select' : button.dataset.tool);
+        });
+    });
+
+    // ESCAPE LEAVES ANY DRAWING TOOL
+    registerShortcut({
+        keys: 'Esc',
+        description: 'Leave the drawing tool',
+        match: event => event.key === 'Escape' && activeTool !== 'select',
+        run: () => setActiveTool('select')
+    });
+
+    // New pages must follow the current listening state
+    document.addEventListener('pageChanged', () => {
+        pdfPages.forEach(page => page.layer.listening(activeTool === 'select'));
+    });
+
+    console.log('Canvas tools configured');
+}
+
+/**
+ * CREATES A SHAPE ANNOTATION NODE
+ * ===============================
+ *
+ * @param {string} shapeType - 'rect', 'ellipse', 'line' or 'arrow'.
+ * @param {Object} attrs - Konva attributes (position, size/points, style).
+ * @returns {Konva.Shape} The shape, added to the current page layer.
+ */
+function createShapeNode(shapeType, attrs = {}) {
+    const shapeClasses = {
+        rect: Konva.Rect,
+        ellipse: Konva.Ellipse,
+        line: Konva.Line,
+        arrow: Konva.Arrow
+    };
+    const ShapeClass = shapeClasses[shapeType];
+    if (!ShapeClass) {
+        console.error(`Unknown shape type "${shapeType}"`);
+        return null;
+    }
+
+    const shapeNode = new ShapeClass({
+        ...getShapeStyleAttrs(shapeType),
+        draggable: true,
+        strokeScaleEnabled: false,
+        lineCap: 'round',
+        lineJoin: 'round',
+        hitStrokeWidth: 12, // easier to grab thin lines
+        name: 'annotation-shape',
+        id: shapeType + '-' + Date.now(),
+        shapeType: shapeType,
+        ...attrs
+    });
+
+    // ADD VISUAL EFFECTS FOR THE INTERACTION
+    shapeNode.on('mouseover', function() {
+        document.body.style.cursor = 'move';
+    });
+
+    shapeNode.on('mouseout', function() {
+        document.body.style.cursor = 'default';
+    });
+
+    // TRANSFORMER OF THE SHAPE
+    const isLinear = shapeType === 'line' || shapeType === 'arrow';
+    shapeNode.transformerConfig = () => ({
+        enabledAnchors: isLinear
+            ? ['middle-left', 'middle-right']
+            : ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'middle-left', 'middle-right', 'top-center', 'bottom-center'],
+        ignoreStroke: true
+    });
+
+    // EVENT: CLICK TO SELECT AND EDIT THE STYLE
+    shapeNode.on('click tap', function(e) {
+        selectNodeFromClick(shapeNode, e);
+        syncShapeStyleControls(shapeNode);
+    });
+
+    layer.add(shapeNode);
+    layer.batchDraw();
+
+    registerHistoryHandlers(shapeNode);
+
+    return shapeNode;
+}
+
+/**
+ * RETURNS THE KONVA STYLE ATTRIBUTES FOR THE CURRENT SHAPE STYLE
+ *
+ * @param {string} shapeType - Arrows also fill their head with the stroke colour.
+ * @param {Object} [style] - Style to convert, defaults to `shapeStyle`.
+ */
+function getShapeStyleAttrs(shapeType, style = shapeStyle) {
+    const isLinear = shapeType === 'line' || shapeType === 'arrow';
+    return {
+        stroke: style.stroke,
+        strokeWidth: style.strokeWidth,
+        fill: shapeType === 'arrow' ? style.stroke : style.fill,
+        fillEnabled: shapeType === 'arrow' || (!isLinear && style.fillEnabled),
+        dash: SHAPE_DASH_PATTERNS[style.dashStyle] || [],
+        dashEnabled: style.dashStyle !== 'solid',
+        opacity: style.opacity
+    };
+}
+
+/**
+ * REGISTERS THE DRAG-TO-DRAW TOOL OF ONE SHAPE TYPE
+ *
+ * @param {string} shapeType - 'rect', 'ellipse', 'line' or 'arrow'.
+ */
+function registerShapeTool(shapeType) {
+    let startPoint = null;
+    let shapeNode = null;
+
+    canvasTools[shapeType] = {
+        cursor: 'crosshair',
+
+        pointerdown(pos) {
+            startPoint = pos;
+            const initialAttrs = (shapeType === 'line' || shapeType === 'arrow')
+                ? { points: [pos.x, pos.y, pos.x, pos.y] }
+                : { x: pos.x, y: pos.y };
+            shapeNode = createShapeNode(shapeType, initialAttrs);
+        },
+
+        pointermove(pos, evt) {
+            if (!shapeNode) return;
+            updateShapeGeometry(shapeNode, shapeType, startPoint, pos, evt.shiftKey);
+            layer.batchDraw();
+        },
+
+        pointerup(pos, evt) {
+            if (!shapeNode) return;
+            updateShapeGeometry(shapeNode, shapeType, startPoint, pos, evt.shiftKey);
+
+            const box = shapeNode.getClientRect({ relativeTo: layer, skipStroke: true });
+            if (Math.max(box.width, box.height) < MIN_SHAPE_SIZE) {
+                // Just a click: discard the empty shape
+                shapeNode.destroy();
+                layer.batchDraw();
+            } else {
+                recordNodeCreation(shapeNode, 'Add ' + shapeType);
+                const createdShape = shapeNode;
+                setActiveTool('select');
+                // Select after the native click of this gesture, which would clear the selection
+                setTimeout(() => createdShape.fire('click'), 0);
+            }
+
+            shapeNode = null;
+            startPoint = null;
+        }
+    };
+}
+
+/**
+ * UPDATES A SHAPE BEING DRAWN FROM ITS START POINT TO THE POINTER
+ *
+ * @param {boolean} constrain - Shift key: squares/circles and 45° lines.
+ */
+function updateShapeGeometry(shapeNode, shapeType, start, pos, constrain) {
+    let dx = pos.x - start.x;
+    let dy = pos.y - start.y;
+
+    if (shapeType === 'line' || shapeType === 'arrow') {
+        if (constrain) {
+            const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+            const length = Math.hypot(dx, dy);
+            dx = Math.cos(angle) * length;
+            dy = Math.sin(angle) * length;
+        }
+        shapeNode.points([start.x, start.y, start.x + dx, start.y + dy]);
+        return;
+    }
+
+    if (constrain) {
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        dx = Math.sign(dx || 1) * size;
+        dy = Math.sign(dy || 1) * size;
+    }
+
+    const left = Math.min(start.x, start.x + dx);
+    const top = Math.min(start.y, start.y + dy);
+    const width = Math.abs(dx);
+    const height = Math.abs(dy);
+
+    if (shapeType === 'ellipse') {
+        shapeNode.setAttrs({
+            x: left + width / 2,
+            y: top + height / 2,
+            radiusX: width / 2,
+            radiusY: height / 2
+        });
+    } else {
+        shapeNode.setAttrs({ x: left, y: top, width: width, height: height });
+    }
+}
+
+/**
+ * RETURNS THE SHAPES AMONG THE CURRENTLY SELECTED NODES
+ */
+function getSelectedShapes() {
+    return getSelectedNodes().filter(node => node.hasName('annotation-shape'));
+}
+
+/**
+ * SHOWS THE STYLE OF A SELECTED SHAPE IN THE SIDEBAR CONTROLS
+ */
+function syncShapeStyleControls(shapeNode) {
+    const dashStyle = !shapeNode.dashEnabled() || shapeNode.dash().length === 0
+        ? 'solid'
+        : Object.keys(SHAPE_DASH_PATTERNS).find(key =>
+            SHAPE_DASH_PATTERNS[key].join() === shapeNode.dash().join()) || 'dashed';
+    const isArrow = shapeNode.getAttr('shapeType') === 'arrow';
+
+    Object.assign(shapeStyle, {
+        stroke: shapeNode.stroke(),
+        fill: isArrow ? shapeStyle.fill : shapeNode.fill() || shapeStyle.fill,
+        fillEnabled: isArrow ? shapeStyle.fillEnabled : shapeNode.fillEnabled() && !!shapeNode.fill(),
+        strokeWidth: shapeNode.strokeWidth(),
+        dashStyle: dashStyle,
+        opacity: shapeNode.opacity()
+    });
+    updateShapeStyleControls();
+}
+
+/**
+ * WRITES `shapeStyle` INTO THE SIDEBAR CONTROLS
+ */
+function updateShapeStyleControls() {
+    const controls = {
+        'shape-stroke-color': shapeStyle.stroke,
+        'shape-fill-color': shapeStyle.fill,
+        'shape-stroke-width': shapeStyle.strokeWidth,
+        'shape-dash-style': shapeStyle.dashStyle,
+        'shape-opacity': shapeStyle.opacity
+    };
+    Object.entries(controls).forEach(([id, value]) => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.value = value;
+        }
+    });
+
+    const fillToggle = document.getElementById('shape-fill-enabled');
+    if (fillToggle) {
+        fillToggle.checked = shapeStyle.fillEnabled;
+    }
+}
+
+/**
+ * CONFIGURES THE SHAPE TOOL BUTTONS AND STYLE CONTROLS
+ */
+function setupShapeTools() {
+    ['rect', 'ellipse', 'line', 'arrow'].forEach(registerShapeTool);
+
+    // STYLE CONTROLS
+    // 'input' previews the change live, 'change' records it in the history
+    const styleAttrKeys = ['stroke', 'strokeWidth', 'fill', 'fillEnabled', 'dash', 'dashEnabled', 'opacity'];
+    let attrsBeforeChange = null;
+
+    const readControls = () => {
+        const value = (id, fallback) => {
+            const control = document.getElementById(id);
+            return control ? control.value : fallback;
+        };
+        const fillToggle = document.getElementById('shape-fill-enabled');
+
+        shapeStyle.stroke = value('shape-stroke-color', shapeStyle.stroke);
+        shapeStyle.fill = value('shape-fill-color', shapeStyle.fill);
+        shapeStyle.fillEnabled = fillToggle ? fillToggle.checked : shapeStyle.fillEnabled;
+        shapeStyle.strokeWidth = Math.max(parseFloat(value('shape-stroke-width', shapeStyle.strokeWidth)) || 1, 0.5);
+        shapeStyle.dashStyle = value('shape-dash-style', shapeStyle.dashStyle);
+        shapeStyle.opacity = Math.min(Math.max(parseFloat(value('shape-opacity', shapeStyle.opacity)), 0.05), 1);
+    };
+
+    const previewChange = () => {
+        readControls();
+        const shapes = getSelectedShapes();
+        if (!attrsBeforeChange) {
+            attrsBeforeChange = shapes.map(node => ({ node: node, before: captureAttrs(node, styleAttrKeys) }));
+        }
+        shapes.forEach(node => node.setAttrs(getShapeStyleAttrs(node.getAttr('shapeType'))));
+        layer.batchDraw();
+    };
+
+    const commitChange = () => {
+        previewChange();
+        const changes = attrsBeforeChange
+            .map(change => ({ ...change, after: captureAttrs(change.node, styleAttrKeys) }))
+            .filter(change => styleAttrKeys.some(key => String(change.before[key]) !== String(change.after[key])));
+        attrsBeforeChange = null;
+
+        if (changes.length === 0) return;
+        recordCommand({
+            label: 'Change shape style',
+            undo: () => changes.forEach(change => change.node.setAttrs(change.before)),
+            redo: () => changes.forEach(change => change.node.setAttrs(change.after))
+        });
+    };
+
+    ['shape-stroke-color', 'shape-fill-color', 'shape-fill-enabled', 'shape-stroke-width', 'shape-dash-style', 'shape-opacity']
+        .forEach(id => {
+            const control = document.getElementById(id);
+            if (!control) return;
+            control.addEventListener('input', previewChange);
+            control.addEventListener('change', commitChange);
+        });
+
+    updateShapeStyleControls();
+
+    console.log('Shape tools configured');
+}
+
+/**
+ * RETURNS THE OUTLINE OF A SHAPE AS AN SVG PATH IN PAGE UNITS
+ * ===========================================================
+ *
+ * Local geometry is run through the node transform (position, rotation,
+ * scale), so the path matches what is drawn on the canvas. Ellipses are
+ * approximated with four cubic Bézier curves (affine transforms keep them exact).
+ *
+ * @returns {{outline: string, head: string|null}} Outline path and, for arrows, the head triangle.
+ */
+function getShapeSvgPath(shapeNode) {
+    const transform = shapeNode.getTransform();
+    const toPoint = (x, y) => {
+        const point = transform.point({ x: x, y: y });
+        return point.x.toFixed(3) + ' ' + point.y.toFixed(3);
+    };
+    const shapeType = shapeNode.getAttr('shapeType');
+
+    if (shapeType === 'rect') {
+        const width = shapeNode.width();
+        const height = shapeNode.height();
+        return {
+            outline: `M ${toPoint(0, 0)} L ${toPoint(width, 0)} L ${toPoint(width, height)} L ${toPoint(0, height)} Z`,
+            head: null
+        };
+    }
+
+    if (shapeType === 'ellipse') {
+        const rx = shapeNode.radiusX();
+        const ry = shapeNode.radiusY();
+        const k = 0.5522847498; // control point distance for a quarter circle
+        return {
+            outline: `M ${toPoint(rx, 0)} `
+                + `C ${toPoint(rx, ry * k)} ${toPoint(rx * k, ry)} ${toPoint(0, ry)} `
+                + `C ${toPoint(-rx * k, ry)} ${toPoint(-rx, ry * k)} ${toPoint(-rx, 0)} `
+                + `C ${toPoint(-rx, -ry * k)} ${toPoint(-rx * k, -ry)} ${toPoint(0, -ry)} `
+                + `C ${toPoint(rx * k, -ry)} ${toPoint(rx, -ry * k)} ${toPoint(rx, 0)} Z`,
+            head: null
+        };
+    }
+
+    // LINES AND ARROWS
+    const points = shapeNode.points();
+    let outline = '';
+    for (let i = 0; i < points.length; i += 2) {
+        outline += (i === 0 ? 'M ' : ' L ') + toPoint(points[i], points[i + 1]);
+    }
+
+    let head = null;
+    if (shapeType === 'arrow' && points.length >= 4) {
+        const n = points.length;
+        const tipX = points[n - 2];
+        const tipY = points[n - 1];
+        const angle = Math.atan2(tipY - points[n - 3], tipX - points[n - 4]);
+        const length = shapeNode.pointerLength();
+        const halfWidth = shapeNode.pointerWidth() / 2;
+        const baseX = tipX - Math.cos(angle) * length;
+        const baseY = tipY - Math.sin(angle) * length;
+        head = `M ${toPoint(tipX, tipY)} `
+            + `L ${toPoint(baseX - Math.sin(angle) * halfWidth, baseY + Math.cos(angle) * halfWidth)} `
+            + `L ${toPoint(baseX + Math.sin(angle) * halfWidth, baseY - Math.cos(angle) * halfWidth)} Z`;
+    }
+
+    return { outline: outline, head: head };
+}
+
+/**
+ * DRAWS A SHAPE ANNOTATION AS VECTOR PATHS (VECTOR EXPORT)
+ * ========================================================
+ *
+ * pdf-lib's drawSvgPath() uses a downward y axis from the given origin,
+ * so page-unit paths are drawn from the top-left corner of the PDF page.
+ */
+function stampShapeNode(pdfPage, shapeNode, mapping) {
+    const paths = getShapeSvgPath(shapeNode);
+    const strokeColor = colorToPdfRgb(shapeNode.stroke());
+    const opacity = shapeNode.opacity();
+    const common = {
+        x: 0,
+        y: mapping.pageHeight,
+        scale: mapping.scale,
+        opacity: opacity,
+        borderOpacity: opacity
+    };
+    const dash = shapeNode.dashEnabled() ? shapeNode.dash().map(value => value * mapping.scale) : undefined;
+    const isClosed = shapeNode.getAttr('shapeType') === 'rect' || shapeNode.getAttr('shapeType') === 'ellipse';
+
+    pdfPage.drawSvgPath(paths.outline, {
+        ...common,
+        borderColor: strokeColor,
+        borderWidth: shapeNode.strokeWidth() * mapping.scale,
+        borderDashArray: dash && dash.length ? dash : undefined,
+        borderLineCap: PDFLib.LineCapStyle.Round,
+        color: isClosed && shapeNode.fillEnabled() && shapeNode.fill() ? colorToPdfRgb(shapeNode.fill()) : undefined
+    });
+
+    if (paths.head) {
+        pdfPage.drawSvgPath(paths.head, {
+            ...common,
+            color: strokeColor
+        });
+    }
+}
+
+// =============================================================================
+// MODULE 8: FREEHAND INK
+// =============================================================================
+
+/**
+ * MODULE 8: FREEHAND INK
+ * ======================
+ *
+ * Pen strokes captured from mouse, trackpad or stylus through the canvas tool
+ * modes of module 7 ('ink' and 'eraser').
+ *
+ * STROKE MODEL: the smoothed centre line is kept in `inkPoints` (flat x/y list)
+ * with one pressure value per point in `inkPressures`, and `inkWidth` is the
+ * nominal pen width. What is drawn is a closed, filled Konva.Line: the outline
+ * of the stroke, whose width varies with the pressure. Storing the outline as
+ * plain points means the stroke exports as a single vector path and survives a
+ * scene round trip without any special rendering code.
+ *
+ * The eraser removes whole strokes it touches (in one undoable step).
+ */
+
+const inkStyle = {
+    color: '#1a202c',
+    width: 3,
+    opacity: 1,
+    usePressure: true
+};
+
+// Pointers without real pressure (mouse, most trackpads) report this value
+const DEFAULT_INK_PRESSURE = 0.5;
+
+// Input smoothing: new points move this fraction of the way towards the pointer
+const INK_SMOOTHING = 0.5;
+
+// Minimum distance (page units) between two recorded points
+const MIN_INK_POINT_DISTANCE = 1.5;
+
+// Radius of the eraser (page units)
+const ERASER_RADIUS = 8;
+
+/**
+ * CREATES AN INK STROKE NODE
+ * ==========================
+ *
+ * @param {Object} attrs - Konva attributes, must include `inkPoints`.
+ * @returns {Konva.Line} The stroke, added to the current page layer.
+ */
+function createInkStroke(attrs = {}) {
+    const strokeNode = new Konva.Line({
+        fill: inkStyle.color,
+        opacity: inkStyle.opacity,
+        inkWidth: inkStyle.width,
+        inkPressures: [],
+        closed: true,
+        strokeEnabled: false,
+        draggable: true,
+        name: 'ink-stroke',
+        id: 'ink-' + Date.now(),
+        ...attrs
+    });
+    updateInkOutline(strokeNode);
+
+    strokeNode.on('mouseover', function() {
+        document.body.style.cursor = 'move';
+    });
+
+    strokeNode.on('mouseout', function() {
+        document.body.style.cursor = 'default';
+    });
+
+    // TRANSFORMER OF THE STROKE
+    strokeNode.transformerConfig = () => ({
+        enabledAnchors: ['top-left', 'top-right', 'bottom-left', 'bottom-right']
+    });
+
+    // EVENT: CLICK TO SELECT AND EDIT THE STYLE
+    strokeNode.on('click tap', function(e) {
+        selectNodeFromClick(strokeNode, e);
+        syncInkStyleControls(strokeNode);
+    });
+
+    layer.add(strokeNode);
+    layer.batchDraw();
+
+    registerHistoryHandlers(strokeNode);
+
+    return strokeNode;
+}
+
+/**
+ * RECOMPUTES THE FILLED OUTLINE OF AN INK STROKE FROM ITS CENTRE LINE
+ * ===================================================================
+ *
+ * Each centre point is offset along its normal by half the pressure-scaled
+ * width on both sides; the ends get round caps. A single point becomes a dot.
+ */
+function updateInkOutline(strokeNode) {
+    const centre = strokeNode.getAttr('inkPoints') || [];
+    const pressures = strokeNode.getAttr('inkPressures') || [];
+    const baseWidth = strokeNode.getAttr('inkWidth');
+    const count = centre.length / 2;
+
+    const halfWidthAt = (i) => {
+        const pressure = pressures[i] !== undefined ? pressures[i] : DEFAULT_INK_PRESSURE;
+        // Pressure 0.5 draws the nominal width, 0 -> 40 %, 1 -> 160 %
+        return baseWidth * (0.4 + pressure * 1.2) / 2;
+    };
+    const capPoints = (x, y, radius, fromAngle) => {
+        const cap = [];
+        for (let step = 1; step < 8; step++) {
+            const angle = fromAngle + Math.PI * step / 8;
+            cap.push(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+        }
+        return cap;
+    };
+
+    if (count === 0) {
+        strokeNode.points([]);
+        return;
+    }
+
+    if (count === 1) {
+        const radius = halfWidthAt(0);
+        strokeNode.points([
+            centre[0] + radius, centre[1],
+            ...capPoints(centre[0], centre[1], radius, 0),
+            centre[0] - radius, centre[1],
+            ...capPoints(centre[0], centre[1], radius, Math.PI)
+        ]);
+        return;
+    }
+
+    const left = [];
+    const right = [];
+    const angles = [];
+    for (let i = 0; i < count; i++) {
+        const prev = Math.max(i - 1, 0);
+        const next = Math.min(i + 1, count - 1);
+        const angle = Math.atan2(centre[next * 2 + 1] - centre[prev * 2 + 1], centre[next * 2] - centre[prev * 2]);
+        const halfWidth = halfWidthAt(i);
+        const normalX = -Math.sin(angle) * halfWidth;
+        const normalY = Math.cos(angle) * halfWidth;
+
+        left.push(centre[i * 2] + normalX, centre[i * 2 + 1] + normalY);
+        right.unshift(centre[i * 2] - normalX, centre[i * 2 + 1] - normalY);
+        angles.push(angle);
+    }
+
+    const last = count - 1;
+    strokeNode.points([
+        ...left,
+        ...capPoints(centre[last * 2], centre[last * 2 + 1], halfWidthAt(last), angles[last] + Math.PI / 2),
+        ...right,
+        ...capPoints(centre[0], centre[1], halfWidthAt(0), angles[0] - Math.PI / 2)
+    ]);
+}
+
+/**
+ * READS THE PRESSURE OF A POINTER EVENT (OR THE DEFAULT IF IT HAS NONE)
+ */
+function getPointerPressure(evt) {
+    if (!inkStyle.usePressure || evt.pointerType !== 'pen' || !evt.pressure) {
+        return DEFAULT_INK_PRESSURE;
+    }
+    return evt.pressure;
+}
+
+/**
+ * REGISTERS THE PEN TOOL
+ */
+function registerInkTool() {
+    let strokeNode = null;
+    let lastPoint = null;
+
+    const addPoint = (pos, evt) => {
+        // Exponential smoothing removes the jitter of the raw pointer positions
+        const point = lastPoint
+            ? {
+                x: lastPoint.x + (pos.x - lastPoint.x) * INK_SMOOTHING,
+                y: lastPoint.y + (pos.y - lastPoint.y) * INK_SMOOTHING
+            }
+            : pos;
+
+        if (lastPoint && Math.hypot(point.x - lastPoint.x, point.y - lastPoint.y) < MIN_INK_POINT_DISTANCE) {
+            return;
+        }
+
+        strokeNode.setAttr('inkPoints', [...strokeNode.getAttr('inkPoints'), point.x, point.y]);
+        strokeNode.setAttr('inkPressures', [...strokeNode.getAttr('inkPressures'), getPointerPressure(evt)]);
+        updateInkOutline(strokeNode);
+        layer.batchDraw();
+        lastPoint = point;
+    };
+
+    canvasTools.ink = {
+        cursor: 'crosshair',
+
+        pointerdown(pos, evt) {
+            lastPoint = null;
+            strokeNode = createInkStroke({ inkPoints: [] });
+            addPoint(pos, evt);
+        },
+
+        pointermove(pos, evt) {
+            if (!strokeNode) return;
+
+            // Coalesced events give the full resolution of fast stylus movements
+            const events = evt.getCoalescedEvents ? evt.getCoalescedEvents() : [];
+            if (events.length > 1) {
+                events.forEach(coalesced => {
+                    stage.setPointersPositions(coalesced);
+                    addPoint(stage.getRelativePointerPosition(), coalesced);
+                });
+            } else {
+                addPoint(pos, evt);
+            }
+        },
+
+        pointerup(pos) {
+            if (!strokeNode) return;
+
+            // Finish exactly on the pointer so short strokes keep their length
+            const points = strokeNode.getAttr('inkPoints');
+            if (points.length >= 2 && Math.hypot(pos.x - lastPoint.x, pos.y - lastPoint.y) >= MIN_INK_POINT_DISTANCE) {
+                // A pen reports no pressure once lifted, so repeat the last one
+                const pressures = strokeNode.getAttr('inkPressures');
+                strokeNode.setAttr('inkPoints', [...points, pos.x, pos.y]);
+                strokeNode.setAttr('inkPressures', [...pressures, pressures[pressures.length - 1]]);
+                updateInkOutline(strokeNode);
+                layer.batchDraw();
+            }
+
+            // The pen stays active so several strokes can be written in a row
+            recordNodeCreation(strokeNode, 'Draw ink');
+            strokeNode = null;
+            lastPoint = null;
+        }
+    };
+}
+
+/**
+ * REGISTERS THE ERASER TOOL
+ */
+function registerEraserTool() {
+    let erased = [];
+
+    const eraseAt = (pos) => {
+        // Hidden and locked strokes are protected (objects panel, MODULE 16)
+        layer.find('.ink-stroke')
+            .filter(strokeNode => strokeNode.visible() && !strokeNode.getAttr('locked'))
+            .filter(strokeNode => isInkStrokeHit(strokeNode, pos, ERASER_RADIUS))
+            .forEach(strokeNode => {
+                erased.push({ node: strokeNode, zIndex: strokeNode.zIndex() });
+                detachNode(strokeNode);
+            });
+        layer.batchDraw();
+    };
+
+    canvasTools.eraser = {
+        cursor: 'cell',
+
+        pointerdown(pos) {
+            erased = [];
+            eraseAt(pos);
+        },
+
+        pointermove(pos) {
+            eraseAt(pos);
+        },
+
+        pointerup() {
+            if (erased.length === 0) return;
+
+            const strokes = erased;
+            const parent = layer;
+            erased = [];
+
+            recordCommand({
+                label: strokes.length === 1 ? 'Erase ink' : `Erase ${strokes.length} ink strokes`,
+                undo: () => {
+                    // Restore bottom-most first so the z-indexes line up again
+                    [...strokes].reverse().forEach(stroke => {
+                        parent.add(stroke.node);
+                        stroke.node.zIndex(stroke.zIndex);
+                    });
+                },
+                redo: () => strokes.forEach(stroke => detachNode(stroke.node))
+            });
+        }
+    };
+}
+
+/**
+ * TELLS WHETHER A POINT (PAGE UNITS) IS WITHIN `radius` OF AN INK STROKE
+ */
+function isInkStrokeHit(strokeNode, pos, radius) {
+    const box = strokeNode.getClientRect({ relativeTo: strokeNode.getLayer() });
+    if (pos.x < box.x - radius || pos.x > box.x + box.width + radius
+        || pos.y < box.y - radius || pos.y > box.y + box.height + radius) {
+        return false;
+    }
+
+    // Work in the local space of the stroke so moved/rotated strokes are hit correctly
+    const transform = strokeNode.getTransform();
+    const local = transform.copy().invert().point(pos);
+    const scale = Math.max(Math.abs(strokeNode.scaleX()), Math.abs(strokeNode.scaleY())) || 1;
+    const reach = radius / scale + strokeNode.getAttr('inkWidth') / 2;
+    const centre = strokeNode.getAttr('inkPoints') || [];
+
+    if (centre.length === 2) {
+        return Math.hypot(local.x - centre[0], local.y - centre[1]) <= reach;
+    }
+
+    for (let i = 0; i + 3 < centre.length; i += 2) {
+        if (getDistanceToSegment(local, centre[i], centre[i + 1], centre[i + 2], centre[i + 3]) <= reach) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * DISTANCE FROM A POINT TO THE SEGMENT (x1, y1)-(x2, y2)
+ */
+function getDistanceToSegment(point, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.min(Math.max(((point.x - x1) * dx + (point.y - y1) * dy) / lengthSquared, 0), 1);
+    return Math.hypot(point.x - (x1 + t * dx), point.y - (y1 + t * dy));
+}
+
+/**
+ * RETURNS THE INK STROKES AMONG THE CURRENTLY SELECTED NODES
+ */
+function getSelectedInkStrokes() {
+    return getSelectedNodes().filter(node => node.hasName('ink-stroke'));
+}
+
+/**
+ * SHOWS THE STYLE OF A SELECTED STROKE IN THE SIDEBAR CONTROLS
+ */
+function syncInkStyleControls(strokeNode) {
+    inkStyle.color = strokeNode.fill();
+    inkStyle.width = strokeNode.getAttr('inkWidth');
+    inkStyle.opacity = strokeNode.opacity();
+    updateInkStyleControls();
+}
+
+/**
+ * WRITES `inkStyle` INTO THE SIDEBAR CONTROLS
+ */
+function updateInkStyleControls() {
+    const controls = {
+        'ink-color': inkStyle.color,
+        'ink-width': inkStyle.width,
+        'ink-opacity': inkStyle.opacity
+    };
+    Object.entries(controls).forEach(([id, value]) => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.value = value;
+        }
+    });
+
+    const pressureToggle = document.getElementById('ink-pressure');
+    if (pressureToggle) {
+        pressureToggle.checked = inkStyle.usePressure;
+    }
+}
+
+/**
+ * CONFIGURES THE PEN/ERASER BUTTONS AND THE INK STYLE CONTROLS
+ */
+function setupInkTools() {
+    registerInkTool();
+    registerEraserTool();
+
+    // STYLE CONTROLS
+    // 'input' previews the change live, 'change' records it in the history
+    const styleAttrKeys = ['fill', 'inkWidth', 'opacity', 'points'];
+    let attrsBeforeChange = null;
+
+    const readControls = () => {
+        const color = document.getElementById('ink-color');
+        const width = document.getElementById('ink-width');
+        const opacity = document.getElementById('ink-opacity');
+        const pressureToggle = document.getElementById('ink-pressure');
+
+        if (color) inkStyle.color = color.value;
+        if (width) inkStyle.width = Math.max(parseFloat(width.value) || 1, 0.5);
+        if (opacity) inkStyle.opacity = Math.min(Math.max(parseFloat(opacity.value), 0.05), 1);
+        if (pressureToggle) inkStyle.usePressure = pressureToggle.checked;
+    };
+
+    const previewChange = () => {
+        readControls();
+        const strokes = getSelectedInkStrokes();
+        if (!attrsBeforeChange) {
+            attrsBeforeChange = strokes.map(node => ({ node: node, before: captureAttrs(node, styleAttrKeys) }));
+        }
+        strokes.forEach(node => {
+            node.setAttrs({ fill: inkStyle.color, inkWidth: inkStyle.width, opacity: inkStyle.opacity });
+            updateInkOutline(node);
+        });
+        layer.batchDraw();
+    };
+
+    const commitChange = () => {
+        previewChange();
+        const changes = attrsBeforeChange
+            .map(change => ({ ...change, after: captureAttrs(change.node, styleAttrKeys) }))
+            .filter(change => ['fill', 'inkWidth', 'opacity'].some(key => change.before[key] !== change.after[key]));
+        attrsBeforeChange = null;
+
+        if (changes.length === 0) return;
+        recordCommand({
+            label: 'Change ink style',
+            undo: () => changes.forEach(change => change.node.setAttrs(change.before)),
+            redo: () => changes.forEach(change => change.node.setAttrs(change.after))
+        });
+    };
+
+    ['ink-color', 'ink-width', 'ink-opacity'].forEach(id => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        control.addEventListener('input', previewChange);
+        control.addEventListener('change', commitChange);
+    });
+
+    const pressureToggle = document.getElementById('ink-pressure');
+    if (pressureToggle) {
+        pressureToggle.addEventListener('change', readControls);
+    }
+
+    updateInkStyleControls();
+
+    console.log('Ink tools configured');
+}
+
+/**
+ * DRAWS AN INK STROKE AS A FILLED VECTOR PATH (VECTOR EXPORT)
+ * ===========================================================
+ *
+ * Same coordinate convention as stampShapeNode(): a page-unit SVG path drawn
+ * from the top-left corner of the PDF page.
+ */
+function stampInkNode(pdfPage, strokeNode, mapping) {
+    const outline = strokeNode.points();
+    if (outline.length < 6) return;
+
+    const transform = strokeNode.getTransform();
+    let path = '';
+    for (let i = 0; i < outline.length; i += 2) {
+        const point = transform.point({ x: outline[i], y: outline[i + 1] });
+        path += (i === 0 ? 'M ' : ' L ') + point.x.toFixed(3) + ' ' + point.y.toFixed(3);
+    }
+
+    pdfPage.drawSvgPath(path + ' Z', {
+        x: 0,
+        y: mapping.pageHeight,
+        scale: mapping.scale,
+        color: colorToPdfRgb(strokeNode.fill()),
+        opacity: strokeNode.opacity()
+    });
+}
+
+// =============================================================================
+// MODULE 9: TEXT MARKUP (HIGHLIGHT, UNDERLINE, STRIKEOUT)
+// =============================================================================
+
+/**
+ * MODULE 9: TEXT MARKUP
+ * =====================
+ *
+ * Highlight, underline and strikeout tools that select the real text of the
+ * PDF (the `textRuns` of each page, see extractPageTextRuns()) instead of
+ * freehand rectangles: dragging across the page snaps the selection to
+ * character boundaries, like selecting text in a PDF viewer.
+ *
+ * A markup is one Konva.Shape named 'text-markup' that draws one box per
+ * selected piece of a line (`markupRects`, in page units). It stays where the
+ * text is, so it is not draggable, but it can be selected, recoloured and
+ * deleted. The vector export writes it as a standard PDF markup annotation
+ * (/Highlight, /Underline or /StrikeOut) with its appearance stream, so other
+ * PDF viewers list it in their comments panel.
+ */
+
+const TEXT_MARKUP_TYPES = {
+    highlight: { label: 'Highlight', subtype: 'Highlight', color: '#ffd400', opacity: 0.5 },
+    underline: { label: 'Underline', subtype: 'Underline', color: '#2b6cb0', opacity: 1 },
+    strikeout: { label: 'Strikeout', subtype: 'StrikeOut', color: '#e53e3e', opacity: 1 }
+};
+
+// Colour and opacity used for new markups of each type
+const textMarkupStyle = Object.fromEntries(Object.entries(TEXT_MARKUP_TYPES)
+    .map(([markupType, type]) => [markupType, { color: type.color, opacity: type.opacity }]));
+
+// Thickness of underline/strikeout bars, relative to the line height
+const MARKUP_LINE_RATIO = 0.08;
+
+/**
+ * CREATES A TEXT MARKUP NODE
+ * ==========================
+ *
+ * @param {string} markupType - 'highlight', 'underline' or 'strikeout'.
+ * @param {Object} attrs - Konva attributes, including `markupRects` and `markupText`.
+ * @returns {Konva.Shape} The markup, added to the current page layer.
+ */
+function createTextMarkup(markupType, attrs = {}) {
+    const type = TEXT_MARKUP_TYPES[markupType];
+    if (!type) {
+        console.error(`Unknown text markup type "${markupType}"`);
+        return null;
+    }
+
+    const markupNode = new Konva.Shape({
+        fill: type.color,
+        opacity: type.opacity,
+        markupRects: [],
+        markupText: '',
+        name: 'text-markup',
+        id: markupType + '-' + Date.now(),
+        ...attrs,
+        markupType: markupType,
+        // Highlights tint the text instead of covering it
+        globalCompositeOperation: markupType === 'highlight' ? 'multiply' : 'source-over',
+        sceneFunc: (context, shape) => {
+            context.beginPath();
+            getTextMarkupBars(shape).forEach(bar => context.rect(bar.x, bar.y, bar.width, bar.height));
+            context.fillShape(shape);
+        },
+        // Underlines/strikeouts are thin, so the whole line box is clickable
+        hitFunc: (context, shape) => {
+            context.beginPath();
+            shape.getAttr('markupRects').forEach(rect => context.rect(rect.x, rect.y, rect.width, rect.height));
+            context.fillShape(shape);
+        }
+    });
+
+    markupNode.on('mouseover', function() {
+        document.body.style.cursor = 'pointer';
+    });
+
+    markupNode.on('mouseout', function() {
+        document.body.style.cursor = 'default';
+    });
+
+    // TRANSFORMER: NOT MOVED, RESIZED OR ROTATED, THE MARKUP FOLLOWS THE TEXT
+    markupNode.transformerConfig = () => ({
+        rotateEnabled: false,
+        resizeEnabled: false,
+        movable: false
+    });
+
+    // EVENT: CLICK TO SELECT AND EDIT THE STYLE
+    markupNode.on('click tap', function(e) {
+        selectNodeFromClick(markupNode, e);
+        syncTextMarkupControls(markupNode);
+    });
+
+    layer.add(markupNode);
+    layer.batchDraw();
+
+    return markupNode;
+}
+
+/**
+ * RETURNS THE BOXES ACTUALLY PAINTED FOR A MARKUP
+ *
+ * Highlights fill the line boxes; underlines and strikeouts are thin bars at
+ * the bottom or the middle of each line box.
+ */
+function getTextMarkupBars(markupNode) {
+    const markupType = markupNode.getAttr('markupType');
+    return markupNode.getAttr('markupRects').map(rect => {
+        if (markupType === 'highlight') {
+            return rect;
+        }
+        const thickness = Math.max(rect.height * MARKUP_LINE_RATIO, 0.75);
+        const barY = markupType === 'underline'
+            ? rect.y + rect.height - thickness
+            : rect.y + rect.height * 0.55 - thickness / 2;
+        return { x: rect.x, y: barY, width: rect.width, height: thickness };
+    });
+}
+
+/**
+ * FINDS THE CHARACTER POSITION OF THE PAGE TEXT CLOSEST TO A POINT
+ * ================================================================
+ *
+ * @param {Object[]} runs - Text runs of the page (reading order).
+ * @param {{x: number, y: number}} pos - Point in page units.
+ * @param {boolean} [strict] - Only accept points inside a run box.
+ * @returns {{run: number, char: number}|null} Run index and character boundary.
+ */
+function findTextPosition(runs, pos, strict = false) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    runs.forEach((run, index) => {
+        // The original text of a replaced run is covered on the page
+        if (isTextRunReplaced(run)) return;
+
+        const dx = Math.max(run.x - pos.x, 0, pos.x - (run.x + run.width));
+        const dy = Math.max(run.y - pos.y, 0, pos.y - (run.y + run.height));
+        // Prefer runs on the same line as the pointer
+        const distance = dy * 4 + dx;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = index;
+        }
+    });
+
+    if (best === null || (strict && bestDistance > 2)) {
+        return null;
+    }
+
+    // Closest character boundary inside the run
+    const run = runs[best];
+    const localX = pos.x - run.x;
+    let char = 0;
+    run.charOffsets.forEach((offset, i) => {
+        if (Math.abs(offset - localX) < Math.abs(run.charOffsets[char] - localX)) {
+            char = i;
+        }
+    });
+
+    return { run: best, char: char };
+}
+
+/**
+ * COMPUTES THE LINE BOXES AND THE TEXT SELECTED BETWEEN TWO TEXT POSITIONS
+ *
+ * Pieces of adjacent runs on the same line are merged into a single box.
+ *
+ * @returns {{rects: Object[], text: string}}
+ */
+function getTextSelection(runs, anchor, focus) {
+    let [start, end] = [anchor, focus];
+    if (focus.run < anchor.run || (focus.run === anchor.run && focus.char < anchor.char)) {
+        [start, end] = [focus, anchor];
+    }
+
+    const rects = [];
+    let text = '';
+    let previous = null;
+
+    for (let index = start.run; index <= end.run; index++) {
+        const run = runs[index];
+        const fromChar = index === start.run ? start.char : 0;
+        const toChar = index === end.run ? end.char : run.text.length;
+        if (toChar <= fromChar) continue;
+
+        const rect = {
+            x: run.x + run.charOffsets[fromChar],
+            y: run.y,
+            width: run.charOffsets[toChar] - run.charOffsets[fromChar],
+            height: run.height
+        };
+        const piece = run.text.slice(fromChar, toChar);
+        const last = rects[rects.length - 1];
+        const sameLine = previous && Math.abs(previous.y - run.y) < Math.min(previous.height, run.height) / 2;
+
+        if (last && sameLine) {
+            const top = Math.min(last.y, rect.y);
+            const bottom = Math.max(last.y + last.height, rect.y + rect.height);
+            const right = Math.max(last.x + last.width, rect.x + rect.width);
+            last.x = Math.min(last.x, rect.x);
+            last.y = top;
+            last.width = right - last.x;
+            last.height = bottom - top;
+            text += (/\s$/.test(text) || /^\s/.test(piece) ? '' : ' ') + piece;
+        } else {
+            rects.push(rect);
+            text += (text ? '\n' : '') + piece;
+        }
+        previous = run;
+    }
+
+    return { rects: rects, text: text.trim() };
+}
+
+/**
+ * REGISTERS THE DRAG-TO-SELECT TOOL OF ONE MARKUP TYPE
+ *
+ * @param {string} markupType - Key of TEXT_MARKUP_TYPES.
+ */
+function registerTextMarkupTool(markupType) {
+    let anchor = null;
+    let markupNode = null;
+
+    const update = (pos) => {
+        const runs = pdfPages[currentPageIndex].textRuns;
+        const focus = findTextPosition(runs, pos);
+        const selection = getTextSelection(runs, anchor, focus);
+        markupNode.setAttrs({ markupRects: selection.rects, markupText: selection.text });
+        layer.batchDraw();
+    };
+
+    canvasTools[markupType] = {
+        cursor: 'text',
+
+        pointerdown(pos) {
+            const runs = pdfPages[currentPageIndex].textRuns || [];
+            anchor = findTextPosition(runs, pos, true);
+            if (!anchor) {
+                setPdfStatus(runs.length ? 'Start the selection on the document text' : 'This page has no selectable text');
+                return;
+            }
+
+            markupNode = createTextMarkup(markupType, {
+                fill: textMarkupStyle[markupType].color,
+                opacity: textMarkupStyle[markupType].opacity
+            });
+        },
+
+        pointermove(pos) {
+            if (!markupNode) return;
+            update(pos);
+        },
+
+        pointerup(pos) {
+            if (!markupNode) return;
+            update(pos);
+
+            if (markupNode.getAttr('markupRects').length === 0) {
+                markupNode.destroy();
+                layer.batchDraw();
+            } else {
+                recordNodeCreation(markupNode, 'Add ' + markupType);
+            }
+
+            // The tool stays active so several passages can be marked in a row
+            markupNode = null;
+            anchor = null;
+        }
+    };
+}
+
+/**
+ * RETURNS THE MARKUPS AMONG THE CURRENTLY SELECTED NODES
+ */
+function getSelectedTextMarkups() {
+    return getSelectedNodes().filter(node => node.hasName('text-markup'));
+}
+
+/**
+ * SHOWS THE STYLE OF A SELECTED MARKUP IN THE SIDEBAR CONTROLS
+ */
+function syncTextMarkupControls(markupNode) {
+    const color = document.getElementById('markup-color');
+    const opacity = document.getElementById('markup-opacity');
+    if (color) color.value = markupNode.fill();
+    if (opacity) opacity.value = markupNode.opacity();
+}
+
+/**
+ * CONFIGURES THE MARKUP TOOL BUTTONS AND STYLE CONTROLS
+ */
+function setupTextMarkupTools() {
+    Object.keys(TEXT_MARKUP_TYPES).forEach(registerTextMarkupTool);
+
+    // The controls show the style of the active markup tool
+    document.addEventListener('toolChanged', (event) => {
+        const style = textMarkupStyle[event.detail.tool];
+        if (!style) return;
+        const color = document.getElementById('markup-color');
+        const opacity = document.getElementById('markup-opacity');
+        if (color) color.value = style.color;
+        if (opacity) opacity.value = style.opacity;
+    });
+
+    // STYLE CONTROLS
+    // 'input' previews the change live, 'change' records it in the history
+    const styleAttrKeys = ['fill', 'opacity'];
+    let attrsBeforeChange = null;
+
+    const previewChange = () => {
+        const color = document.getElementById('markup-color').value;
+        const opacity = Math.min(Math.max(parseFloat(document.getElementById('markup-opacity').value), 0.05), 1);
+
+        if (textMarkupStyle[activeTool]) {
+            textMarkupStyle[activeTool] = { color: color, opacity: opacity };
+        }
+
+        const markups = getSelectedTextMarkups();
+        if (!attrsBeforeChange) {
+            attrsBeforeChange = markups.map(node => ({ node: node, before: captureAttrs(node, styleAttrKeys) }));
+        }
+        markups.forEach(node => node.setAttrs({ fill: color, opacity: opacity }));
+        layer.batchDraw();
+    };
+
+    const commitChange = () => {
+        previewChange();
+        const changes = attrsBeforeChange
+            .map(change => ({ ...change, after: captureAttrs(change.node, styleAttrKeys) }))
+            .filter(change => styleAttrKeys.some(key => change.before[key] !== change.after[key]));
+        attrsBeforeChange = null;
+
+        if (changes.length === 0) return;
+        recordCommand({
+            label: 'Change markup style',
+            undo: () => changes.forEach(change => change.node.setAttrs(change.before)),
+            redo: () => changes.forEach(change => change.node.setAttrs(change.after))
+        });
+    };
+
+    ['markup-color', 'markup-opacity'].forEach(id => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        control.addEventListener('input', previewChange);
+        control.addEventListener('change', commitChange);
+    });
+
+    console.log('Text markup tools configured');
+}
+
+/**
+ * WRITES A MARKUP NODE AS A PDF MARKUP ANNOTATION (VECTOR EXPORT)
+ * ===============================================================
+ *
+ * Builds a /Highlight, /Underline or /StrikeOut annotation with one
+ * quadrilateral per line box, plus an appearance stream (/AP) painting the
+ * same bars as the canvas, since not every viewer generates one.
+ */
+function addTextMarkupAnnotation(pdfDoc, pdfPage, markupNode, mapping) {
+    const context = pdfDoc.context;
+    const transform = markupNode.getTransform();
+    const color = colorToPdfRgb(markupNode.fill());
+    const opacity = markupNode.opacity();
+    const toPdf = (x, y) => toPdfUserPoint(mapping, transform.point({ x: x, y: y }));
+
+    // QUADPOINTS: top-left, top-right, bottom-left, bottom-right of every line box
+    const quadPoints = [];
+    markupNode.getAttr('markupRects').forEach(rect => {
+        [
+            toPdf(rect.x, rect.y),
+            toPdf(rect.x + rect.width, rect.y),
+            toPdf(rect.x, rect.y + rect.height),
+            toPdf(rect.x + rect.width, rect.y + rect.height)
+        ].forEach(point => quadPoints.push(point.x, point.y));
+    });
+    if (quadPoints.length === 0) return;
+
+    const xs = quadPoints.filter((value, i) => i % 2 === 0);
+    const ys = quadPoints.filter((value, i) => i % 2 === 1);
+    const rect = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+
+    // APPEARANCE STREAM, drawn in page space (BBox = Rect, identity matrix)
+    const operators = [
+        PDFLib.pushGraphicsState(),
+        PDFLib.setGraphicsState('GS0'),
+        PDFLib.setFillingRgbColor(color.red, color.green, color.blue)
+    ];
+    getTextMarkupBars(markupNode).forEach(bar => {
+        const corners = [
+            toPdf(bar.x, bar.y),
+            toPdf(bar.x + bar.width, bar.y),
+            toPdf(bar.x + bar.width, bar.y + bar.height),
+            toPdf(bar.x, bar.y + bar.height)
+        ];
+        operators.push(PDFLib.moveTo(corners[0].x, corners[0].y));
+        corners.slice(1).forEach(corner => operators.push(PDFLib.lineTo(corner.x, corner.y)));
+        operators.push(PDFLib.closePath());
+    });
+    operators.push(PDFLib.fill(), PDFLib.popGraphicsState());
+
+    const appearance = context.formXObject(operators, {
+        BBox: rect,
+        Resources: {
+            ExtGState: {
+                GS0: {
+                    Type: 'ExtGState',
+                    ca: opacity,
+                    CA: opacity,
+                    BM: markupNode.getAttr('markupType') === 'highlight' ? 'Multiply' : 'Normal'
+                }
+            }
+        }
+    });
+
+    const annotation = context.obj({
+        Type: 'Annot',
+        Subtype: TEXT_MARKUP_TYPES[markupNode.getAttr('markupType')].subtype,
+        Rect: rect,
+        QuadPoints: quadPoints,
+        C: [color.red, color.green, color.blue],
+        CA: opacity,
+        F: 4, // Print
+        Contents: PDFLib.PDFHexString.fromText(markupNode.getAttr('markupText') || ''),
+        M: PDFLib.PDFString.fromDate(new Date()),
+        AP: { N: context.register(appearance) }
+    });
+
+    pdfPage.node.addAnnot(context.register(annotation));
+}
+
+// =============================================================================
+// MODULE 10: REDACTION
+// =============================================================================
+
+/**
+ * MODULE 10: REDACTION
+ * ====================
+ *
+ * Two steps, like in dedicated PDF tools:
+ *
+ * 1. MARK: the 'redact' tool draws redaction marks (outlined, see-through
+ *    rectangles). Marks can be moved, resized, deleted and saved with the
+ *    session; nothing is removed yet.
+ * 2. APPLY: every mark is burnt into its page. The page render gets opaque
+ *    black boxes (the pixels underneath are gone), the PDF text runs under
+ *    them are dropped from the text layer and text markups over them are
+ *    deleted, since they carry a copy of the text.
+ *    The areas are kept in `page.redactions`.
+ *
+ * On export a redacted page no longer comes from the original PDF: the
+ * vector export replaces it with its redacted render, so neither the text
+ * nor the images, annotations or form fields under the boxes survive. The
+ * other pages stay vector. Exporting with unapplied marks asks to apply
+ * them first, because the content underneath would otherwise survive.
+ */
+
+const REDACTION_MARK_STYLE = {
+    stroke: '#e53e3e',
+    strokeWidth: 2,
+    dash: [6, 4],
+    fill: 'rgba(229, 62, 62, 0.15)'
+};
+
+/**
+ * CREATES A REDACTION MARK
+ * ========================
+ *
+ * @param {Object} attrs - Konva attributes (position and size).
+ * @returns {Konva.Rect} The mark, added to the current page layer.
+ */
+function createRedactionMark(attrs = {}) {
+    const markNode = new Konva.Rect({
+        ...REDACTION_MARK_STYLE,
+        strokeScaleEnabled: false,
+        draggable: true,
+        name: 'redaction-mark',
+        id: 'redaction-' + Date.now(),
+        ...attrs
+    });
+
+    markNode.on('mouseover', function() {
+        document.body.style.cursor = 'move';
+    });
+
+    markNode.on('mouseout', function() {
+        document.body.style.cursor = 'default';
+    });
+
+    // TRANSFORMER: AXIS-ALIGNED, NO ROTATION
+    markNode.transformerConfig = () => ({
+        rotateEnabled: false,
+        ignoreStroke: true
+    });
+
+    // EVENT: CLICK TO SELECT (SHIFT/CTRL-CLICK ADDS TO THE SELECTION)
+    markNode.on('click tap', function(e) {
+        selectNodeFromClick(markNode, e);
+    });
+
+    layer.add(markNode);
+    layer.batchDraw();
+
+    registerHistoryHandlers(markNode);
+    updateRedactionStatus();
+
+    return markNode;
+}
+
+/**
+ * REGISTERS THE DRAG-TO-MARK REDACTION TOOL
+ */
+function registerRedactionTool() {
+    let startPoint = null;
+    let markNode = null;
+
+    canvasTools.redact = {
+        cursor: 'crosshair',
+
+        pointerdown(pos) {
+            startPoint = pos;
+            markNode = createRedactionMark({ x: pos.x, y: pos.y, width: 0, height: 0 });
+        },
+
+        pointermove(pos) {
+            if (!markNode) return;
+            updateShapeGeometry(markNode, 'rect', startPoint, pos, false);
+            layer.batchDraw();
+        },
+
+        pointerup(pos) {
+            if (!markNode) return;
+            updateShapeGeometry(markNode, 'rect', startPoint, pos, false);
+
+            if (Math.min(markNode.width(), markNode.height()) < MIN_SHAPE_SIZE) {
+                markNode.destroy();
+                layer.batchDraw();
+            } else {
+                recordNodeCreation(markNode, 'Mark redaction');
+            }
+
+            // The tool stays active so several areas can be marked in a row
+            markNode = null;
+            startPoint = null;
+            updateRedactionStatus();
+        }
+    };
+}
+
+/**
+ * RETURNS THE UNAPPLIED REDACTION MARKS OF EVERY PAGE
+ *
+ * @returns {{page: Object, node: Konva.Rect}[]}
+ */
+function getPendingRedactionMarks() {
+    return pdfPages.flatMap(page => page.layer.find('.redaction-mark').map(node => ({ page: page, node: node })));
+}
+
+/**
+ * TELLS WHETHER TWO AXIS-ALIGNED RECTANGLES OVERLAP
+ */
+function rectsIntersect(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * BURNS REDACTION AREAS INTO A PAGE
+ * =================================
+ *
+ * Paints the areas black on a copy of the page render, drops the text runs
+ * they touch and records them in `page.redactions`. No history here: callers
+ * capture the previous state when the operation must be undoable.
+ *
+ * @param {Object} page - Entry of `pdfPages`.
+ * @param {Object[]} areas - Rectangles { x, y, width, height } in page units.
+ */
+function burnRedactions(page, areas) {
+    const source = page.background.image();
+    const ratio = source.width / page.background.width();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0);
+    context.fillStyle = '#000000';
+    areas.forEach(area => {
+        // Rounded outwards so no anti-aliased fringe of the content is left
+        const left = Math.floor(area.x * ratio);
+        const top = Math.floor(area.y * ratio);
+        context.fillRect(left, top, Math.ceil((area.x + area.width) * ratio) - left, Math.ceil((area.y + area.height) * ratio) - top);
+    });
+
+    page.background.image(canvas);
+    page.textRuns = (page.textRuns || []).filter(run => !areas.some(area => rectsIntersect(run, area)));
+    page.redactions = [...(page.redactions || []), ...areas.map(area => ({
+        x: area.x, y: area.y, width: area.width, height: area.height
+    }))];
+
+    refreshPageThumbnail(pdfPages.indexOf(page));
+    page.layer.batchDraw();
+}
+
+/**
+ * APPLIES EVERY REDACTION MARK OF THE DOCUMENT (UNDOABLE)
+ *
+ * @returns {number} Number of marks applied.
+ */
+function applyRedactions() {
+    const marks = getPendingRedactionMarks();
+    if (marks.length === 0) return 0;
+
+    const pages = [...new Set(marks.map(mark => mark.page))];
+    const changes = pages.map(page => {
+        const pageMarks = marks.filter(mark => mark.page === page).map(mark => mark.node);
+        const areas = pageMarks.map(node => node.getClientRect({ relativeTo: page.layer, skipStroke: true }));
+
+        // Markups keep the text they cover in their annotation contents
+        const markups = page.layer.find('.text-markup').filter(markupNode => {
+            const transform = markupNode.getTransform();
+            return markupNode.getAttr('markupRects').some(rect => {
+                const topLeft = transform.point({ x: rect.x, y: rect.y });
+                const moved = { x: topLeft.x, y: topLeft.y, width: rect.width, height: rect.height };
+                return areas.some(area => rectsIntersect(moved, area));
+            });
+        });
+
+        return {
+            page: page,
+            areas: areas,
+            removed: [...pageMarks, ...markups].map(node => ({ node: node, zIndex: node.zIndex() })),
+            before: { image: page.background.image(), textRuns: page.textRuns, redactions: page.redactions || [] },
+            after: null
+        };
+    });
+
+    const redo = () => {
+        changes.forEach(change => {
+            change.removed.forEach(removed => detachNode(removed.node));
+            if (change.after) {
+                change.page.background.image(change.after.image);
+                Object.assign(change.page, { textRuns: change.after.textRuns, redactions: change.after.redactions });
+                refreshPageThumbnail(pdfPages.indexOf(change.page));
+            } else {
+                burnRedactions(change.page, change.areas);
+                change.after = {
+                    image: change.page.background.image(),
+                    textRuns: change.page.textRuns,
+                    redactions: change.page.redactions
+                };
+            }
+            change.page.layer.batchDraw();
+        });
+        updateRedactionStatus();
+    };
+
+    const undo = () => {
+        changes.forEach(change => {
+            change.page.background.image(change.before.image);
+            Object.assign(change.page, { textRuns: change.before.textRuns, redactions: change.before.redactions });
+            [...change.removed].sort((a, b) => a.zIndex - b.zIndex).forEach(removed => {
+                change.page.layer.add(removed.node);
+                removed.node.zIndex(removed.zIndex);
+            });
+            refreshPageThumbnail(pdfPages.indexOf(change.page));
+            change.page.layer.batchDraw();
+        });
+        updateRedactionStatus();
+    };
+
+    redo();
+    recordCommand({ label: 'Apply redactions', undo: undo, redo: redo });
+
+    return marks.length;
+}
+
+/**
+ * ASKS TO APPLY PENDING MARKS BEFORE AN EXPORT
+ *
+ * @returns {boolean} False when the user cancels the export.
+ */
+function confirmPendingRedactions() {
+    const pendingCount = getPendingRedactionMarks().length;
+    if (pendingCount === 0) return true;
+
+    const accepted = confirm(
+        `${pendingCount} redaction mark(s) have not been applied. `
+        + 'The text and images underneath would still be in the exported file.\n\n'
+        + 'Apply them now and continue the export?'
+    );
+    if (accepted) {
+        applyRedactions();
+    }
+    return accepted;
+}
+
+/**
+ * REPLACES A REDACTED PAGE OF THE OUTPUT WITH ITS REDACTED RENDER (VECTOR EXPORT)
+ * ===============================================================================
+ *
+ * The new page has the displayed size of the original (rotation included)
+ * and none of its content streams, annotations or form fields. The render
+ * leaves out the field appearances (they are editable controls), so the
+ * values shown in the fields are drawn into it; they are no longer fillable.
+ *
+ * @param {Object} pdfDoc - pdf-lib PDFDocument being written.
+ * @param {Object} page - Entry of `pdfPages` of the redacted page.
+ * @param {number} index - Index of the page in the output document.
+ * @returns {Promise<Object>} The pdf-lib page that replaced the original.
+ */
+async function replacePageWithRedactedRender(pdfDoc, page, index) {
+    const original = pdfDoc.getPage(index);
+    const { width, height } = original.getCropBox();
+
+    // Field values live in the AcroForm dictionary, not on the page
+    removeFormFieldsOfPage(pdfDoc, original);
+    const isQuarterTurn = original.getRotation().angle % 180 !== 0;
+
+    const redactedPage = pdfDoc.insertPage(index, isQuarterTurn ? [height, width] : [width, height]);
+    pdfDoc.removePage(index + 1);
+
+    const render = await pdfDoc.embedPng(imageElementToPngBytes(renderPageWithFlatFormFields(page)));
+    redactedPage.drawImage(render, {
+        x: 0,
+        y: 0,
+        width: redactedPage.getWidth(),
+        height: redactedPage.getHeight()
+    });
+
+    return redactedPage;
+}
+
+/**
+ * DRAWS THE FORM FIELDS OF A REDACTED PAGE INTO A COPY OF ITS RENDER
+ * ==================================================================
+ *
+ * The field controls are cloned onto an offscreen stage at the resolution
+ * of the render, then the redaction areas are painted again on top so a
+ * value under a redaction is destroyed like the rest of the content.
+ *
+ * @param {Object} page - Entry of `pdfPages`.
+ * @returns {HTMLCanvasElement|HTMLImageElement} The render, with the field values.
+ */
+function renderPageWithFlatFormFields(page) {
+    const source = page.background.image();
+    const fields = page.layer.find('.form-field').filter(field => field.visible());
+    if (fields.length === 0) return source;
+
+    const ratio = source.width / page.background.width();
+    const tempStage = new Konva.Stage({
+        container: document.createElement('div'),
+        width: source.width,
+        height: source.height
+    });
+    const tempLayer = new Konva.Layer({ scaleX: ratio, scaleY: ratio });
+    tempStage.add(tempLayer);
+
+    tempLayer.add(new Konva.Image({
+        image: source,
+        width: page.background.width(),
+        height: page.background.height()
+    }));
+    fields.forEach(field => tempLayer.add(field.clone()));
+
+    // The on-screen highlight of form fields must not be printed
+    tempLayer.find('.form-field-highlight').forEach(highlight => highlight.destroy());
+
+    // One render pixel larger on every side, so no anti-aliased fringe is left
+    const fringe = 1 / ratio;
+    (page.redactions || []).forEach(area => {
+        tempLayer.add(new Konva.Rect({
+            x: area.x - fringe,
+            y: area.y - fringe,
+            width: area.width + fringe * 2,
+            height: area.height + fringe * 2,
+            fill: '#000000'
+        }));
+    });
+
+    const canvas = tempLayer.toCanvas({ x: 0, y: 0, width: source.width, height: source.height, pixelRatio: 1 });
+    tempStage.destroy();
+    return canvas;
+}
+
+/**
+ * REFRESHES THE APPLY BUTTON AND THE PENDING MARKS WARNING
+ */
+function updateRedactionStatus() {
+    const pendingCount = getPendingRedactionMarks().length;
+    const applyButton = document.getElementById('apply-redactions-btn');
+    const status = document.getElementById('redaction-status');
+
+    if (applyButton) {
+        applyButton.disabled = pendingCount === 0;
+    }
+    if (status) {
+        status.textContent = pendingCount > 0
+            ? `${pendingCount} mark(s) not applied: the content underneath is still in the document`
+            : '';
+        status.style.color = '#e53e3e';
+    }
+}
+
+/**
+ * CONFIGURES THE REDACTION TOOL AND THE APPLY BUTTON
+ */
+function setupRedaction() {
+    registerRedactionTool();
+
+    const applyButton = document.getElementById('apply-redactions-btn');
+    if (applyButton) {
+        applyButton.addEventListener('click', () => {
+            const pendingCount = getPendingRedactionMarks().length;
+            if (pendingCount === 0) return;
+
+            const accepted = confirm(
+                `Apply ${pendingCount} redaction mark(s)?\n\n`
+                + 'The content under them is permanently removed from the exported file. '
+                + 'Redacted pages are exported as images, so their text can no longer be selected.'
+            );
+            if (!accepted) return;
+
+            setActiveTool('select');
+            applyRedactions();
+        });
+    }
+
+    // Marks can also disappear through undo/redo and deletes
+    document.addEventListener('historyChanged', updateRedactionStatus);
+    document.addEventListener('pdfLoaded', updateRedactionStatus);
+    document.addEventListener('pagesChanged', updateRedactionStatus);
+
+    console.log('Redaction configured');
+}
+
+// =============================================================================
+// MODULE 11: SIGNATURES
+// =============================================================================
+
+/**
+ * MODULE 11: SIGNATURES
+ * =====================
+ *
+ * A dialog creates a signature in one of three ways:
+ * - DRAW: pointer strokes on a pad, pressure-sensitive with a stylus;
+ * - TYPE: the name rendered in a script font;
+ * - UPLOAD: a photo or scan whose paper background is made transparent.
+ *
+ * Every mode produces a transparent PNG cropped to the ink. It is placed as a
+ * regular image node (move, resize, rotate, undo, export all come from
+ * createDraggableImage) and can be saved to the signed-in user's profile
+ * through the /signatures endpoints, so it is available on every document.
+ */
+
+// Width (page units) of a signature when it is placed
+const SIGNATURE_PLACE_WIDTH = 220;
+
+// Widest upload processed for background removal (pixels)
+const MAX_SIGNATURE_UPLOAD_WIDTH = 1400;
+
+let savedSignatures = [];
+let signatureMode = 'draw';
+let signaturePadStrokes = [];
+let signatureUploadImage = null;
+
+/**
+ * CONFIGURES THE SIGNATURE DIALOG AND THE SAVED SIGNATURES LIST
+ */
+function setupSignatures() {
+    const dialog = document.getElementById('signature-dialog');
+    const newButton = document.getElementById('new-signature-btn');
+    if (!dialog || !newButton || typeof bootstrap === 'undefined') {
+        console.warn('Signature dialog not available');
+        return;
+    }
+
+    const modal = bootstrap.Modal.getOrCreateInstance(dialog);
+
+    newButton.addEventListener('click', () => {
+        setSignatureStatus('');
+        modal.show();
+    });
+
+    // TABS
+    dialog.querySelectorAll('[data-signature-mode]').forEach(tab => {
+        tab.addEventListener('click', () => setSignatureMode(tab.dataset.signatureMode));
+    });
+
+    setupSignaturePad();
+
+    // TYPED SIGNATURE PREVIEW
+    ['signature-typed-text', 'signature-typed-font'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderTypedSignature);
+    });
+
+    // UPLOADED SIGNATURE
+    document.getElementById('signature-upload-input').addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        if (file.size > 5 * 1024 * 1024) {
+            setSignatureStatus('The image must be smaller than 5MB', '#e53e3e');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const img = new Image();
+            img.onload = () => {
+                signatureUploadImage = img;
+                renderUploadedSignature();
+            };
+            img.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    });
+    document.getElementById('signature-threshold').addEventListener('input', renderUploadedSignature);
+
+    // The ink colour applies to drawn and typed signatures
+    document.getElementById('signature-color').addEventListener('input', () => {
+        redrawSignaturePad();
+        renderTypedSignature();
+    });
+
+    // PLACE (AND OPTIONALLY SAVE)
+    document.getElementById('signature-place-btn').addEventListener('click', async () => {
+        const signatureCanvas = trimTransparentCanvas(getSignatureSourceCanvas());
+        if (!signatureCanvas) {
+            setSignatureStatus('The signature is empty', '#e53e3e');
+            return;
+        }
+
+        const imageUrl = signatureCanvas.toDataURL('image/png');
+        const name = document.getElementById('signature-name').value.trim() || 'Signature';
+
+        if (document.getElementById('signature-save').checked) {
+            try {
+                await saveSignature(name, imageUrl);
+            } catch (error) {
+                console.error('Error while saving the signature:', error);
+                setSignatureStatus('The signature could not be saved', '#e53e3e');
+                return;
+            }
+        }
+
+        placeSignature(imageUrl, name);
+        modal.hide();
+    });
+
+    loadSavedSignatures();
+
+    console.log('Signatures configured');
+}
+
+/**
+ * SWITCHES BETWEEN THE DRAW, TYPE AND UPLOAD PANES
+ */
+function setSignatureMode(mode) {
+    signatureMode = mode;
+    document.querySelectorAll('#signature-dialog [data-signature-mode]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.signatureMode === mode);
+    });
+    document.querySelectorAll('#signature-dialog [data-signature-pane]').forEach(pane => {
+        pane.hidden = pane.dataset.signaturePane !== mode;
+    });
+
+    if (mode === 'type') {
+        renderTypedSignature();
+    }
+}
+
+/**
+ * SHOWS A MESSAGE IN THE SIGNATURE DIALOG
+ */
+function setSignatureStatus(text, color) {
+    const status = document.getElementById('signature-dialog-status');
+    if (status) {
+        status.textContent = text;
+        status.style.color = color || '';
+    }
+}
+
+/**
+ * RETURNS THE CANVAS HOLDING THE SIGNATURE OF THE ACTIVE MODE
+ */
+function getSignatureSourceCanvas() {
+    const ids = {
+        draw: 'signature-pad',
+        type: 'signature-typed-preview',
+        upload: 'signature-upload-preview'
+    };
+    return document.getElementById(ids[signatureMode]);
+}
+
+/**
+ * CONFIGURES THE DRAWING PAD (POINTER STROKES WITH PRESSURE)
+ */
+function setupSignaturePad() {
+    const pad = document.getElementById('signature-pad');
+    let currentStroke = null;
+
+    // Pad pixels, whatever the CSS size of the canvas
+    const toPadPoint = (event) => {
+        const rect = pad.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * pad.width / rect.width,
+            y: (event.clientY - rect.top) * pad.height / rect.height,
+            pressure: event.pointerType === 'pen' && event.pressure ? event.pressure : DEFAULT_INK_PRESSURE
+        };
+    };
+
+    pad.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        pad.setPointerCapture(event.pointerId);
+        currentStroke = [toPadPoint(event)];
+        signaturePadStrokes.push(currentStroke);
+        redrawSignaturePad();
+    });
+
+    pad.addEventListener('pointermove', (event) => {
+        if (!currentStroke) return;
+        const events = event.getCoalescedEvents ? event.getCoalescedEvents() : [event];
+        (events.length ? events : [event]).forEach(coalesced => currentStroke.push(toPadPoint(coalesced)));
+        redrawSignaturePad();
+    });
+
+    const endStroke = () => {
+        currentStroke = null;
+    };
+    pad.addEventListener('pointerup', endStroke);
+    pad.addEventListener('pointercancel', endStroke);
+
+    document.getElementById('signature-pad-clear').addEventListener('click', () => {
+        signaturePadStrokes = [];
+        redrawSignaturePad();
+    });
+}
+
+/**
+ * REDRAWS THE STROKES OF THE DRAWING PAD
+ *
+ * Segments pass through the midpoints of the recorded points (quadratic
+ * curves), which smooths the stroke; the width follows the pressure.
+ */
+function redrawSignaturePad() {
+    const pad = document.getElementById('signature-pad');
+    const context = pad.getContext('2d');
+    const baseWidth = 3.5;
+
+    context.clearRect(0, 0, pad.width, pad.height);
+    context.strokeStyle = document.getElementById('signature-color').value;
+    context.fillStyle = context.strokeStyle;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+
+    signaturePadStrokes.forEach(stroke => {
+        if (stroke.length === 1) {
+            context.beginPath();
+            context.arc(stroke[0].x, stroke[0].y, baseWidth * (0.4 + stroke[0].pressure * 1.2) / 2, 0, Math.PI * 2);
+            context.fill();
+            return;
+        }
+
+        for (let i = 1; i < stroke.length; i++) {
+            const previous = stroke[i - 1];
+            const point = stroke[i];
+            const start = i === 1 ? previous : { x: (stroke[i - 2].x + previous.x) / 2, y: (stroke[i - 2].y + previous.y) / 2 };
+            const end = { x: (previous.x + point.x) / 2, y: (previous.y + point.y) / 2 };
+
+            context.beginPath();
+            context.lineWidth = baseWidth * (0.4 + point.pressure * 1.2);
+            context.moveTo(start.x, start.y);
+            context.quadraticCurveTo(previous.x, previous.y, i === stroke.length - 1 ? point.x : end.x, i === stroke.length - 1 ? point.y : end.y);
+            context.stroke();
+        }
+    });
+}
+
+/**
+ * RENDERS THE TYPED NAME IN THE CHOSEN SCRIPT FONT
+ */
+async function renderTypedSignature() {
+    const preview = document.getElementById('signature-typed-preview');
+    const context = preview.getContext('2d');
+    const text = document.getElementById('signature-typed-text').value.trim();
+    const fontFamily = document.getElementById('signature-typed-font').value;
+
+    context.clearRect(0, 0, preview.width, preview.height);
+    if (!text) return;
+
+    // Web fonts load lazily: wait for it or the canvas falls back to a default font
+    try {
+        await document.fonts.load(`96px "${fontFamily}"`, text);
+    } catch (error) {
+        console.warn(`Font "${fontFamily}" could not be loaded:`, error);
+    }
+
+    // Shrink the text until it fits the preview
+    let fontSize = 120;
+    do {
+        context.font = `${fontSize}px "${fontFamily}", cursive`;
+        fontSize -= 4;
+    } while (context.measureText(text).width > preview.width - 40 && fontSize > 16);
+
+    context.clearRect(0, 0, preview.width, preview.height);
+    context.fillStyle = document.getElementById('signature-color').value;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, preview.width / 2, preview.height / 2);
+}
+
+/**
+ * DRAWS THE UPLOADED IMAGE WITH ITS BACKGROUND REMOVED
+ */
+function renderUploadedSignature() {
+    const preview = document.getElementById('signature-upload-preview');
+    if (!signatureUploadImage) return;
+
+    const threshold = parseInt(document.getElementById('signature-threshold').value, 10);
+    const cleaned = removeImageBackground(signatureUploadImage, threshold);
+
+    // The preview canvas takes the size of the cleaned image (CSS scales it down)
+    preview.width = cleaned.width;
+    preview.height = cleaned.height;
+    preview.getContext('2d').drawImage(cleaned, 0, 0);
+}
+
+/**
+ * MAKES THE PAPER BACKGROUND OF A SIGNATURE PHOTO TRANSPARENT
+ * ===========================================================
+ *
+ * The background colour is the average of the image border. Pixels close to
+ * it become transparent, with a soft ramp between `threshold` and twice the
+ * threshold (RGB distance) so the edges of the ink stay smooth.
+ *
+ * @param {HTMLImageElement} img - Uploaded image.
+ * @param {number} threshold - Colour distance treated as background.
+ * @returns {HTMLCanvasElement} Canvas with the transparent result.
+ */
+function removeImageBackground(img, threshold) {
+    const scale = Math.min(1, MAX_SIGNATURE_UPLOAD_WIDTH / img.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+    const data = imageData.data;
+
+    // AVERAGE COLOUR OF THE BORDER (2% FRAME)
+    const frame = Math.max(1, Math.round(Math.min(canvas.width, canvas.height) * 0.02));
+    const background = [0, 0, 0];
+    let samples = 0;
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            if (x >= frame && x < canvas.width - frame && y >= frame && y < canvas.height - frame) {
+                x = canvas.width - frame - 1; // jump over the inside of the row
+                continue;
+            }
+            const i = (y * canvas.width + x) * 4;
+            background[0] += data[i];
+            background[1] += data[i + 1];
+            background[2] += data[i + 2];
+            samples++;
+        }
+    }
+    background.forEach((value, i) => {
+        background[i] = value / samples;
+    });
+
+    // ALPHA FROM THE DISTANCE TO THE BACKGROUND COLOUR
+    for (let i = 0; i < data.length; i += 4) {
+        const distance = Math.hypot(data[i] - background[0], data[i + 1] - background[1], data[i + 2] - background[2]);
+        const alpha = Math.min(Math.max((distance - threshold) / threshold, 0), 1);
+        data[i + 3] = Math.round(data[i + 3] * alpha);
+    }
+
+    context.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * CROPS A CANVAS TO ITS NON-TRANSPARENT PIXELS
+ *
+ * @param {HTMLCanvasElement} source - Canvas to crop.
+ * @param {number} [padding] - Margin kept around the ink, in pixels.
+ * @returns {HTMLCanvasElement|null} Cropped copy, or null if the canvas is empty.
+ */
+function trimTransparentCanvas(source, padding = 6) {
+    const { data, width, height } = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > 8) {
+                left = Math.min(left, x);
+                right = Math.max(right, x);
+                top = Math.min(top, y);
+                bottom = Math.max(bottom, y);
+            }
+        }
+    }
+
+    if (right < 0) return null;
+
+    left = Math.max(left - padding, 0);
+    top = Math.max(top - padding, 0);
+    right = Math.min(right + padding, width - 1);
+    bottom = Math.min(bottom + padding, height - 1);
+
+    const cropped = document.createElement('canvas');
+    cropped.width = right - left + 1;
+    cropped.height = bottom - top + 1;
+    cropped.getContext('2d').drawImage(source, left, top, cropped.width, cropped.height, 0, 0, cropped.width, cropped.height);
+    return cropped;
+}
+
+/**
+ * PLACES A SIGNATURE IN THE MIDDLE OF THE VISIBLE PART OF THE PAGE
+ *
+ * @param {string} imageUrl - PNG data URL of the signature.
+ * @param {string} name - Signature name, used as the image file name.
+ */
+function placeSignature(imageUrl, name) {
+    return placeImageInView(imageUrl, name + '.png', 'signature', SIGNATURE_PLACE_WIDTH);
+}
+
+/**
+ * PLACES A GENERATED IMAGE (SIGNATURE, STAMP) IN THE MIDDLE OF THE VISIBLE PART OF THE PAGE
+ *
+ * @param {string} imageUrl - PNG data URL.
+ * @param {string} fileName - Image file name (shown in the objects panel).
+ * @param {string} kind - Extra node name telling what the image is.
+ * @param {number} width - Width of the placed image in page units.
+ * @returns {Promise<Konva.Image|null>} The placed node.
+ */
+async function placeImageInView(imageUrl, fileName, kind, width) {
+    if (pdfPages.length === 0) return null;
+
+    const containerRect = stage.container().getBoundingClientRect();
+    const centre = clientToCanvasPoint(containerRect.left + containerRect.width / 2, containerRect.top + containerRect.height / 2);
+    const pageSize = getCurrentPageSize();
+
+    const imageNode = await createDraggableImage(imageUrl, fileName, centre.x, centre.y, {
+        name: 'draggable-image ' + kind
+    });
+    if (!imageNode) return null;
+
+    // Placed at the given width, centred and kept inside the page
+    const ratio = width / imageNode.width();
+    imageNode.size({ width: width, height: imageNode.height() * ratio });
+    imageNode.position({
+        x: Math.min(Math.max(centre.x - imageNode.width() / 2, 0), Math.max(pageSize.width - imageNode.width(), 0)),
+        y: Math.min(Math.max(centre.y - imageNode.height() / 2, 0), Math.max(pageSize.height - imageNode.height(), 0))
+    });
+    imageNode.getLayer().batchDraw();
+    return imageNode;
+}
+
+/**
+ * LOADS THE SAVED SIGNATURES OF THE USER
+ */
+async function loadSavedSignatures() {
+    try {
+        const response = await fetch('/signatures', { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        savedSignatures = await response.json();
+    } catch (error) {
+        console.warn('Saved signatures could not be loaded:', error);
+        savedSignatures = [];
+    }
+    renderSignatureList();
+}
+
+/**
+ * SAVES A SIGNATURE TO THE USER'S PROFILE
+ */
+async function saveSignature(name, imageUrl) {
+    const response = await fetch('/signatures', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-CSRF-TOKEN': getCsrfToken()
+        },
+        body: JSON.stringify({
+            name: name,
+            kind: { draw: 'drawn', type: 'typed', upload: 'uploaded' }[signatureMode],
+            image: imageUrl
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    savedSignatures.unshift(await response.json());
+    renderSignatureList();
+}
+
+/**
+ * DELETES A SAVED SIGNATURE (PLACED COPIES STAY ON THE DOCUMENTS)
+ */
+async function deleteSignature(signature) {
+    if (!confirm(`Delete the saved signature "${signature.name}"?`)) return;
+
+    try {
+        const response = await fetch(`/signatures/${signature.id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json',
+                'X-CSRF-TOKEN': getCsrfToken()
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        savedSignatures = savedSignatures.filter(candidate => candidate.id !== signature.id);
+        renderSignatureList();
+    } catch (error) {
+        console.error('Error while deleting the signature:', error);
+        alert('The signature could not be deleted');
+    }
+}
+
+/**
+ * RENDERS THE SAVED SIGNATURES IN THE SIDEBAR
+ */
+function renderSignatureList() {
+    const list = document.getElementById('signature-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    savedSignatures.filter(signature => signature.image).forEach(signature => {
+        const item = document.createElement('div');
+        item.className = 'signature-item';
+        item.title = `Place "${signature.name}"`;
+
+        const img = document.createElement('img');
+        img.src = signature.image;
+        img.alt = signature.name;
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'signature-item-delete';
+        deleteButton.title = 'Delete';
+        deleteButton.textContent = '✕';
+        deleteButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            deleteSignature(signature);
+        });
+
+        item.appendChild(img);
+        item.appendChild(deleteButton);
+        item.addEventListener('click', () => placeSignature(signature.image, signature.name));
+        list.appendChild(item);
+    });
+}
+
+// =============================================================================
+// MODULE 12: FORM FIELDS (ACROFORM)
+// =============================================================================
+
+/**
+ * MODULE 12: FORM FIELDS
+ * ======================
+ *
+ * The interactive fields of the PDF (widget annotations read with PDF.js
+ * page.getAnnotations()) become Konva controls drawn right above the page
+ * background, below every overlay:
+ * - text fields: click to type (single or multi-line);
+ * - checkboxes: click to toggle;
+ * - radio groups: click to select one option;
+ * - dropdowns and list boxes: click to choose from a list.
+ *
+ * Values are kept per field name in `formFieldValues` (widgets sharing a name
+ * show the same value), saved with the scene and undoable. The page render
+ * leaves out the original field appearances so they are not drawn twice.
+ *
+ * On export the values are either written into the fields, which stay
+ * fillable ('fill'), or burnt into the page content ('flatten').
+ * The flattened image export always prints the values as they are shown.
+ */
+
+// Current value of every field, by fully qualified field name
+const formFieldValues = {};
+
+// Initial value of every field, to tell which ones were changed (only those are written on export)
+const formFieldDefaults = {};
+
+/**
+ * CREATES THE FORM FIELD CONTROLS OF A PAGE
+ * =========================================
+ *
+ * @param {Object} page - PDF.js page proxy.
+ * @param {Konva.Layer} pageLayer - Layer of the page (not necessarily the current one).
+ * @param {number} canvasScale - Canvas units per PDF point.
+ */
+async function createPageFormFields(page, pageLayer, canvasScale) {
+    let annotations;
+    try {
+        annotations = await page.getAnnotations();
+    } catch (error) {
+        console.warn(`Could not read the annotations of page ${page.pageNumber}:`, error);
+        return;
+    }
+
+    const viewport = page.getViewport({ scale: canvasScale });
+
+    annotations.forEach(annotation => {
+        const fieldType = getFormFieldType(annotation);
+        if (!fieldType || annotation.hidden) return;
+
+        // PDF rectangle → canvas rectangle (rotation and y flip included)
+        const [x1, y1, x2, y2] = pdfjsLib.Util.normalizeRect(viewport.convertToViewportRectangle(annotation.rect));
+
+        const fieldName = annotation.fieldName;
+        if (!(fieldName in formFieldValues)) {
+            formFieldValues[fieldName] = getInitialFormFieldValue(annotation, fieldType);
+            formFieldDefaults[fieldName] = formFieldValues[fieldName];
+        } else if (fieldType === 'radio' && annotation.fieldValue === annotation.buttonValue) {
+            formFieldValues[fieldName] = annotation.buttonValue;
+            formFieldDefaults[fieldName] = annotation.buttonValue;
+        }
+
+        const appearance = annotation.defaultAppearanceData || {};
+        const fieldNode = new Konva.Group({
+            x: x1,
+            y: y1,
+            name: 'form-field',
+            fieldName: fieldName,
+            fieldType: fieldType,
+            fieldWidth: x2 - x1,
+            fieldHeight: y2 - y1,
+            // Font size 0 means "auto" in PDF forms: fit the height, or 12pt for multi-line fields
+            fieldFontSize: appearance.fontSize
+                ? appearance.fontSize * canvasScale
+                : (annotation.multiLine ? 12 * canvasScale : 0),
+            fieldColor: appearance.fontColor ? pdfColorToCss(appearance.fontColor) : '#000000',
+            fieldAlign: ['left', 'center', 'right'][annotation.textAlignment] || 'left',
+            multiLine: !!annotation.multiLine,
+            maxLength: annotation.maxLen || 0,
+            onValue: fieldType === 'radio' ? annotation.buttonValue : annotation.exportValue,
+            options: (annotation.options || []).map(option => ({
+                value: option.exportValue,
+                label: option.displayValue
+            })),
+            readOnly: !!annotation.readOnly
+        });
+
+        fieldNode.add(new Konva.Rect({
+            width: x2 - x1,
+            height: y2 - y1,
+            fill: 'rgba(0, 123, 255, 0.08)',
+            stroke: 'rgba(0, 123, 255, 0.45)',
+            strokeWidth: 1,
+            strokeScaleEnabled: false,
+            cornerRadius: fieldType === 'radio' ? Math.min(x2 - x1, y2 - y1) / 2 : 0,
+            name: 'form-field-highlight'
+        }));
+
+        if (!fieldNode.getAttr('readOnly')) {
+            fieldNode.on('mouseover', () => {
+                document.body.style.cursor = fieldType === 'text' ? 'text' : 'pointer';
+            });
+            fieldNode.on('mouseout', () => {
+                document.body.style.cursor = 'default';
+            });
+            fieldNode.on('click tap', () => activateFormField(fieldNode));
+        }
+
+        pageLayer.add(fieldNode);
+        renderFormField(fieldNode);
+    });
+}
+
+/**
+ * MAPS A PDF.JS WIDGET ANNOTATION TO THE KIND OF CONTROL IT NEEDS
+ *
+ * @returns {string|null} 'text', 'checkbox', 'radio', 'choice' or null if not fillable.
+ */
+function getFormFieldType(annotation) {
+    if (annotation.annotationType !== pdfjsLib.AnnotationType.WIDGET || !annotation.fieldName) {
+        return null;
+    }
+
+    switch (annotation.fieldType) {
+        case 'Tx':
+            return 'text';
+        case 'Btn':
+            if (annotation.checkBox) return 'checkbox';
+            if (annotation.radioButton) return 'radio';
+            return null; // push buttons
+        case 'Ch':
+            return 'choice';
+        default:
+            return null; // signature fields
+    }
+}
+
+/**
+ * READS THE VALUE A FIELD HAS IN THE UPLOADED PDF
+ */
+function getInitialFormFieldValue(annotation, fieldType) {
+    const value = annotation.fieldValue;
+
+    if (fieldType === 'checkbox') {
+        return value && value !== 'Off' && value === annotation.exportValue ? annotation.exportValue : 'Off';
+    }
+    if (fieldType === 'radio') {
+        return value === annotation.buttonValue ? value : 'Off';
+    }
+    if (fieldType === 'choice') {
+        return Array.isArray(value) ? (value[0] || '') : (value || '');
+    }
+    return Array.isArray(value) ? value.join('\n') : (value || '');
+}
+
+/**
+ * CONVERTS A PDF.JS RGB COLOR (0-255 COMPONENTS) TO A CSS HEX COLOR
+ */
+function pdfColorToCss(color) {
+    return '#' + Array.from(color).slice(0, 3).map(component => component.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * DRAWS THE VALUE OF A FORM FIELD CONTROL
+ */
+function renderFormField(fieldNode) {
+    fieldNode.find('.form-field-value').forEach(node => node.destroy());
+
+    const width = fieldNode.getAttr('fieldWidth');
+    const height = fieldNode.getAttr('fieldHeight');
+    const value = formFieldValues[fieldNode.getAttr('fieldName')];
+    const color = fieldNode.getAttr('fieldColor');
+
+    switch (fieldNode.getAttr('fieldType')) {
+        case 'checkbox':
+            if (value !== 'Off' && value === fieldNode.getAttr('onValue')) {
+                fieldNode.add(new Konva.Text({
+                    width: width,
+                    height: height,
+                    text: '✓',
+                    fontSize: height * 0.9,
+                    fontFamily: 'Arial',
+                    fill: color,
+                    align: 'center',
+                    verticalAlign: 'middle',
+                    listening: false,
+                    name: 'form-field-value'
+                }));
+            }
+            break;
+
+        case 'radio':
+            if (value !== 'Off' && value === fieldNode.getAttr('onValue')) {
+                fieldNode.add(new Konva.Circle({
+                    x: width / 2,
+                    y: height / 2,
+                    radius: Math.min(width, height) * 0.25,
+                    fill: color,
+                    listening: false,
+                    name: 'form-field-value'
+                }));
+            }
+            break;
+
+        default: {
+            // TEXT FIELDS AND CHOICES
+            const isChoice = fieldNode.getAttr('fieldType') === 'choice';
+            const option = isChoice && fieldNode.getAttr('options').find(candidate => candidate.value === value);
+            const multiLine = fieldNode.getAttr('multiLine');
+            const fontSize = fieldNode.getAttr('fieldFontSize') || height * 0.65;
+
+            fieldNode.add(new Konva.Text({
+                x: 2,
+                width: width - (isChoice ? height : 4),
+                height: height,
+                text: option ? option.label : value,
+                fontSize: fontSize,
+                fontFamily: 'Helvetica, Arial, sans-serif',
+                fill: color,
+                align: fieldNode.getAttr('fieldAlign'),
+                verticalAlign: multiLine ? 'top' : 'middle',
+                wrap: multiLine ? 'word' : 'none',
+                ellipsis: !multiLine,
+                listening: false,
+                name: 'form-field-value'
+            }));
+
+            if (isChoice) {
+                fieldNode.add(new Konva.Text({
+                    x: width - height,
+                    width: height,
+                    height: height,
+                    text: '▾',
+                    fontSize: height * 0.6,
+                    fill: '#4a5568',
+                    align: 'center',
+                    verticalAlign: 'middle',
+                    listening: false,
+                    name: 'form-field-value form-field-highlight'
+                }));
+            }
+        }
+    }
+
+    const fieldLayer = fieldNode.getLayer();
+    if (fieldLayer) {
+        fieldLayer.batchDraw();
+    }
+}
+
+/**
+ * SETS THE VALUE OF A FIELD AND REDRAWS EVERY WIDGET OF IT (NO HISTORY)
+ */
+function setFormFieldValue(fieldName, value) {
+    if (!(fieldName in formFieldValues)) {
+        console.warn(`Unknown form field "${fieldName}"`);
+        return;
+    }
+
+    formFieldValues[fieldName] = value;
+    pdfPages.forEach(page => {
+        page.layer.find('.form-field')
+            .filter(fieldNode => fieldNode.getAttr('fieldName') === fieldName)
+            .forEach(renderFormField);
+    });
+}
+
+/**
+ * CHANGES THE VALUE OF A FIELD AS AN UNDOABLE COMMAND
+ */
+function changeFormFieldValue(fieldName, value) {
+    const previous = formFieldValues[fieldName];
+    if (previous === value) return;
+
+    setFormFieldValue(fieldName, value);
+    recordCommand({
+        label: 'Fill form field',
+        undo: () => setFormFieldValue(fieldName, previous),
+        redo: () => setFormFieldValue(fieldName, value)
+    });
+}
+
+/**
+ * REACTS TO A CLICK ON A FORM FIELD CONTROL
+ */
+function activateFormField(fieldNode) {
+    const fieldName = fieldNode.getAttr('fieldName');
+    const onValue = fieldNode.getAttr('onValue');
+
+    switch (fieldNode.getAttr('fieldType')) {
+        case 'checkbox':
+            changeFormFieldValue(fieldName, formFieldValues[fieldName] === onValue ? 'Off' : onValue);
+            break;
+        case 'radio':
+            changeFormFieldValue(fieldName, onValue);
+            break;
+        default:
+            openFormFieldEditor(fieldNode);
+    }
+}
+
+/**
+ * OPENS AN HTML INPUT (TEXT) OR SELECT (CHOICE) OVER A FIELD
+ * ==========================================================
+ *
+ * Positioned like the text editor of module 2: fixed, over the field's box in
+ * container pixels, so it follows the current zoom and pan.
+ */
+function openFormFieldEditor(fieldNode) {
+    closeFormFieldEditor();
+
+    const fieldName = fieldNode.getAttr('fieldName');
+    const isChoice = fieldNode.getAttr('fieldType') === 'choice';
+    const multiLine = fieldNode.getAttr('multiLine');
+    const box = fieldNode.getClientRect({ skipStroke: true });
+    const stageBox = stage.container().getBoundingClientRect();
+    const zoom = stage.scaleX();
+
+    let editor;
+    if (isChoice) {
+        editor = document.createElement('select');
+        fieldNode.getAttr('options').forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            editor.appendChild(optionElement);
+        });
+    } else {
+        editor = document.createElement(multiLine ? 'textarea' : 'input');
+        if (fieldNode.getAttr('maxLength')) {
+            editor.maxLength = fieldNode.getAttr('maxLength');
+        }
+    }
+
+    editor.className = 'form-field-editor';
+    editor.value = formFieldValues[fieldName];
+    editor.style.left = (stageBox.left + box.x) + 'px';
+    editor.style.top = (stageBox.top + box.y) + 'px';
+    editor.style.width = box.width + 'px';
+    editor.style.height = box.height + 'px';
+    editor.style.fontSize = Math.max((fieldNode.getAttr('fieldFontSize') || fieldNode.getAttr('fieldHeight') * 0.65) * zoom, 8) + 'px';
+    editor.style.textAlign = fieldNode.getAttr('fieldAlign');
+    editor.style.color = fieldNode.getAttr('fieldColor');
+    document.body.appendChild(editor);
+    editor.focus();
+
+    let cancelled = false;
+    const commit = () => {
+        if (!cancelled) {
+            changeFormFieldValue(fieldName, editor.value);
+        }
+        closeFormFieldEditor();
+    };
+
+    editor.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            cancelled = true;
+            editor.blur();
+        } else if (event.key === 'Enter' && !multiLine && !isChoice) {
+            editor.blur();
+        }
+    });
+    if (isChoice) {
+        editor.addEventListener('change', () => editor.blur());
+    }
+    editor.addEventListener('blur', commit, { once: true });
+}
+
+/**
+ * REMOVES THE OPEN FIELD EDITOR, IF ANY
+ */
+function closeFormFieldEditor() {
+    document.querySelectorAll('.form-field-editor').forEach(editor => editor.remove());
+}
+
+/**
+ * WRITES THE FIELD VALUES INTO THE PDF (VECTOR EXPORT)
+ * ====================================================
+ *
+ * Only the fields the user changed are written, so pdf-lib regenerates
+ * their appearance and leaves the original styling of the others alone.
+ *
+ * @param {Object} pdfDoc - pdf-lib document being exported.
+ * @param {string} mode - 'fill' keeps the fields fillable, 'flatten' burns them into the pages.
+ */
+async function fillPdfForm(pdfDoc, mode) {
+    if (Object.keys(formFieldValues).length === 0) return;
+
+    const fieldNames = Object.keys(formFieldValues)
+        .filter(fieldName => formFieldValues[fieldName] !== formFieldDefaults[fieldName]);
+    if (fieldNames.length === 0 && mode !== 'flatten') return;
+
+    const form = pdfDoc.getForm();
+
+    fieldNames.forEach(fieldName => {
+        const value = formFieldValues[fieldName];
+        try {
+            const field = form.getField(fieldName);
+
+            if (field instanceof PDFLib.PDFTextField) {
+                field.setText(value || undefined);
+            } else if (field instanceof PDFLib.PDFCheckBox) {
+                if (value !== 'Off') {
+                    field.check();
+                } else {
+                    field.uncheck();
+                }
+            } else if (field instanceof PDFLib.PDFRadioGroup) {
+                if (value !== 'Off') {
+                    field.select(value);
+                } else {
+                    field.clear();
+                }
+            } else if (field instanceof PDFLib.PDFDropdown || field instanceof PDFLib.PDFOptionList) {
+                if (value) {
+                    field.select(value);
+                } else {
+                    field.clear();
+                }
+            }
+        } catch (error) {
+            console.warn(`Form field "${fieldName}" could not be written:`, error);
+        }
+    });
+
+    // APPEARANCES: regenerated with Helvetica; characters it cannot encode
+    // leave the job to the viewer (NeedAppearances) instead of failing the export
+    try {
+        form.updateFieldAppearances(await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica));
+    } catch (error) {
+        console.warn('Form appearances could not be generated, the viewer will draw them:', error);
+        form.acroForm.dict.set(PDFLib.PDFName.of('NeedAppearances'), PDFLib.PDFBool.True);
+        if (mode === 'flatten') {
+            alert('Some form values use characters that cannot be flattened, the fields are kept fillable.');
+            return;
+        }
+    }
+
+    if (mode === 'flatten') {
+        form.flatten({ updateFieldAppearances: false });
+    }
+}
+
+/**
+ * REMOVES THE FORM FIELDS WHOSE WIDGETS ARE ON A PAGE (REDACTED PAGES)
+ */
+function removeFormFieldsOfPage(pdfDoc, pdfPage) {
+    const annots = pdfPage.node.Annots();
+    if (!annots) return;
+
+    const pageAnnotRefs = annots.asArray().map(ref => ref.toString());
+    const form = pdfDoc.getForm();
+
+    form.getFields().forEach(field => {
+        const onPage = field.acroField.getWidgets().some(widget => {
+            const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+            return widgetRef && pageAnnotRefs.includes(widgetRef.toString());
+        });
+        if (onPage) {
+            try {
+                form.removeField(field);
+            } catch (error) {
+                console.warn(`Form field "${field.getName()}" could not be removed:`, error);
+            }
+        }
+    });
+}
+
+/**
+ * SHOWS THE FORM EXPORT OPTION WHEN THE PDF HAS FIELDS
+ */
+function setupFormFields() {
+    document.addEventListener('pdfLoaded', () => {
+        const formOptions = document.getElementById('form-export-options');
+        if (formOptions) {
+            formOptions.hidden = Object.keys(formFieldValues).length === 0;
+        }
+    });
+
+    // An open editor belongs to the page it was opened on
+    document.addEventListener('pageChanged', closeFormFieldEditor);
+
+    console.log('Form fields configured');
+}
+
+// =============================================================================
+// MODULE 13: EDITING THE ORIGINAL PDF TEXT
+// =============================================================================
+
+/**
+ * MODULE 13: EDITING THE ORIGINAL PDF TEXT
+ * ========================================
+ *
+ * Double-clicking a run of the original text (see extractPageTextRuns())
+ * replaces it with a regular text box pre-filled with the same text, font
+ * size, family and weight, and opens the text editor on it.
+ *
+ * The replacement keeps the box of the original run in `coverRect` (page
+ * units) and the paper colour sampled around it in `coverColor`. Its scene
+ * function paints that box before the text, at the original place even if
+ * the replacement is moved later, and the vector export draws the same
+ * rectangle before writing the new text. The original text is covered, not
+ * removed from the file: use a redaction when it must not survive.
+ */
+
+/**
+ * MAKES A TEXT NODE PAINT ITS COVER RECTANGLE BEFORE ITS TEXT
+ */
+function installTextCover(textNode) {
+    textNode.sceneFunc(function(context, shape) {
+        const cover = shape.getAttr('coverRect');
+
+        // The cover lives in page units: undo the node transform first
+        const inverse = shape.getTransform().copy().invert().getMatrix();
+        context.save();
+        context.transform(inverse[0], inverse[1], inverse[2], inverse[3], inverse[4], inverse[5]);
+        // No hover glow around the cover
+        context.setAttr('shadowColor', 'rgba(0, 0, 0, 0)');
+        context.beginPath();
+        context.rect(cover.x, cover.y, cover.width, cover.height);
+        context.setAttr('fillStyle', shape.getAttr('coverColor') || '#ffffff');
+        context.fill();
+        context.restore();
+
+        shape._sceneFunc(context);
+    });
+}
+
+/**
+ * AVERAGE COLOUR OF THE PAGE RENDER JUST AROUND A BOX (THE "PAPER" BEHIND A TEXT RUN)
+ *
+ * @param {Object} page - Entry of `pdfPages`.
+ * @param {{x: number, y: number, width: number, height: number}} rect - Box in page units.
+ * @returns {string} CSS hex colour.
+ */
+function samplePageBackgroundColor(page, rect) {
+    const source = page.background.image();
+    const ratio = source.width / page.background.width();
+    const margin = 3;
+    const left = Math.max(Math.floor((rect.x - margin) * ratio), 0);
+    const top = Math.max(Math.floor((rect.y - margin) * ratio), 0);
+    const width = Math.min(Math.ceil((rect.width + margin * 2) * ratio), source.width - left);
+    const height = Math.min(Math.ceil((rect.height + margin * 2) * ratio), source.height - top);
+    if (width <= 0 || height <= 0) return '#ffffff';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.drawImage(source, left, top, width, height, 0, 0, width, height);
+    const data = context.getImageData(0, 0, width, height).data;
+
+    // Only the outer ring: the inside is the text itself
+    const ring = Math.max(Math.round(margin * ratio / 2), 1);
+    const total = [0, 0, 0];
+    let samples = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (x >= ring && x < width - ring && y >= ring && y < height - ring) continue;
+            const i = (y * width + x) * 4;
+            // Blank (transparent) render pixels are white paper
+            const alpha = data[i + 3] / 255;
+            total[0] += data[i] * alpha + 255 * (1 - alpha);
+            total[1] += data[i + 1] * alpha + 255 * (1 - alpha);
+            total[2] += data[i + 2] * alpha + 255 * (1 - alpha);
+            samples++;
+        }
+    }
+
+    return '#' + total.map(value => Math.round(value / samples).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * MAPS THE FONT OF A PDF TEXT RUN TO ONE OF THE EDITOR FONT FAMILIES
+ */
+function getEditorFontFamily(run) {
+    const name = (run.pdfFontName + ' ' + run.fontFamily).toLowerCase();
+    const family = TEXT_FONT_FAMILIES.find(candidate => name.includes(candidate.toLowerCase().replace(/ /g, '')));
+    if (family) return family;
+
+    const standardFamily = getStandardFontFamily(name);
+    return { helvetica: 'Arial', times: 'Times New Roman', courier: 'Courier New' }[standardFamily];
+}
+
+/**
+ * REPLACES A TEXT RUN OF THE CURRENT PAGE WITH AN EDITABLE TEXT BOX
+ *
+ * @param {Object} run - Text run of the current page.
+ * @returns {Konva.Text} The replacement text node.
+ */
+function replacePdfTextRun(run) {
+    const page = pdfPages[currentPageIndex];
+    const padding = 5;
+    const coverRect = {
+        x: run.x - 1,
+        y: run.y - 1,
+        width: run.width + 2,
+        height: run.height * 1.2 + 2 // room for descenders
+    };
+
+    const textNode = createDraggableText(run.text, run.x - padding, run.y - padding, {
+        fontSize: run.height,
+        fontFamily: getEditorFontFamily(run),
+        fontStyle: run.fontStyle,
+        lineHeight: 1,
+        // Some slack so the same text does not wrap with a slightly wider font
+        width: run.width * 1.15 + padding * 2,
+        coverRect: coverRect,
+        coverColor: samplePageBackgroundColor(page, coverRect)
+    });
+    run.replacement = textNode;
+
+    layer.batchDraw();
+    return textNode;
+}
+
+/**
+ * TELLS WHETHER A TEXT RUN HAS BEEN REPLACED BY A TEXT BOX OF ITS PAGE
+ *
+ * Undoing the replacement or deleting the text box takes it off the layer,
+ * which gives the run back to editing and text selection.
+ */
+function isTextRunReplaced(run) {
+    return Boolean(run.replacement && run.replacement.getParent());
+}
+
+/**
+ * CONFIGURES DOUBLE-CLICK EDITING OF THE ORIGINAL TEXT
+ */
+function setupPdfTextEditing() {
+    stage.on('dblclick dbltap', function(e) {
+        // Only on the bare page, with the select tool
+        if (activeTool !== 'select' || (e.target !== stage && e.target.name() !== 'pdf-background')) {
+            return;
+        }
+
+        const page = pdfPages[currentPageIndex];
+        if (!page || !page.textRuns) return;
+
+        const pos = stage.getRelativePointerPosition();
+        const hit = findTextPosition(page.textRuns, pos, true);
+        if (!hit) return;
+
+        const textNode = replacePdfTextRun(page.textRuns[hit.run]);
+
+        // Open the text editor right away, as if the new box had been double-clicked
+        textNode.fire('dblclick');
+    });
+
+    console.log('PDF text editing configured');
+}
+
+/**
+ * PAINTS THE COVER OF A REPLACED TEXT RUN (VECTOR EXPORT)
+ */
+function stampTextCover(pdfPage, textNode, mapping) {
+    const cover = textNode.getAttr('coverRect');
+    const bottomLeft = toPdfPoint(mapping, { x: cover.x, y: cover.y + cover.height });
+
+    pdfPage.drawRectangle({
+        x: bottomLeft.x,
+        y: bottomLeft.y,
+        width: cover.width * mapping.scale,
+        height: cover.height * mapping.scale,
+        color: colorToPdfRgb(textNode.getAttr('coverColor') || '#ffffff')
+    });
+}
+
+// =============================================================================
+// MODULE 14: SELECTION
+// =============================================================================
+
+/**
+ * MODULE 14: SELECTION
+ * ====================
+ *
+ * Every selectable node describes its transformer in a `transformerConfig()`
+ * function set by its factory (anchors, rotation, resizing). Nodes fixed to
+ * the page content declare `movable: false`: group moves, align, distribute
+ * and nudge leave them where they are. The selection
+ * merges the configurations of its nodes into one shared Konva.Transformer,
+ * so a group is moved, resized and rotated together.
+ *
+ * Nodes are selected by clicking them (Shift/Ctrl/Cmd adds or removes a
+ * node) or by dragging a marquee over the empty page. Group moves, group
+ * transforms and the align/distribute commands are each recorded as a single
+ * history command.
+ */
+
+let selectedNodes = [];
+
+// Set when a marquee ends, so the stage click that follows keeps the selection
+let marqueeJustEnded = false;
+
+// Marquees smaller than this (screen pixels) are plain clicks
+const MIN_MARQUEE_SIZE = 4;
+
+// Every anchor of a Konva.Transformer, used to intersect the node configurations
+const TRANSFORMER_ANCHORS = [
+    'top-left', 'top-center', 'top-right', 'middle-right',
+    'middle-left', 'bottom-left', 'bottom-center', 'bottom-right'
+];
+
+/**
+ * RETURNS THE SELECTED NODES OF THE CURRENT PAGE
+ */
+function getSelectedNodes() {
+    return selectedNodes.slice();
+}
+
+/**
+ * RETURNS TRUE WHEN A NODE IS MOVED/TRANSFORMED AS PART OF A GROUP
+ */
+function isInGroupSelection(node) {
+    return selectedNodes.length > 1 && selectedNodes.includes(node);
+}
+
+/**
+ * RETURNS THE NODES OF A LAYER THAT CAN BE SELECTED
+ *
+ * @param {Konva.Layer} targetLayer - Page layer.
+ * @returns {Konva.Node[]} Visible nodes created by one of the node factories.
+ */
+function getSelectableNodes(targetLayer) {
+    return getPageObjects(targetLayer).filter(node => node.visible() && !node.getAttr('locked'));
+}
+
+/**
+ * RETURNS EVERY NODE OF A LAYER CREATED BY ONE OF THE NODE FACTORIES
+ *
+ * Includes hidden and locked nodes, bottom-to-top.
+ */
+function getPageObjects(targetLayer) {
+    return targetLayer.getChildren(node => typeof node.transformerConfig === 'function');
+}
+
+/**
+ * REPLACES THE SELECTION
+ * ======================
+ *
+ * Destroys the transformers of the current page and attaches one shared
+ * transformer to the new selection.
+ *
+ * @param {Konva.Node[]} nodes - Nodes of the current page.
+ */
+function selectNodes(nodes) {
+    layer.find('Transformer').forEach(transformer => transformer.destroy());
+    selectedNodes.forEach(node => {
+        node.transformer = null;
+    });
+
+    selectedNodes = nodes.filter(node => node.getLayer() === layer);
+
+    if (selectedNodes.length) {
+        const transformer = new Konva.Transformer({
+            ...TRANSFORMER_STYLE,
+            ...mergeTransformerConfigs(selectedNodes),
+            nodes: selectedNodes
+        });
+
+        if (selectedNodes.length > 1) {
+            registerGroupTransformHistory(transformer);
+        }
+
+        layer.add(transformer);
+        selectedNodes.forEach(node => {
+            node.transformer = transformer;
+        });
+    }
+
+    layer.batchDraw();
+    updateArrangeControls();
+
+    document.dispatchEvent(new CustomEvent('selectionChanged', {
+        detail: { nodes: getSelectedNodes() }
+    }));
+}
+
+/**
+ * EMPTIES THE SELECTION
+ */
+function clearSelection() {
+    if (!selectedNodes.length && !layer.find('Transformer').length) return;
+    selectNodes([]);
+}
+
+/**
+ * SELECTS A CLICKED NODE, SHIFT/CTRL/CMD TOGGLES IT IN THE SELECTION
+ *
+ * @param {Konva.Node} node - Clicked node.
+ * @param {Object} [e] - Konva event of the click.
+ */
+function selectNodeFromClick(node, e) {
+    const evt = e && e.evt;
+    if (evt && (evt.shiftKey || evt.ctrlKey || evt.metaKey)) {
+        selectNodes(selectedNodes.includes(node)
+            ? selectedNodes.filter(selected => selected !== node)
+            : [...selectedNodes, node]);
+        return;
+    }
+
+    selectNodes([node]);
+}
+
+/**
+ * MERGES THE TRANSFORMER CONFIGURATIONS OF THE SELECTED NODES
+ *
+ * A single node keeps its own configuration. A group only gets the anchors,
+ * rotation and resizing that every one of its nodes allows.
+ */
+function mergeTransformerConfigs(nodes) {
+    const configs = nodes.map(node => node.transformerConfig());
+    if (configs.length === 1) {
+        return configs[0];
+    }
+
+    // `movable` is not a Konva.Transformer option, it is read by isMovableNode()
+    return {
+        rotateEnabled: configs.every(config => config.rotateEnabled !== false),
+        resizeEnabled: configs.every(config => config.resizeEnabled !== false),
+        ignoreStroke: configs.some(config => config.ignoreStroke),
+        enabledAnchors: TRANSFORMER_ANCHORS.filter(anchor => configs.every(config => (
+            !config.enabledAnchors || config.enabledAnchors.includes(anchor)
+        )))
+    };
+}
+
+/**
+ * RECORDS A TRANSFORM OF THE WHOLE GROUP AS ONE COMMAND
+ *
+ * @param {Konva.Transformer} transformer - Shared transformer of the group.
+ */
+function registerGroupTransformHistory(transformer) {
+    let nodes = null;
+    let before = null;
+
+    transformer.on('transformstart', () => {
+        nodes = transformer.nodes();
+        before = nodes.map(node => captureAttrs(node, getTransformAttrs(node)));
+    });
+
+    transformer.on('transformend', () => {
+        if (!before) return;
+        const after = nodes.map(node => captureAttrs(node, getTransformAttrs(node)));
+        recordGroupAttrsChange(nodes, before, after, 'Transform selection');
+        nodes = null;
+        before = null;
+    });
+}
+
+/**
+ * RETURNS FALSE FOR NODES FIXED TO THE PAGE CONTENT (E.G. TEXT MARKUP)
+ */
+function isMovableNode(node) {
+    return typeof node.transformerConfig !== 'function' || node.transformerConfig().movable !== false;
+}
+
+/**
+ * RETURNS THE SELECTED NODES THAT ALIGN, DISTRIBUTE AND NUDGE MAY MOVE
+ */
+function getMovableSelectedNodes() {
+    return getSelectedNodes().filter(isMovableNode);
+}
+
+/**
+ * MOVES EACH NODE BY ITS OWN OFFSET AS ONE UNDOABLE COMMAND
+ *
+ * @param {Konva.Node[]} nodes - Nodes to move.
+ * @param {Array<{x: number, y: number}>} offsets - Offset of each node.
+ * @param {string} label - Human readable description.
+ */
+function moveNodesBy(nodes, offsets, label) {
+    const before = nodes.map(node => captureAttrs(node, ['x', 'y']));
+
+    nodes.forEach((node, i) => {
+        node.position({ x: node.x() + offsets[i].x, y: node.y() + offsets[i].y });
+    });
+
+    const after = nodes.map(node => captureAttrs(node, ['x', 'y']));
+    recordGroupAttrsChange(nodes, before, after, label);
+    layer.batchDraw();
+}
+
+/**
+ * ALIGNS THE SELECTION
+ * ====================
+ *
+ * Several nodes are aligned to the bounding box of the selection, a single
+ * node to the page.
+ *
+ * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'.
+ */
+function alignSelection(edge) {
+    const nodes = getMovableSelectedNodes();
+    if (!nodes.length) return;
+
+    const boxes = nodes.map(node => node.getClientRect({ relativeTo: layer }));
+    const bounds = nodes.length === 1
+        ? pdfPages[currentPageIndex].background.getClientRect({ relativeTo: layer })
+        : getBoundingBox(boxes);
+
+    const offsets = boxes.map(box => {
+        switch (edge) {
+            case 'left':
+                return { x: bounds.x - box.x, y: 0 };
+            case 'center':
+                return { x: bounds.x + bounds.width / 2 - (box.x + box.width / 2), y: 0 };
+            case 'right':
+                return { x: bounds.x + bounds.width - (box.x + box.width), y: 0 };
+            case 'top':
+                return { x: 0, y: bounds.y - box.y };
+            case 'middle':
+                return { x: 0, y: bounds.y + bounds.height / 2 - (box.y + box.height / 2) };
+            case 'bottom':
+                return { x: 0, y: bounds.y + bounds.height - (box.y + box.height) };
+            default:
+                return { x: 0, y: 0 };
+        }
+    });
+
+    moveNodesBy(nodes, offsets, `Align ${edge}`);
+}
+
+/**
+ * SPREADS THE SELECTION WITH EQUAL GAPS BETWEEN ITS NODES
+ *
+ * The first and last nodes along the axis stay where they are.
+ *
+ * @param {string} axis - 'horizontal' or 'vertical'.
+ */
+function distributeSelection(axis) {
+    const nodes = getMovableSelectedNodes();
+    if (nodes.length < 3) return;
+
+    const start = axis === 'horizontal' ? 'x' : 'y';
+    const size = axis === 'horizontal' ? 'width' : 'height';
+
+    const items = nodes
+        .map(node => ({ node: node, box: node.getClientRect({ relativeTo: layer }) }))
+        .sort((a, b) => a.box[start] - b.box[start]);
+
+    const first = items[0].box;
+    const last = items[items.length - 1].box;
+    const span = Math.max(last[start] + last[size], first[start] + first[size]) - first[start];
+    const occupied = items.reduce((total, item) => total + item.box[size], 0);
+    const gap = (span - occupied) / (items.length - 1);
+
+    let position = first[start];
+    const offsets = items.map(item => {
+        const delta = position - item.box[start];
+        position += item.box[size] + gap;
+        return axis === 'horizontal' ? { x: delta, y: 0 } : { x: 0, y: delta };
+    });
+
+    moveNodesBy(items.map(item => item.node), offsets, `Distribute ${axis}ly`);
+}
+
+/**
+ * RETURNS THE BOX ENCLOSING SEVERAL BOXES
+ */
+function getBoundingBox(boxes) {
+    const left = Math.min(...boxes.map(box => box.x));
+    const top = Math.min(...boxes.map(box => box.y));
+    const right = Math.max(...boxes.map(box => box.x + box.width));
+    const bottom = Math.max(...boxes.map(box => box.y + box.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * RETURNS TRUE (ONCE) WHEN A CLICK ENDS A MARQUEE SELECTION
+ */
+function consumeMarqueeClick() {
+    const wasMarquee = marqueeJustEnded;
+    marqueeJustEnded = false;
+    return wasMarquee;
+}
+
+/**
+ * REFRESHES THE ARRANGE BUTTONS AND THE SELECTION COUNTER
+ */
+function updateArrangeControls() {
+    const count = selectedNodes.length;
+
+    document.querySelectorAll('[data-align]').forEach(button => {
+        button.disabled = count === 0;
+    });
+    document.querySelectorAll('[data-distribute]').forEach(button => {
+        button.disabled = count < 3;
+    });
+
+    const counter = document.getElementById('selection-count');
+    if (counter) {
+        counter.textContent = count === 0
+            ? 'Nothing selected'
+            : `${count} object${count === 1 ? '' : 's'} selected`;
+    }
+}
+
+/**
+ * CONFIGURES MARQUEE SELECTION, GROUP MOVES AND THE ARRANGE COMMANDS
+ */
+function setupSelection() {
+    let marqueeStart = null;
+    let marqueeClientStart = null;
+    let marqueeAdditive = false;
+    let marqueeRect = null;
+
+    // MARQUEE: DRAG ON THE EMPTY PAGE WITH THE SELECT TOOL
+    stage.on('pointerdown.selection', function(e) {
+        marqueeJustEnded = false;
+        if (activeTool !== 'select' || e.evt.button !== 0) return;
+        if (e.target !== stage && e.target.name() !== 'pdf-background') return;
+
+        marqueeStart = stage.getRelativePointerPosition();
+        marqueeClientStart = { x: e.evt.clientX, y: e.evt.clientY };
+        marqueeAdditive = e.evt.shiftKey || e.evt.ctrlKey || e.evt.metaKey;
+    });
+
+    stage.on('pointermove.selection', function(e) {
+        if (!marqueeStart) return;
+
+        if (!marqueeRect) {
+            const distance = Math.hypot(e.evt.clientX - marqueeClientStart.x, e.evt.clientY - marqueeClientStart.y);
+            if (distance < MIN_MARQUEE_SIZE) return;
+
+            marqueeRect = new Konva.Rect({
+                name: 'selection-marquee',
+                fill: 'rgba(0, 123, 255, 0.08)',
+                stroke: '#007bff',
+                strokeWidth: 1,
+                strokeScaleEnabled: false,
+                dash: [4, 4],
+                listening: false
+            });
+            layer.add(marqueeRect);
+        }
+
+        const pos = stage.getRelativePointerPosition();
+        marqueeRect.setAttrs({
+            x: Math.min(marqueeStart.x, pos.x),
+            y: Math.min(marqueeStart.y, pos.y),
+            width: Math.abs(pos.x - marqueeStart.x),
+            height: Math.abs(pos.y - marqueeStart.y)
+        });
+        layer.batchDraw();
+    });
+
+    // Listen on the window so releasing the button outside the stage ends the marquee
+    window.addEventListener('pointerup', function() {
+        if (!marqueeStart) return;
+        marqueeStart = null;
+        if (!marqueeRect) return;
+
+        const box = {
+            x: marqueeRect.x(),
+            y: marqueeRect.y(),
+            width: marqueeRect.width(),
+            height: marqueeRect.height()
+        };
+        marqueeRect.destroy();
+        marqueeRect = null;
+
+        const hits = getSelectableNodes(layer)
+            .filter(node => rectsIntersect(node.getClientRect({ relativeTo: layer }), box));
+
+        selectNodes(marqueeAdditive
+            ? [...selectedNodes, ...hits.filter(node => !selectedNodes.includes(node))]
+            : hits);
+        marqueeJustEnded = true;
+    });
+
+    // GROUP MOVE: the transformer drags the other nodes along, record them together
+    let dragNodes = null;
+    let dragBefore = null;
+    let fixedNodes = [];
+
+    stage.on('dragstart.selection', function(e) {
+        if (dragBefore || !isInGroupSelection(e.target)) return;
+        dragNodes = getMovableSelectedNodes();
+        dragBefore = dragNodes.map(node => captureAttrs(node, ['x', 'y']));
+        fixedNodes = getSelectedNodes()
+            .filter(node => !isMovableNode(node))
+            .map(node => ({ node: node, position: node.position() }));
+    });
+
+    // The transformer drags every selected node, put the fixed ones back
+    stage.on('dragmove.selection', function() {
+        fixedNodes.forEach(entry => entry.node.position(entry.position));
+    });
+
+    stage.on('dragend.selection', function() {
+        if (!dragBefore) return;
+        const after = dragNodes.map(node => captureAttrs(node, ['x', 'y']));
+        recordGroupAttrsChange(dragNodes, dragBefore, after, 'Move selection');
+        dragNodes = null;
+        dragBefore = null;
+        fixedNodes.forEach(entry => entry.node.position(entry.position));
+        fixedNodes = [];
+    });
+
+    // ARRANGE BUTTONS
+    document.querySelectorAll('[data-align]').forEach(button => {
+        button.addEventListener('click', () => alignSelection(button.dataset.align));
+    });
+    document.querySelectorAll('[data-distribute]').forEach(button => {
+        button.addEventListener('click', () => distributeSelection(button.dataset.distribute));
+    });
+
+    updateArrangeControls();
+
+    console.log('Selection configured');
+}
+
+// =============================================================================
+// MODULE 15: RULERS, GRID AND SNAPPING GUIDES
+// =============================================================================
+
+/**
+ * MODULE 15: RULERS, GRID AND SNAPPING GUIDES
+ * ===========================================
+ *
+ * The rulers are two HTML canvases over the top and left edges of the
+ * konva-holder. They follow the zoom and pan of the stage and count in PDF
+ * units from the top-left corner of the page, using the size of a canvas
+ * unit in points stored on each page (`pointsPerUnit`).
+ *
+ * The grid and the smart guides live in a separate layer above the pages,
+ * so they are never saved, selected or exported. While a node (or the
+ * whole selection) is dragged its edges and centre snap to the page edges
+ * and centre, to the other nodes, to the lines of the PDF text layer and,
+ * when it is shown, to the grid. Holding Alt moves freely.
+ */
+
+// Layer above the page layers holding the grid and the guides
+let guidesLayer = null;
+
+const guideSettings = {
+    unit: 'mm',
+    showRulers: true,
+    showGrid: false,
+    gridSize: 10, // in `unit`
+    snap: true
+};
+
+// Points per unit, ruler steps (in the unit) and ticks between labels
+const RULER_UNITS = {
+    pt: { points: 1, steps: [1, 2, 5, 10, 20, 50, 100, 200, 500], subdivisions: 5 },
+    mm: { points: 72 / 25.4, steps: [1, 2, 5, 10, 20, 50, 100, 200], subdivisions: 5 },
+    in: { points: 72, steps: [0.125, 0.25, 0.5, 1, 2, 5], subdivisions: 4 }
+};
+
+// Thickness of the rulers and minimum distance between two labels (screen pixels)
+const RULER_SIZE = 20;
+const RULER_MIN_LABEL_SPACING = 50;
+
+// Snapping distance (screen pixels) and the look of the guides
+const SNAP_DISTANCE = 6;
+const SNAP_GUIDE_COLOR = '#e53e3e';
+const GRID_COLOR = 'rgba(102, 126, 234, 0.25)';
+
+/**
+ * RETURNS THE GRID SPACING IN CANVAS UNITS FOR A PAGE
+ */
+function getGridSpacing(page) {
+    return guideSettings.gridSize * RULER_UNITS[guideSettings.unit].points / page.pointsPerUnit;
+}
+
+/**
+ * CREATES THE GUIDES LAYER AND ITS GRID
+ */
+function createGuidesLayer() {
+    guidesLayer = new Konva.Layer({ listening: false });
+
+    const grid = new Konva.Shape({
+        name: 'page-grid',
+        stroke: GRID_COLOR,
+        strokeWidth: 1,
+        strokeScaleEnabled: false,
+        visible: guideSettings.showGrid,
+        sceneFunc: (context, shape) => {
+            const page = pdfPages[currentPageIndex];
+            if (!page) return;
+
+            const bounds = page.background.getClientRect({ relativeTo: page.layer });
+            const spacing = getGridSpacing(page);
+            if (!(spacing > 0)) return;
+
+            context.beginPath();
+            for (let x = bounds.x; x <= bounds.x + bounds.width; x += spacing) {
+                context.moveTo(x, bounds.y);
+                context.lineTo(x, bounds.y + bounds.height);
+            }
+            for (let y = bounds.y; y <= bounds.y + bounds.height; y += spacing) {
+                context.moveTo(bounds.x, y);
+                context.lineTo(bounds.x + bounds.width, y);
+            }
+            context.strokeShape(shape);
+        }
+    });
+
+    guidesLayer.add(grid);
+    stage.add(guidesLayer);
+}
+
+/**
+ * CREATES THE RULER CANVASES OVER THE EDGES OF THE KONVA HOLDER
+ */
+function createRulers() {
+    const container = stage.container();
+
+    ['horizontal', 'vertical'].forEach(orientation => {
+        const canvas = document.createElement('canvas');
+        canvas.className = `page-ruler page-ruler-${orientation}`;
+        canvas.dataset.orientation = orientation;
+        container.appendChild(canvas);
+    });
+}
+
+/**
+ * DRAWS BOTH RULERS
+ *
+ * @param {{x: number, y: number}|null} pointer - Pointer position on the stage (screen pixels).
+ */
+function drawRulers(pointer = null) {
+    document.querySelectorAll('.page-ruler').forEach(canvas => {
+        canvas.style.display = guideSettings.showRulers ? '' : 'none';
+        if (guideSettings.showRulers) {
+            drawRuler(canvas, pointer);
+        }
+    });
+}
+
+/**
+ * DRAWS ONE RULER
+ * ===============
+ *
+ * @param {HTMLCanvasElement} canvas - Ruler canvas.
+ * @param {{x: number, y: number}|null} pointer - Pointer position to mark.
+ */
+function drawRuler(canvas, pointer) {
+    const horizontal = canvas.dataset.orientation === 'horizontal';
+    const length = horizontal ? stage.width() : stage.height();
+    const ratio = window.devicePixelRatio || 1;
+
+    // STEP 1: SIZE THE CANVAS FOR SHARP LINES ON HIGH-DENSITY SCREENS
+    canvas.style.width = (horizontal ? length : RULER_SIZE) + 'px';
+    canvas.style.height = (horizontal ? RULER_SIZE : length) + 'px';
+    canvas.width = (horizontal ? length : RULER_SIZE) * ratio;
+    canvas.height = (horizontal ? RULER_SIZE : length) * ratio;
+
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.fillStyle = '#f7fafc';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const page = pdfPages[currentPageIndex];
+    if (!page) return;
+
+    // STEP 2: SCREEN PIXELS PER RULER UNIT AND POSITION OF THE PAGE ORIGIN
+    const unit = RULER_UNITS[guideSettings.unit];
+    const scale = stage.scaleX();
+    const pixelsPerUnit = scale / page.pointsPerUnit * unit.points;
+    const origin = horizontal
+        ? stage.x() + page.background.x() * scale
+        : stage.y() + page.background.y() * scale;
+
+    const step = unit.steps.find(candidate => candidate * pixelsPerUnit >= RULER_MIN_LABEL_SPACING)
+        || unit.steps[unit.steps.length - 1];
+    const minorStep = step / unit.subdivisions;
+
+    // STEP 3: TICKS AND LABELS
+    context.strokeStyle = '#a0aec0';
+    context.fillStyle = '#4a5568';
+    context.font = '10px sans-serif';
+    context.lineWidth = 1;
+    context.beginPath();
+
+    const first = Math.ceil(-origin / pixelsPerUnit / minorStep);
+    const last = Math.floor((length - origin) / pixelsPerUnit / minorStep);
+
+    for (let i = first; i <= last; i++) {
+        const position = Math.round(origin + i * minorStep * pixelsPerUnit) + 0.5;
+        const major = i % unit.subdivisions === 0;
+        const tick = major ? RULER_SIZE : RULER_SIZE / 4;
+
+        if (horizontal) {
+            context.moveTo(position, RULER_SIZE - tick);
+            context.lineTo(position, RULER_SIZE);
+        } else {
+            context.moveTo(RULER_SIZE - tick, position);
+            context.lineTo(RULER_SIZE, position);
+        }
+
+        if (major) {
+            const label = String(Number((i * minorStep).toFixed(3)));
+            if (horizontal) {
+                context.fillText(label, position + 3, 10);
+            } else {
+                context.save();
+                context.translate(10, position - 3);
+                context.rotate(-Math.PI / 2);
+                context.fillText(label, 0, 0);
+                context.restore();
+            }
+        }
+    }
+
+    // Edge between the ruler and the page
+    if (horizontal) {
+        context.moveTo(0, RULER_SIZE - 0.5);
+        context.lineTo(length, RULER_SIZE - 0.5);
+    } else {
+        context.moveTo(RULER_SIZE - 0.5, 0);
+        context.lineTo(RULER_SIZE - 0.5, length);
+    }
+    context.stroke();
+
+    // STEP 4: POINTER POSITION
+    if (pointer) {
+        const position = Math.round(horizontal ? pointer.x : pointer.y) + 0.5;
+        context.strokeStyle = SNAP_GUIDE_COLOR;
+        context.beginPath();
+        if (horizontal) {
+            context.moveTo(position, 0);
+            context.lineTo(position, RULER_SIZE);
+        } else {
+            context.moveTo(0, position);
+            context.lineTo(RULER_SIZE, position);
+        }
+        context.stroke();
+    }
+}
+
+/**
+ * COLLECTS THE LINES A DRAGGED NODE CAN SNAP TO
+ *
+ * @param {Object} page - Entry of `pdfPages`.
+ * @param {Konva.Node[]} moving - Nodes being dragged (never snap to themselves).
+ * @returns {{vertical: number[], horizontal: number[]}} X and Y positions in layer units.
+ */
+function getSnapTargets(page, moving) {
+    const bounds = page.background.getClientRect({ relativeTo: page.layer });
+    const targets = {
+        vertical: [bounds.x, bounds.x + bounds.width / 2, bounds.x + bounds.width],
+        horizontal: [bounds.y, bounds.y + bounds.height / 2, bounds.y + bounds.height]
+    };
+
+    // EDGES AND CENTRES OF THE OTHER NODES (locked ones too)
+    getPageObjects(page.layer)
+        .filter(node => node.visible() && !moving.includes(node))
+        .forEach(node => {
+            const box = node.getClientRect({ relativeTo: page.layer });
+            targets.vertical.push(box.x, box.x + box.width / 2, box.x + box.width);
+            targets.horizontal.push(box.y, box.y + box.height / 2, box.y + box.height);
+        });
+
+    // LINES OF THE PDF TEXT: start of each run, top and bottom of each line
+    (page.textRuns || []).forEach(run => {
+        targets.vertical.push(run.x);
+        targets.horizontal.push(run.y, run.y + run.height);
+    });
+
+    return targets;
+}
+
+/**
+ * FINDS THE CLOSEST SNAP OF A SET OF EDGES ON ONE AXIS
+ *
+ * @param {number[]} edges - Start, centre and end of the dragged box.
+ * @param {number[]} targets - Candidate lines.
+ * @param {number} threshold - Maximum distance, in layer units.
+ * @param {number} [gridSpacing] - Also snap the edges to a grid with this spacing.
+ * @param {number} [gridOrigin] - Position of the first grid line.
+ * @returns {{delta: number, line: number}|null} Offset to apply and the line snapped to.
+ */
+function findSnap(edges, targets, threshold, gridSpacing = 0, gridOrigin = 0) {
+    let best = null;
+
+    const consider = (edge, line) => {
+        const delta = line - edge;
+        if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+            best = { delta: delta, line: line };
+        }
+    };
+
+    edges.forEach(edge => {
+        targets.forEach(line => consider(edge, line));
+        if (gridSpacing > 0) {
+            consider(edge, gridOrigin + Math.round((edge - gridOrigin) / gridSpacing) * gridSpacing);
+        }
+    });
+
+    return best;
+}
+
+/**
+ * DRAWS THE GUIDE LINES OF THE CURRENT SNAP
+ */
+function showSnapGuides(page, snapX, snapY) {
+    clearSnapGuides();
+    const bounds = page.background.getClientRect({ relativeTo: page.layer });
+    const guideAttrs = {
+        name: 'snap-guide',
+        stroke: SNAP_GUIDE_COLOR,
+        strokeWidth: 1,
+        strokeScaleEnabled: false,
+        dash: [4, 4]
+    };
+
+    if (snapX) {
+        guidesLayer.add(new Konva.Line({
+            ...guideAttrs,
+            points: [snapX.line, bounds.y, snapX.line, bounds.y + bounds.height]
+        }));
+    }
+    if (snapY) {
+        guidesLayer.add(new Konva.Line({
+            ...guideAttrs,
+            points: [bounds.x, snapY.line, bounds.x + bounds.width, snapY.line]
+        }));
+    }
+    guidesLayer.batchDraw();
+}
+
+/**
+ * REMOVES THE GUIDE LINES
+ */
+function clearSnapGuides() {
+    if (!guidesLayer) return;
+    guidesLayer.find('.snap-guide').forEach(guide => guide.destroy());
+    guidesLayer.batchDraw();
+}
+
+/**
+ * SHOWS OR HIDES THE GRID AND REFRESHES THE RULERS
+ */
+function updateGuides() {
+    guidesLayer.findOne('.page-grid').visible(guideSettings.showGrid);
+    guidesLayer.moveToTop();
+    guidesLayer.batchDraw();
+    drawRulers();
+}
+
+/**
+ * CONFIGURES RULERS, GRID, SNAPPING AND THEIR SIDEBAR CONTROLS
+ */
+function setupGuides() {
+    createGuidesLayer();
+    createRulers();
+
+    // SIDEBAR CONTROLS
+    const unitSelect = document.getElementById('guide-unit');
+    const rulersCheckbox = document.getElementById('guide-rulers');
+    const gridCheckbox = document.getElementById('guide-grid');
+    const gridSizeInput = document.getElementById('guide-grid-size');
+    const snapCheckbox = document.getElementById('guide-snap');
+
+    if (unitSelect) {
+        unitSelect.value = guideSettings.unit;
+        unitSelect.addEventListener('change', () => {
+            guideSettings.unit = unitSelect.value;
+            updateGuides();
+        });
+    }
+    if (rulersCheckbox) {
+        rulersCheckbox.checked = guideSettings.showRulers;
+        rulersCheckbox.addEventListener('change', () => {
+            guideSettings.showRulers = rulersCheckbox.checked;
+            updateGuides();
+        });
+    }
+    if (gridCheckbox) {
+        gridCheckbox.checked = guideSettings.showGrid;
+        gridCheckbox.addEventListener('change', () => {
+            guideSettings.showGrid = gridCheckbox.checked;
+            updateGuides();
+        });
+    }
+    if (gridSizeInput) {
+        gridSizeInput.value = guideSettings.gridSize;
+        gridSizeInput.addEventListener('change', () => {
+            const size = parseFloat(gridSizeInput.value);
+            if (size > 0) {
+                guideSettings.gridSize = size;
+                updateGuides();
+            } else {
+                gridSizeInput.value = guideSettings.gridSize;
+            }
+        });
+    }
+    if (snapCheckbox) {
+        snapCheckbox.checked = guideSettings.snap;
+        snapCheckbox.addEventListener('change', () => {
+            guideSettings.snap = snapCheckbox.checked;
+        });
+    }
+
+    // RULERS FOLLOW THE ZOOM, THE PAN AND THE POINTER
+    let pendingFrame = null;
+    let rulerPointer = null;
+    const requestRulerRedraw = () => {
+        if (pendingFrame) return;
+        pendingFrame = requestAnimationFrame(() => {
+            pendingFrame = null;
+            drawRulers(rulerPointer);
+        });
+    };
+
+    stage.on('xChange.guides yChange.guides scaleXChange.guides widthChange.guides heightChange.guides', requestRulerRedraw);
+    stage.on('pointermove.guides', () => {
+        rulerPointer = stage.getPointerPosition();
+        requestRulerRedraw();
+    });
+    stage.on('mouseleave.guides', () => {
+        rulerPointer = null;
+        requestRulerRedraw();
+    });
+
+    // Page layers are added while the PDF loads, keep the guides above them
+    document.addEventListener('pageChanged', updateGuides);
+
+    // SNAPPING WHILE DRAGGING A NODE OR THE SELECTION
+    let snapTargets = null;
+
+    stage.on('dragstart.guides', function(e) {
+        const page = pdfPages[currentPageIndex];
+        if (!page || typeof e.target.transformerConfig !== 'function') return;
+
+        const moving = isInGroupSelection(e.target) ? getSelectedNodes() : [e.target];
+        snapTargets = getSnapTargets(page, moving);
+    });
+
+    stage.on('dragmove.guides', function(e) {
+        const node = e.target;
+        const page = pdfPages[currentPageIndex];
+        if (!snapTargets || !page || typeof node.transformerConfig !== 'function') return;
+
+        if (!guideSettings.snap || (e.evt && e.evt.altKey)) {
+            clearSnapGuides();
+            return;
+        }
+
+        // A group snaps as one box (every node of the group gets a dragmove)
+        const moving = isInGroupSelection(node) ? getSelectedNodes() : [node];
+        const box = getBoundingBox(moving.map(movingNode => movingNode.getClientRect({ relativeTo: layer })));
+        const threshold = SNAP_DISTANCE / stage.scaleX();
+        const gridSpacing = guideSettings.showGrid ? getGridSpacing(page) : 0;
+
+        const snapX = findSnap([box.x, box.x + box.width / 2, box.x + box.width],
+            snapTargets.vertical, threshold, gridSpacing, page.background.x());
+        const snapY = findSnap([box.y, box.y + box.height / 2, box.y + box.height],
+            snapTargets.horizontal, threshold, gridSpacing, page.background.y());
+
+        if (snapX || snapY) {
+            moving.forEach(movingNode => {
+                movingNode.position({
+                    x: movingNode.x() + (snapX ? snapX.delta : 0),
+                    y: movingNode.y() + (snapY ? snapY.delta : 0)
+                });
+            });
+        }
+
+        showSnapGuides(page, snapX, snapY);
+    });
+
+    stage.on('dragend.guides', function() {
+        snapTargets = null;
+        clearSnapGuides();
+    });
+
+    updateGuides();
+
+    console.log('Rulers, grid and snapping configured');
+}
+
+// =============================================================================
+// MODULE 16: OBJECTS PANEL
+// =============================================================================
+
+/**
+ * MODULE 16: OBJECTS PANEL
+ * ========================
+ *
+ * Lists the nodes of the current page top-to-bottom, named after their
+ * content (see `describe` in `sceneNodeTypes`) or the name given by the
+ * user. Dragging a row changes the stacking order; each row can hide, lock
+ * and rename its node. Every change is an undoable command, and the rows
+ * follow the selection on the canvas both ways.
+ *
+ * Hidden nodes are neither shown nor exported. Locked nodes stop listening
+ * to the pointer, so they can't be selected, moved or erased on the canvas.
+ */
+
+// Nodes of the rows of the panel, in display order (top of the stack first)
+let listedObjects = [];
+
+/**
+ * RETURNS THE DISPLAY NAME OF A NODE
+ */
+function getObjectName(node) {
+    const customName = node.getAttr('objectName');
+    if (customName) return customName;
+
+    const type = sceneNodeTypes[getSceneNodeType(node)];
+    return type && type.describe ? type.describe(node) : node.getClassName();
+}
+
+/**
+ * RESTACKS THE OBJECTS OF A LAYER
+ *
+ * The PDF background and the form fields always stay below the objects,
+ * and the transformer above them.
+ *
+ * @param {Konva.Node[]} nodes - Objects of the layer, bottom-to-top.
+ */
+function applyObjectOrder(nodes) {
+    nodes.forEach(node => node.moveToTop());
+
+    const nodeLayer = nodes.length ? nodes[0].getLayer() : null;
+    if (nodeLayer) {
+        nodeLayer.find('Transformer').forEach(transformer => transformer.moveToTop());
+        nodeLayer.batchDraw();
+    }
+}
+
+/**
+ * CHANGES THE STACKING ORDER OF THE CURRENT PAGE AS ONE UNDOABLE COMMAND
+ *
+ * @param {Konva.Node[]} order - Objects of the page, bottom-to-top.
+ */
+function reorderObjects(order) {
+    const before = getPageObjects(layer);
+    if (before.every((node, i) => node === order[i])) return;
+
+    applyObjectOrder(order);
+    recordCommand({
+        label: 'Reorder',
+        undo: () => applyObjectOrder(before),
+        redo: () => applyObjectOrder(order)
+    });
+}
+
+/**
+ * SHOWS OR HIDES AN OBJECT (UNDOABLE)
+ */
+function setObjectVisible(node, visible) {
+    const before = captureAttrs(node, ['visible']);
+    node.visible(visible);
+    recordAttrsChange(node, before, { visible: visible }, visible ? 'Show' : 'Hide');
+    layer.batchDraw();
+}
+
+/**
+ * LOCKS OR UNLOCKS AN OBJECT (UNDOABLE)
+ */
+function setObjectLocked(node, locked) {
+    const before = captureAttrs(node, ['locked', 'listening']);
+    const after = { locked: locked, listening: !locked };
+    node.setAttrs(after);
+    recordAttrsChange(node, before, after, locked ? 'Lock' : 'Unlock');
+}
+
+/**
+ * RENAMES AN OBJECT (UNDOABLE); AN EMPTY NAME RESTORES THE DERIVED ONE
+ */
+function renameObject(node, name) {
+    const before = captureAttrs(node, ['objectName']);
+    const after = { objectName: name.trim() || undefined };
+    node.setAttrs(after);
+    recordAttrsChange(node, before, after, 'Rename');
+}
+
+/**
+ * REBUILDS THE ROWS OF THE OBJECTS PANEL
+ */
+function renderObjectList() {
+    const list = document.getElementById('object-list');
+    if (!list || !layer) return;
+
+    listedObjects = getPageObjects(layer).reverse();
+    const selected = getSelectedNodes();
+    list.innerHTML = '';
+
+    listedObjects.forEach((node, index) => {
+        const item = document.createElement('li');
+        item.className = 'object-item';
+        item.draggable = true;
+        item.dataset.index = index;
+        item.classList.toggle('selected', selected.includes(node));
+        item.classList.toggle('hidden-object', !node.visible());
+        item.classList.toggle('locked-object', !!node.getAttr('locked'));
+
+        const visibilityButton = document.createElement('button');
+        visibilityButton.type = 'button';
+        visibilityButton.className = 'object-action';
+        visibilityButton.dataset.action = 'visibility';
+        visibilityButton.textContent = node.visible() ? '👁' : '⊘';
+        visibilityButton.title = node.visible() ? 'Hide' : 'Show';
+
+        const lockButton = document.createElement('button');
+        lockButton.type = 'button';
+        lockButton.className = 'object-action';
+        lockButton.dataset.action = 'lock';
+        lockButton.textContent = node.getAttr('locked') ? '🔒' : '🔓';
+        lockButton.title = node.getAttr('locked') ? 'Unlock' : 'Lock';
+
+        const name = document.createElement('span');
+        name.className = 'object-name';
+        name.textContent = getObjectName(node);
+        name.title = 'Double-click to rename';
+
+        item.append(visibilityButton, lockButton, name);
+        list.appendChild(item);
+    });
+
+    const emptyMessage = document.getElementById('object-list-empty');
+    if (emptyMessage) {
+        emptyMessage.style.display = listedObjects.length ? 'none' : '';
+    }
+}
+
+/**
+ * MARKS THE ROWS OF THE SELECTED NODES
+ */
+function syncObjectListSelection() {
+    const selected = getSelectedNodes();
+    document.querySelectorAll('#object-list .object-item').forEach(item => {
+        item.classList.toggle('selected', selected.includes(listedObjects[item.dataset.index]));
+    });
+}
+
+/**
+ * REPLACES THE NAME OF A ROW WITH AN INPUT TO RENAME ITS NODE
+ */
+function startObjectRename(item) {
+    const node = listedObjects[item.dataset.index];
+    const name = item.querySelector('.object-name');
+    if (!node || !name) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'object-name-input';
+    input.value = getObjectName(node);
+    name.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        if (save && input.value !== getObjectName(node)) {
+            renameObject(node, input.value);
+        }
+        renderObjectList();
+    };
+
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            finish(true);
+        } else if (event.key === 'Escape') {
+            finish(false);
+        }
+        event.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * CONFIGURES THE OBJECTS PANEL
+ */
+function setupObjectsPanel() {
+    const list = document.getElementById('object-list');
+    if (!list) return;
+
+    // ROW ACTIONS AND SELECTION
+    list.addEventListener('click', function(event) {
+        const item = event.target.closest('.object-item');
+        const node = item ? listedObjects[item.dataset.index] : null;
+        if (!node) return;
+
+        const action = event.target.closest('[data-action]');
+        if (action && action.dataset.action === 'visibility') {
+            setObjectVisible(node, !node.visible());
+        } else if (action && action.dataset.action === 'lock') {
+            setObjectLocked(node, !node.getAttr('locked'));
+        } else if (node.visible() && !node.getAttr('locked') && activeTool === 'select') {
+            selectNodeFromClick(node, { evt: event });
+        }
+    });
+
+    list.addEventListener('dblclick', function(event) {
+        const item = event.target.closest('.object-item');
+        if (item && event.target.closest('.object-name')) {
+            startObjectRename(item);
+        }
+    });
+
+    // DRAG A ROW TO CHANGE THE STACKING ORDER
+    let draggedIndex = null;
+
+    const clearDropMarkers = () => {
+        list.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+            item.classList.remove('drop-before', 'drop-after');
+        });
+    };
+
+    list.addEventListener('dragstart', function(event) {
+        const item = event.target.closest('.object-item');
+        if (!item) return;
+        draggedIndex = Number(item.dataset.index);
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', 'object-item');
+    });
+
+    list.addEventListener('dragover', function(event) {
+        const item = event.target.closest('.object-item');
+        if (draggedIndex === null || !item) return;
+        event.preventDefault();
+
+        const box = item.getBoundingClientRect();
+        const after = event.clientY > box.top + box.height / 2;
+        clearDropMarkers();
+        item.classList.add(after ? 'drop-after' : 'drop-before');
+    });
+
+    list.addEventListener('drop', function(event) {
+        const item = event.target.closest('.object-item');
+        if (draggedIndex === null || !item) return;
+        event.preventDefault();
+
+        const box = item.getBoundingClientRect();
+        const targetIndex = Number(item.dataset.index) + (event.clientY > box.top + box.height / 2 ? 1 : 0);
+
+        // Rows are top-to-bottom, the layer is bottom-to-top
+        const rows = listedObjects.slice();
+        const [moved] = rows.splice(draggedIndex, 1);
+        rows.splice(targetIndex > draggedIndex ? targetIndex - 1 : targetIndex, 0, moved);
+        reorderObjects(rows.reverse());
+    });
+
+    list.addEventListener('dragend', function() {
+        draggedIndex = null;
+        clearDropMarkers();
+    });
+
+    // KEEP THE LIST IN SYNC WITH THE CANVAS
+    document.addEventListener('historyChanged', () => {
+        // Nodes hidden or locked (also through undo) leave the selection
+        const selected = getSelectedNodes();
+        const selectable = selected.filter(node => node.visible() && !node.getAttr('locked'));
+        if (selectable.length !== selected.length) {
+            selectNodes(selectable);
+        }
+        renderObjectList();
+    });
+    document.addEventListener('selectionChanged', syncObjectListSelection);
+    document.addEventListener('pageChanged', renderObjectList);
+    document.addEventListener('pdfLoaded', renderObjectList);
+
+    console.log('Objects panel configured');
+}
+
+// =============================================================================
+// MODULE 17: KEYBOARD SHORTCUTS
+// =============================================================================
+
+/**
+ * MODULE 17: KEYBOARD SHORTCUTS
+ * =============================
+ *
+ * One keydown listener dispatches to the shortcuts registered by the modules
+ * with registerShortcut(). Nothing fires while the user types in a field
+ * (the text editor's textarea, the sidebar inputs) or while a dialog is open.
+ *
+ * The selection shortcuts (delete, duplicate, nudge, select all) act on the
+ * nodes of MODULE 14. Copy, cut and paste go through the browser's clipboard
+ * events, so they also work from the Edit menu and between pages and tabs:
+ * the copied nodes travel as scene nodes (see MODULE 5) under
+ * OBJECT_CLIPBOARD_TYPE, with a readable summary as plain text. Images and
+ * plain text copied from other applications are pasted as new nodes at the
+ * pointer (or the centre of the view when the pointer is off the page).
+ */
+
+// Registered shortcuts: { keys, description, match(event), run(event) }
+const keyboardShortcuts = [];
+
+// Clipboard format of copied nodes
+const OBJECT_CLIPBOARD_TYPE = 'application/x-pdf-editor-objects';
+
+// Offset of pasted and duplicated nodes, and of arrow-key nudges (canvas units)
+const PASTE_OFFSET = 20;
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 10;
+
+// Last copied nodes, used when the browser drops the custom clipboard format
+let objectClipboard = null;
+
+// Last pointer position over the stage (canvas units), where pastes go
+let clipboardPointer = null;
+
+/**
+ * REGISTERS A KEYBOARD SHORTCUT
+ *
+ * Entries without `match` are only listed in the shortcuts dialog.
+ *
+ * @param {Object} shortcut - { keys, description, match?(event), run?(event) }
+ */
+function registerShortcut(shortcut) {
+    keyboardShortcuts.push(shortcut);
+}
+
+/**
+ * RETURNS TRUE WHEN A KEY EVENT IS A KEY WITH EXACTLY THESE MODIFIERS
+ *
+ * @param {KeyboardEvent} event - Key event.
+ * @param {string} key - Expected `event.key` (case-insensitive).
+ * @param {Object} [modifiers] - { ctrl, shift, alt }; Ctrl also matches Cmd.
+ */
+function isShortcut(event, key, modifiers = {}) {
+    return event.key.toLowerCase() === key.toLowerCase()
+        && (event.ctrlKey || event.metaKey) === !!modifiers.ctrl
+        && event.shiftKey === !!modifiers.shift
+        && event.altKey === !!modifiers.alt;
+}
+
+/**
+ * PASTES SCENE NODES ONTO THE CURRENT PAGE AND SELECTS THEM
+ * =========================================================
+ *
+ * The whole paste is one undoable command.
+ *
+ * @param {Array<{type: string, attrs: Object}>} items - Scene nodes, bottom-to-top.
+ * @param {number} offset - Shift from the original position, in canvas units.
+ * @param {string} label - Human readable description.
+ * @returns {Promise<Konva.Node[]>} The new nodes.
+ */
+async function pasteObjects(items, offset, label) {
+    if (activeTool !== 'select') {
+        setActiveTool('select');
+    }
+
+    // The nodes are recorded together below, not one by one by their factories
+    const created = await Promise.all(items.map(item => {
+        const nodeType = sceneNodeTypes[item.type];
+        if (!nodeType) return null;
+
+        // A copy is a new, unlocked node; a copied PDF text edit no longer covers the original
+        const attrs = { ...item.attrs };
+        ['id', 'coverRect', 'coverColor', 'locked'].forEach(key => delete attrs[key]);
+        delete attrs.listening;
+        attrs.x = (attrs.x || 0) + offset;
+        attrs.y = (attrs.y || 0) + offset;
+
+        return nodeType.create(attrs, { recordHistory: false });
+    }));
+
+    // Images load asynchronously, restore the copied order
+    const nodes = created.filter(Boolean);
+    nodes.forEach(node => node.moveToTop());
+    if (!nodes.length) return nodes;
+
+    recordNodesCreation(nodes, label);
+    selectNodes(nodes);
+
+    return nodes;
+}
+
+/**
+ * COPIES THE SELECTED NODES
+ *
+ * @param {DataTransfer} [clipboardData] - Clipboard of a copy/cut event.
+ * @returns {boolean} True when there was something to copy.
+ */
+function copySelection(clipboardData) {
+    const nodes = getSelectedNodes().filter(node => getSceneNodeType(node) !== null);
+    if (!nodes.length) return false;
+
+    const items = nodes
+        .sort((a, b) => a.zIndex() - b.zIndex())
+        .map(serializeNode);
+    const summary = `${items.length} object${items.length === 1 ? '' : 's'} copied from the PDF editor`;
+
+    objectClipboard = { items: items, summary: summary, pageIndex: currentPageIndex, pastes: 0 };
+
+    if (clipboardData) {
+        clipboardData.setData(OBJECT_CLIPBOARD_TYPE, JSON.stringify(items));
+        clipboardData.setData('text/plain', summary);
+    }
+    return true;
+}
+
+/**
+ * PASTES NODES FROM A PASTE EVENT
+ *
+ * @param {DataTransfer} clipboardData - Clipboard of the paste event.
+ * @returns {boolean} True when the clipboard held copied nodes.
+ */
+function pasteObjectsFromClipboard(clipboardData) {
+    let items = null;
+
+    const data = clipboardData.getData(OBJECT_CLIPBOARD_TYPE);
+    if (data) {
+        try {
+            items = JSON.parse(data);
+        } catch (error) {
+            console.warn('Invalid objects in the clipboard:', error);
+        }
+    } else if (objectClipboard && clipboardData.getData('text/plain') === objectClipboard.summary) {
+        items = objectClipboard.items;
+    }
+
+    if (!Array.isArray(items) || !items.length) return false;
+
+    // Repeated pastes on the page the nodes come from cascade instead of stacking
+    let offset = 0;
+    if (objectClipboard) {
+        objectClipboard.pastes++;
+        offset = (objectClipboard.pastes - (objectClipboard.pageIndex === currentPageIndex ? 0 : 1)) * PASTE_OFFSET;
+    }
+
+    pasteObjects(items, offset, 'Paste');
+    return true;
+}
+
+/**
+ * PASTES IMAGES OR PLAIN TEXT COPIED FROM OTHER APPLICATIONS
+ *
+ * @param {DataTransfer} clipboardData - Clipboard of the paste event.
+ * @returns {boolean} True when there was an image or text to paste.
+ */
+function pasteSystemClipboard(clipboardData) {
+    const point = clipboardPointer || getViewportCenter();
+
+    // Screenshots and copied images only show up as items in some browsers
+    const imageFiles = Array.from(clipboardData.items || [])
+        .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+        .map(item => item.getAsFile())
+        .filter(Boolean);
+
+    if (imageFiles.length) {
+        if (activeTool !== 'select') {
+            setActiveTool('select');
+        }
+        addImageFilesAt(imageFiles, point);
+        return true;
+    }
+
+    const text = clipboardData.getData('text/plain');
+    if (text && text.trim()) {
+        if (activeTool !== 'select') {
+            setActiveTool('select');
+        }
+        const textNode = createDraggableText(text.replace(/\r\n/g, '\n').trim(), point.x, point.y);
+        selectNodes([textNode]);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * DUPLICATES THE SELECTED NODES NEXT TO THE ORIGINALS
+ */
+function duplicateSelection() {
+    const nodes = getSelectedNodes()
+        .filter(node => getSceneNodeType(node) !== null)
+        .sort((a, b) => a.zIndex() - b.zIndex());
+    if (!nodes.length) return;
+
+    pasteObjects(nodes.map(serializeNode), PASTE_OFFSET, 'Duplicate');
+}
+
+/**
+ * MOVES THE SELECTED NODES WITH THE ARROW KEYS
+ */
+function nudgeSelection(event) {
+    const nodes = getMovableSelectedNodes();
+    if (!nodes.length) return;
+
+    const step = event.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+    const directions = {
+        ArrowLeft: { x: -step, y: 0 },
+        ArrowRight: { x: step, y: 0 },
+        ArrowUp: { x: 0, y: -step },
+        ArrowDown: { x: 0, y: step }
+    };
+
+    moveNodesBy(nodes, nodes.map(() => directions[event.key]), 'Nudge');
+}
+
+/**
+ * FILLS THE SHORTCUTS DIALOG FROM THE REGISTRY
+ */
+function renderShortcutsHelp() {
+    const table = document.getElementById('shortcuts-table');
+    if (!table) return;
+
+    table.innerHTML = '';
+    keyboardShortcuts.forEach(shortcut => {
+        const row = table.insertRow();
+        const keysCell = row.insertCell();
+        shortcut.keys.split(' / ').forEach((combination, i) => {
+            if (i > 0) {
+                keysCell.append(' / ');
+            }
+            const kbd = document.createElement('kbd');
+            kbd.textContent = combination;
+            keysCell.appendChild(kbd);
+        });
+        row.insertCell().textContent = shortcut.description;
+    });
+}
+
+/**
+ * OPENS THE SHORTCUTS DIALOG
+ */
+function showShortcutsHelp() {
+    const dialogElement = document.getElementById('shortcuts-dialog');
+    if (!dialogElement) return;
+
+    renderShortcutsHelp();
+    bootstrap.Modal.getOrCreateInstance(dialogElement).show();
+}
+
+/**
+ * REGISTERS THE SELECTION SHORTCUTS AND INSTALLS THE KEYBOARD MANAGER
+ */
+function setupKeyboardShortcuts() {
+    // SELECTION SHORTCUTS
+    registerShortcut({
+        keys: 'Delete / Backspace',
+        description: 'Delete the selection',
+        match: event => (isShortcut(event, 'Delete') || isShortcut(event, 'Backspace')) && getSelectedNodes().length > 0,
+        run: () => deleteNodes(getSelectedNodes())
+    });
+    registerShortcut({ keys: 'Ctrl+C', description: 'Copy the selection' });
+    registerShortcut({ keys: 'Ctrl+X', description: 'Cut the selection' });
+    registerShortcut({ keys: 'Ctrl+V', description: 'Paste objects, images or text at the pointer' });
+    registerShortcut({
+        keys: 'Ctrl+D',
+        description: 'Duplicate the selection',
+        match: event => isShortcut(event, 'd', { ctrl: true }),
+        run: duplicateSelection
+    });
+    registerShortcut({
+        keys: 'Ctrl+A',
+        description: 'Select everything on the page',
+        match: event => isShortcut(event, 'a', { ctrl: true }) && activeTool === 'select',
+        run: () => selectNodes(getSelectableNodes(layer))
+    });
+    registerShortcut({
+        keys: '← ↑ → ↓ / Shift+Arrows',
+        description: `Nudge the selection by ${NUDGE_STEP} (Shift: ${NUDGE_STEP_LARGE})`,
+        match: event => event.key.startsWith('Arrow') && !event.ctrlKey && !event.metaKey && !event.altKey
+            && getSelectedNodes().length > 0,
+        run: nudgeSelection
+    });
+    registerShortcut({
+        keys: 'Esc',
+        description: 'Deselect',
+        match: event => event.key === 'Escape' && getSelectedNodes().length > 0,
+        run: clearSelection
+    });
+
+    // VIEWPORT (handled by MODULE 6, listed for reference)
+    registerShortcut({ keys: 'Space+Drag', description: 'Pan the page' });
+    registerShortcut({ keys: 'Ctrl+Wheel', description: 'Zoom around the pointer' });
+
+    registerShortcut({
+        keys: '?',
+        description: 'Show this list',
+        match: event => event.key === '?' && !event.ctrlKey && !event.metaKey,
+        run: showShortcutsHelp
+    });
+
+    // THE KEYBOARD MANAGER
+    document.addEventListener('keydown', function(event) {
+        if (event.defaultPrevented || isTextEntryTarget(event.target)) return;
+
+        // Dialogs handle their own keys
+        if (document.querySelector('.modal.show')) return;
+
+        const shortcut = keyboardShortcuts.find(candidate => candidate.match && candidate.match(event));
+        if (!shortcut) return;
+
+        event.preventDefault();
+        shortcut.run(event);
+    });
+
+    // CLIPBOARD: copy/cut/paste events also come from the browser's Edit menu
+    const isCanvasClipboardEvent = (event) => !isTextEntryTarget(event.target)
+        && !document.querySelector('.modal.show')
+        && !String(window.getSelection() || '');
+
+    document.addEventListener('copy', function(event) {
+        if (isCanvasClipboardEvent(event) && copySelection(event.clipboardData)) {
+            event.preventDefault();
+        }
+    });
+
+    document.addEventListener('cut', function(event) {
+        if (isCanvasClipboardEvent(event) && copySelection(event.clipboardData)) {
+            event.preventDefault();
+            deleteNodes(getSelectedNodes(), 'Cut');
+        }
+    });
+
+    document.addEventListener('paste', function(event) {
+        if (isTextEntryTarget(event.target) || document.querySelector('.modal.show') || !event.clipboardData) return;
+        if (!pdfPages.length) return;
+        if (pasteObjectsFromClipboard(event.clipboardData) || pasteSystemClipboard(event.clipboardData)) {
+            event.preventDefault();
+        }
+    });
+
+    // Remember where the pointer is, pastes go there
+    stage.on('pointermove.clipboard', () => {
+        clipboardPointer = stage.getRelativePointerPosition();
+    });
+    stage.on('mouseleave.clipboard', () => {
+        clipboardPointer = null;
+    });
+
+    const helpButton = document.getElementById('shortcuts-btn');
+    if (helpButton) {
+        helpButton.addEventListener('click', showShortcutsHelp);
+    }
+
+    console.log('Keyboard shortcuts configured');
+}
+
+// =============================================================================
+// MODULE 18: PAGE ORGANISER
+// =============================================================================
+
+/**
+ * MODULE 18: PAGE ORGANISER
+ * =========================
+ *
+ * A dialog with one card per page where the document is restructured: drag
+ * a card to move the page, rotate it by 90°, delete it, insert a blank page
+ * after it or append the pages of another PDF. Changes apply to the editor
+ * right away and are undoable commands.
+ *
+ * A page keeps its layer through every change, so its overlays stay on it.
+ * Rotating turns the page render and everything on the layer together (a
+ * quarter turn around the page) and reads the PDF text layer again in the
+ * new orientation. Deleted pages only leave the stage, so undo can bring
+ * them back.
+ *
+ * On export, arrangeOutputPages() rebuilds the pdf-lib document in the same
+ * order: pages of the uploaded PDF are moved, pages of appended PDFs are
+ * copied, blank pages are created and every page gets its displayed rotation.
+ */
+
+// Size in points of a blank page inserted in an empty document (US Letter)
+const DEFAULT_BLANK_PAGE_SIZE = { width: 612, height: 792 };
+
+// Same limit as the upload form (PdfEditController)
+const MAX_APPENDED_PDF_SIZE = 10 * 1024 * 1024;
+
+/**
+ * CREATES THE `pdfPages` ENTRY OF A BLANK PAGE
+ *
+ * @param {{width: number, height: number}} size - Page size in points.
+ * @returns {Object} The entry, not inserted in `pdfPages` yet.
+ */
+function createBlankPageEntry(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(size.width * PDF_RENDER_SCALE);
+    canvas.height = Math.round(size.height * PDF_RENDER_SCALE);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const pageLayer = new Konva.Layer({ visible: false });
+    const background = new Konva.Image({
+        x: 0,
+        y: 0,
+        image: canvas,
+        width: size.width * CANVAS_UNITS_PER_POINT,
+        height: size.height * CANVAS_UNITS_PER_POINT,
+        listening: false,
+        name: 'pdf-background'
+    });
+    pageLayer.add(background);
+
+    return {
+        pageNumber: null,
+        sourceIndex: null,
+        pdfjsPage: null,
+        blankSize: { width: size.width, height: size.height },
+        rotation: 0,
+        layer: pageLayer,
+        background: background,
+        textRuns: [],
+        pointsPerUnit: 1 / CANVAS_UNITS_PER_POINT
+    };
+}
+
+/**
+ * MAKES `pages` THE PAGES OF THE DOCUMENT, IN THAT ORDER
+ *
+ * @param {Object[]} pages - Entries of `pdfPages`, current or new ones.
+ * @param {number} showIndex - Page to show afterwards.
+ */
+function setPageOrder(pages, showIndex) {
+    clearSelection();
+
+    pdfPages.forEach(page => {
+        if (!pages.includes(page)) {
+            page.layer.remove();
+        }
+    });
+    pages.forEach(page => {
+        if (!page.layer.getStage()) {
+            stage.add(page.layer);
+        }
+    });
+
+    pdfPages = pages;
+    renderPageThumbnails();
+    showPage(Math.max(0, Math.min(showIndex, pdfPages.length - 1)));
+
+    document.dispatchEvent(new CustomEvent('pagesChanged', {
+        detail: { numPages: pdfPages.length }
+    }));
+}
+
+/**
+ * REPLACES THE PAGES OF THE DOCUMENT AS ONE UNDOABLE COMMAND
+ *
+ * @param {Object[]} pages - New list of pages.
+ * @param {string} label - Human readable description.
+ * @param {number} showIndex - Page to show afterwards.
+ */
+function changePageStructure(pages, label, showIndex) {
+    const before = pdfPages.slice();
+    const beforeIndex = currentPageIndex;
+
+    setPageOrder(pages, showIndex);
+    recordCommand({
+        label: label,
+        undo: () => setPageOrder(before, beforeIndex),
+        redo: () => setPageOrder(pages, showIndex)
+    });
+}
+
+/**
+ * MOVES A PAGE TO ANOTHER POSITION (UNDOABLE)
+ */
+function movePage(fromIndex, toIndex) {
+    if (fromIndex === toIndex) return;
+
+    const pages = pdfPages.slice();
+    const [moved] = pages.splice(fromIndex, 1);
+    pages.splice(toIndex, 0, moved);
+    changePageStructure(pages, 'Move page', toIndex);
+}
+
+/**
+ * DELETES A PAGE WITH ITS OVERLAYS (UNDOABLE)
+ */
+function deletePage(index) {
+    if (pdfPages.length <= 1) {
+        alert('The document needs at least one page.');
+        return;
+    }
+
+    const pages = pdfPages.filter((page, i) => i !== index);
+    changePageStructure(pages, 'Delete page', Math.min(index, pages.length - 1));
+}
+
+/**
+ * INSERTS A BLANK PAGE (UNDOABLE), AS LARGE AS THE PAGE BEFORE IT
+ *
+ * @param {number} index - Position of the new page.
+ */
+function insertBlankPage(index) {
+    const neighbour = pdfPages[index - 1] || pdfPages[index];
+    const page = createBlankPageEntry(neighbour ? getPageSizeInPoints(neighbour) : DEFAULT_BLANK_PAGE_SIZE);
+
+    const pages = pdfPages.slice();
+    pages.splice(index, 0, page);
+    changePageStructure(pages, 'Insert blank page', index);
+}
+
+/**
+ * APPENDS EVERY PAGE OF ANOTHER PDF FILE (UNDOABLE)
+ *
+ * @param {File} file - PDF chosen by the user.
+ */
+async function appendPdfFile(file) {
+    if (file.type !== 'application/pdf' && !/\.pdf$/i.test(file.name)) {
+        setOrganizerStatus('Please select a PDF file', '#e53e3e');
+        return;
+    }
+    if (file.size > MAX_APPENDED_PDF_SIZE) {
+        setOrganizerStatus('The file is too large. Maximum 10MB', '#e53e3e');
+        return;
+    }
+
+    const newPages = [];
+    try {
+        const base64 = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1]);
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+        });
+
+        const sourceIndex = await loadPdfSource(base64, file.name);
+        const pdf = pdfSources[sourceIndex].pdf;
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            setOrganizerStatus(`Loading page ${pageNumber} of ${pdf.numPages}...`);
+            newPages.push(await createPdfPageEntry(await pdf.getPage(pageNumber), sourceIndex));
+        }
+    } catch (error) {
+        console.error('Error while appending the PDF:', error);
+        newPages.forEach(page => page.layer.destroy());
+        setOrganizerStatus('The PDF could not be read', '#e53e3e');
+        return;
+    }
+
+    changePageStructure([...pdfPages, ...newPages], 'Append PDF', pdfPages.length);
+    setOrganizerStatus(`${newPages.length} page(s) appended from ${file.name}`, '#48bb78');
+}
+
+/**
+ * ROTATES A PAGE BY A MULTIPLE OF 90° (UNDOABLE)
+ *
+ * @param {number} index - Zero-based page index.
+ * @param {number} delta - Degrees, clockwise (90, -90, 180...).
+ */
+function rotatePage(index, delta) {
+    const page = pdfPages[index];
+    if (!page) return;
+
+    turnPage(page, delta);
+    recordCommand({
+        label: 'Rotate page',
+        page: page,
+        undo: () => turnPage(page, -delta),
+        redo: () => turnPage(page, delta)
+    });
+}
+
+/**
+ * TURNS A PAGE AND EVERYTHING ON IT BY A MULTIPLE OF 90°
+ */
+function turnPage(page, delta) {
+    const quarterTurns = (((delta / 90) % 4) + 4) % 4;
+    if (quarterTurns === 0) return;
+
+    // The transformer must not be turned with the nodes
+    clearSelection();
+
+    for (let i = 0; i < quarterTurns; i++) {
+        turnPageClockwise(page);
+    }
+    page.rotation = (page.rotation + quarterTurns * 90) % 360;
+    refreshPageTextRuns(page);
+
+    const index = pdfPages.indexOf(page);
+    refreshPageThumbnail(index);
+    if (index === currentPageIndex) {
+        // New page size: zoom, rulers and grid follow
+        showPage(index);
+    }
+
+    document.dispatchEvent(new CustomEvent('pagesChanged', {
+        detail: { numPages: pdfPages.length }
+    }));
+}
+
+/**
+ * TURNS A PAGE A QUARTER CLOCKWISE: (x, y) → (height - y, x)
+ */
+function turnPageClockwise(page) {
+    const width = page.background.width();
+    const height = page.background.height();
+
+    // PAGE RENDER (redactions already burnt into it are kept)
+    const source = page.background.image();
+    const canvas = document.createElement('canvas');
+    canvas.width = source.height;
+    canvas.height = source.width;
+    const context = canvas.getContext('2d');
+    context.translate(canvas.width, 0);
+    context.rotate(Math.PI / 2);
+    context.drawImage(source, 0, 0);
+    page.background.setAttrs({ image: canvas, width: height, height: width });
+
+    // OVERLAYS AND FORM FIELDS
+    page.layer.getChildren().forEach(node => {
+        // The watermark and the headers and footers are laid out again for the new page size (MODULES 19, 21)
+        if (node === page.background || node.hasName('watermark') || node.hasName('header-footer')) return;
+
+        node.setAttrs({
+            x: height - node.y(),
+            y: node.x(),
+            rotation: (node.rotation() + 90) % 360
+        });
+        if (node.getAttr('coverRect')) {
+            node.setAttr('coverRect', turnRectClockwise(node.getAttr('coverRect'), height));
+        }
+    });
+
+    page.redactions = (page.redactions || []).map(area => turnRectClockwise(area, height));
+    page.layer.batchDraw();
+}
+
+/**
+ * TURNS AN AXIS-ALIGNED {x, y, width, height} AREA A QUARTER CLOCKWISE
+ */
+function turnRectClockwise(rect, height) {
+    return {
+        x: height - rect.y - rect.height,
+        y: rect.x,
+        width: rect.height,
+        height: rect.width
+    };
+}
+
+/**
+ * READS THE PDF TEXT LAYER OF A PAGE AGAIN IN ITS CURRENT ROTATION
+ *
+ * Runs under applied redactions stay out, like after applyRedactions().
+ */
+function refreshPageTextRuns(page) {
+    page.textRuns = [];
+    if (!page.pdfjsPage) return;
+
+    const rotation = page.rotation;
+    extractPageTextRuns(page.pdfjsPage, CANVAS_UNITS_PER_POINT, rotation).then(runs => {
+        // Turned again in the meantime
+        if (page.rotation !== rotation) return;
+
+        const areas = page.redactions || [];
+        page.textRuns = runs.filter(run => !areas.some(area => rectsIntersect(run, area)));
+    });
+}
+
+/**
+ * REBUILDS THE PAGES OF A VERSION 2 SCENE (ORDER, ROTATIONS, BLANK AND APPENDED PAGES)
+ *
+ * @param {Object} scene - Scene document (MODULE 5).
+ * @returns {Promise<Array<Object|null>>} The page of every scene page, null when it is missing.
+ */
+async function restorePageStructure(scene) {
+    // Scene source n is sources[n - 1]; 0 is the uploaded PDF
+    const sourceIndexes = [0];
+    for (const source of scene.sources || []) {
+        try {
+            sourceIndexes.push(await loadPdfSource(source.data, source.name));
+        } catch (error) {
+            console.warn(`Appended PDF "${source.name}" could not be read:`, error);
+            sourceIndexes.push(null);
+        }
+    }
+
+    const uploadedPages = pdfPages.slice();
+    const restoredPages = [];
+
+    for (const scenePage of scene.pages) {
+        let page = null;
+        if (scenePage.blank) {
+            page = createBlankPageEntry(scenePage.blank);
+        } else if (scenePage.source === 0) {
+            page = uploadedPages.find(candidate => candidate.pageNumber === scenePage.pageNumber
+                && !restoredPages.includes(candidate)) || null;
+        } else if (sourceIndexes[scenePage.source] !== null && sourceIndexes[scenePage.source] !== undefined) {
+            const pdf = pdfSources[sourceIndexes[scenePage.source]].pdf;
+            if (scenePage.pageNumber >= 1 && scenePage.pageNumber <= pdf.numPages) {
+                page = await createPdfPageEntry(await pdf.getPage(scenePage.pageNumber), sourceIndexes[scenePage.source]);
+            }
+        }
+
+        if (!page) {
+            console.warn(`Scene page ${scenePage.pageNumber} of source ${scenePage.source} does not exist`);
+        } else if (typeof scenePage.rotation === 'number') {
+            turnPage(page, scenePage.rotation - page.rotation);
+        }
+        restoredPages.push(page);
+    }
+
+    const pages = restoredPages.filter(Boolean);
+    if (pages.length > 0) {
+        setPageOrder(pages, 0);
+    }
+    return restoredPages;
+}
+
+/**
+ * WRITES THE PAGE STRUCTURE OF THE EDITOR INTO THE EXPORTED PDF-LIB DOCUMENT
+ * ==========================================================================
+ *
+ * `pdfDoc` is the uploaded PDF. Afterwards its pages match `pdfPages` one
+ * to one, each with the rotation shown in the editor.
+ *
+ * @param {Object} pdfDoc - pdf-lib PDFDocument being written.
+ */
+async function arrangeOutputPages(pdfDoc) {
+    const originals = pdfDoc.getPages();
+    const sourceDocs = {};
+    const outputPages = [];
+
+    for (const page of pdfPages) {
+        let pdfPage;
+        if (page.sourceIndex === 0) {
+            pdfPage = originals[page.pageNumber - 1];
+        } else if (page.sourceIndex === null) {
+            pdfPage = PDFLib.PDFPage.create(pdfDoc);
+            pdfPage.setSize(page.blankSize.width, page.blankSize.height);
+        } else {
+            if (!sourceDocs[page.sourceIndex]) {
+                sourceDocs[page.sourceIndex] = await PDFLib.PDFDocument.load(base64ToBytes(pdfSources[page.sourceIndex].data));
+            }
+            [pdfPage] = await pdfDoc.copyPages(sourceDocs[page.sourceIndex], [page.pageNumber - 1]);
+        }
+
+        pdfPage.setRotation(PDFLib.degrees(page.rotation));
+        outputPages.push(pdfPage);
+    }
+
+    // The fields of deleted pages would point to pages that no longer exist
+    originals
+        .filter(pdfPage => !outputPages.includes(pdfPage))
+        .forEach(pdfPage => removeFormFieldsOfPage(pdfDoc, pdfPage));
+
+    // REBUILD THE PAGE TREE IN THE EDITOR'S ORDER
+    for (let i = pdfDoc.getPageCount() - 1; i >= 0; i--) {
+        pdfDoc.removePage(i);
+    }
+    outputPages.forEach(pdfPage => pdfDoc.addPage(pdfPage));
+}
+
+/**
+ * UPDATES THE STATUS LINE OF THE PAGE ORGANISER
+ */
+function setOrganizerStatus(text, color) {
+    const status = document.getElementById('organizer-status');
+    if (status) {
+        status.textContent = text;
+        status.style.color = color || '';
+    }
+}
+
+/**
+ * REBUILDS THE PAGE CARDS OF THE ORGANISER
+ */
+function renderPageOrganizer() {
+    const grid = document.getElementById('organizer-pages');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    pdfPages.forEach((page, index) => {
+        const card = document.createElement('div');
+        card.className = 'organizer-page';
+        card.draggable = true;
+        card.dataset.index = index;
+        card.classList.toggle('active', index === currentPageIndex);
+
+        const img = document.createElement('img');
+        img.src = renderThumbnailDataUrl(page.background.image());
+        img.alt = 'Page ' + (index + 1);
+        img.draggable = false;
+
+        const label = document.createElement('div');
+        label.className = 'organizer-page-label';
+        label.textContent = index + 1;
+        if (page.sourceIndex === null) {
+            label.title = 'Blank page';
+        } else {
+            label.title = `${pdfSources[page.sourceIndex].name}, page ${page.pageNumber}`;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'organizer-page-actions';
+        [
+            { action: 'rotate-left', text: '⟲', title: 'Rotate left' },
+            { action: 'rotate-right', text: '⟳', title: 'Rotate right' },
+            { action: 'insert-blank', text: '＋', title: 'Insert a blank page after' },
+            { action: 'delete', text: '🗑', title: 'Delete page' }
+        ].forEach(({ action, text, title }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'organizer-page-action';
+            button.dataset.pageAction = action;
+            button.textContent = text;
+            button.title = title;
+            actions.appendChild(button);
+        });
+
+        card.append(img, label, actions);
+        grid.appendChild(card);
+    });
+}
+
+/**
+ * CONFIGURES THE PAGE ORGANISER DIALOG
+ */
+function setupPageOrganizer() {
+    const openButton = document.getElementById('organize-pages-btn');
+    const dialog = document.getElementById('page-organizer-dialog');
+    const grid = document.getElementById('organizer-pages');
+    if (!openButton || !dialog || !grid) return;
+
+    openButton.addEventListener('click', () => {
+        if (pdfPages.length === 0) return;
+        setOrganizerStatus('');
+        renderPageOrganizer();
+        bootstrap.Modal.getOrCreateInstance(dialog).show();
+    });
+
+    // CARD ACTIONS; A CLICK ELSEWHERE ON A CARD SHOWS THAT PAGE
+    grid.addEventListener('click', function(event) {
+        const card = event.target.closest('.organizer-page');
+        if (!card) return;
+        const index = Number(card.dataset.index);
+
+        const action = event.target.closest('[data-page-action]');
+        switch (action ? action.dataset.pageAction : null) {
+            case 'rotate-left':
+                rotatePage(index, -90);
+                break;
+            case 'rotate-right':
+                rotatePage(index, 90);
+                break;
+            case 'insert-blank':
+                insertBlankPage(index + 1);
+                break;
+            case 'delete':
+                deletePage(index);
+                break;
+            default:
+                showPage(index);
+                renderPageOrganizer();
+        }
+    });
+
+    const insertBlankButton = document.getElementById('organizer-insert-blank-btn');
+    if (insertBlankButton) {
+        insertBlankButton.addEventListener('click', () => insertBlankPage(pdfPages.length));
+    }
+
+    const appendInput = document.getElementById('organizer-append-input');
+    if (appendInput) {
+        appendInput.addEventListener('change', async function() {
+            const file = appendInput.files[0];
+            appendInput.value = '';
+            if (file) {
+                await appendPdfFile(file);
+            }
+        });
+    }
+
+    // DRAG A CARD TO MOVE THE PAGE
+    let draggedIndex = null;
+
+    const clearDropMarkers = () => {
+        grid.querySelectorAll('.drop-before, .drop-after').forEach(card => {
+            card.classList.remove('drop-before', 'drop-after');
+        });
+    };
+
+    grid.addEventListener('dragstart', function(event) {
+        const card = event.target.closest('.organizer-page');
+        if (!card) return;
+        draggedIndex = Number(card.dataset.index);
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', 'organizer-page');
+    });
+
+    grid.addEventListener('dragover', function(event) {
+        const card = event.target.closest('.organizer-page');
+        if (draggedIndex === null || !card) return;
+        event.preventDefault();
+
+        const box = card.getBoundingClientRect();
+        const after = event.clientX > box.left + box.width / 2;
+        clearDropMarkers();
+        card.classList.add(after ? 'drop-after' : 'drop-before');
+    });
+
+    grid.addEventListener('drop', function(event) {
+        const card = event.target.closest('.organizer-page');
+        if (draggedIndex === null || !card) return;
+        event.preventDefault();
+
+        const box = card.getBoundingClientRect();
+        const targetIndex = Number(card.dataset.index) + (event.clientX > box.left + box.width / 2 ? 1 : 0);
+        movePage(draggedIndex, targetIndex > draggedIndex ? targetIndex - 1 : targetIndex);
+    });
+
+    grid.addEventListener('dragend', function() {
+        draggedIndex = null;
+        clearDropMarkers();
+    });
+
+    // KEEP THE CARDS IN SYNC (ALSO AFTER UNDO/REDO)
+    document.addEventListener('pagesChanged', () => {
+        if (dialog.classList.contains('show')) {
+            renderPageOrganizer();
+        }
+    });
+
+    console.log('Page organiser configured');
+}
+
+// =============================================================================
+// MODULE 19: WATERMARK
+// =============================================================================
+
+/**
+ * MODULE 19: WATERMARK
+ * ====================
+ *
+ * One managed watermark for the whole document, set up in a dialog: a text
+ * (font, size, colour) or an image, with opacity, rotation and either a
+ * position on the page or a tiled pattern, on all pages or a page range.
+ *
+ * The settings live in `watermarkSettings`. Every chosen page gets a
+ * non-interactive Konva.Group named 'watermark' right above the page
+ * background and the form fields, laid out again whenever the settings or
+ * the pages change. The group is not an object of its own: it is edited or
+ * removed only through the dialog (undoable), saved with the scene, and
+ * written to every chosen page by both exports.
+ */
+
+// Margin between the page edges and a positioned watermark, in points
+const WATERMARK_MARGIN = 36;
+
+// Gap between the tiles of a tiled watermark, in points
+const WATERMARK_TILE_GAP = 72;
+
+const WATERMARK_DEFAULTS = {
+    type: 'text',
+    text: 'CONFIDENTIAL',
+    fontFamily: 'Helvetica',
+    fontSize: 72,
+    bold: true,
+    color: '#e53e3e',
+    imageSrc: null,
+    imageScale: 50,
+    opacity: 0.2,
+    rotation: -45,
+    position: 'center',
+    pages: ''
+};
+
+// Current watermark settings (null: no watermark) and the loaded image of an image watermark
+let watermarkSettings = null;
+let watermarkImage = null;
+
+// Embedded watermark image of each exported pdf-lib document (embedded once, drawn on every page)
+const embeddedWatermarkImages = new WeakMap();
+
+/**
+ * LOADS THE IMAGE OF WATERMARK SETTINGS
+ *
+ * @param {Object|null} settings - Watermark settings.
+ * @returns {Promise<{settings: Object|null, image: HTMLImageElement|null}>}
+ */
+function loadWatermarkState(settings) {
+    if (!settings || settings.type !== 'image' || !settings.imageSrc) {
+        return Promise.resolve({ settings: settings, image: null });
+    }
+
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve({ settings: settings, image: img });
+        img.onerror = reject;
+        img.src = settings.imageSrc;
+    });
+}
+
+/**
+ * MAKES A WATERMARK STATE CURRENT AND DRAWS IT
+ */
+function setWatermark(state) {
+    watermarkSettings = state.settings;
+    watermarkImage = state.image;
+    renderWatermark();
+    updateWatermarkControls();
+}
+
+/**
+ * REPLACES OR REMOVES THE WATERMARK AS ONE UNDOABLE COMMAND
+ *
+ * @param {Object|null} settings - New settings, null to remove the watermark.
+ */
+async function applyWatermark(settings) {
+    const before = { settings: watermarkSettings, image: watermarkImage };
+    const after = await loadWatermarkState(settings);
+
+    setWatermark(after);
+    recordCommand({
+        label: settings ? 'Watermark' : 'Remove watermark',
+        undo: () => setWatermark(before),
+        redo: () => setWatermark(after)
+    });
+}
+
+/**
+ * RETURNS THE INDEXES OF THE PAGES THAT GET THE WATERMARK
+ */
+function getWatermarkPageIndexes(settings) {
+    if (!settings.pages || !settings.pages.trim()) {
+        return pdfPages.map((page, index) => index);
+    }
+
+    try {
+        return [].concat(...parsePageRanges(settings.pages, pdfPages.length, true));
+    } catch (error) {
+        console.warn('Invalid watermark page range:', error.message);
+        return [];
+    }
+}
+
+/**
+ * DRAWS THE WATERMARK ON THE CHOSEN PAGES (AND REMOVES IT FROM THE OTHERS)
+ */
+function renderWatermark() {
+    pdfPages.forEach(page => {
+        page.layer.find('.watermark').forEach(group => group.destroy());
+    });
+
+    if (watermarkSettings) {
+        getWatermarkPageIndexes(watermarkSettings).forEach(index => {
+            const page = pdfPages[index];
+            const group = createWatermarkGroup(page, watermarkSettings, watermarkImage);
+
+            // Above the page background and the form fields, below every object
+            const baseCount = page.layer.getChildren(node => node === page.background || node.hasName('form-field')).length;
+            page.layer.add(group);
+            group.zIndex(baseCount);
+        });
+    }
+
+    pdfPages.forEach(page => page.layer.batchDraw());
+}
+
+/**
+ * LAYS OUT THE WATERMARK OF ONE PAGE
+ * ==================================
+ *
+ * The group itself is never transformed, so the transform of each item is
+ * relative to the page layer (what the vector export expects).
+ *
+ * @returns {Konva.Group} Group holding one item, or one per tile.
+ */
+function createWatermarkGroup(page, settings, image) {
+    const width = page.background.width();
+    const height = page.background.height();
+    const unitsPerPoint = 1 / page.pointsPerUnit;
+
+    const group = new Konva.Group({
+        name: 'watermark',
+        listening: false,
+        clip: { x: 0, y: 0, width: width, height: height }
+    });
+
+    const createItem = () => {
+        if (settings.type === 'image') {
+            const itemWidth = width * settings.imageScale / 100;
+            return new Konva.Image({
+                image: image,
+                width: itemWidth,
+                height: image ? itemWidth * image.height / image.width : 0
+            });
+        }
+        return new Konva.Text({
+            text: settings.text,
+            fontFamily: settings.fontFamily,
+            fontSize: settings.fontSize * unitsPerPoint,
+            fontStyle: settings.bold ? 'bold' : 'normal',
+            fill: settings.color
+        });
+    };
+
+    if (settings.type === 'image' && !image) return group;
+
+    // SIZE OF ONE ITEM, AND OF ITS BOUNDING BOX ONCE ROTATED
+    const sample = createItem();
+    const itemWidth = sample.width();
+    const itemHeight = sample.height();
+    sample.destroy();
+
+    const angle = settings.rotation * Math.PI / 180;
+    const boxWidth = Math.abs(itemWidth * Math.cos(angle)) + Math.abs(itemHeight * Math.sin(angle));
+    const boxHeight = Math.abs(itemWidth * Math.sin(angle)) + Math.abs(itemHeight * Math.cos(angle));
+
+    // CENTRES OF THE ITEMS
+    const centers = [];
+    if (settings.position === 'tiled') {
+        const gap = WATERMARK_TILE_GAP * unitsPerPoint;
+        const stepX = boxWidth + gap;
+        const stepY = boxHeight + gap;
+        for (let row = 0, y = boxHeight / 2; y - boxHeight / 2 < height; row++, y += stepY) {
+            // Every other row is shifted by half a step, like a brick wall
+            for (let x = row % 2 ? 0 : stepX / 2; x - boxWidth / 2 < width; x += stepX) {
+                centers.push({ x: x, y: y });
+            }
+        }
+    } else {
+        const margin = WATERMARK_MARGIN * unitsPerPoint;
+        const [vertical, horizontal] = settings.position === 'center'
+            ? ['middle', 'center']
+            : settings.position.split('-').concat('center').slice(0, 2);
+        centers.push({
+            x: horizontal === 'left' ? margin + boxWidth / 2
+                : horizontal === 'right' ? width - margin - boxWidth / 2 : width / 2,
+            y: vertical === 'top' ? margin + boxHeight / 2
+                : vertical === 'bottom' ? height - margin - boxHeight / 2 : height / 2
+        });
+    }
+
+    centers.forEach(center => {
+        const item = createItem();
+        item.setAttrs({
+            x: center.x,
+            y: center.y,
+            offsetX: itemWidth / 2,
+            offsetY: itemHeight / 2,
+            rotation: settings.rotation,
+            opacity: settings.opacity
+        });
+        group.add(item);
+    });
+
+    return group;
+}
+
+/**
+ * WRITES THE WATERMARK OF A PAGE (VECTOR EXPORT)
+ *
+ * Text items become real PDF text; an image is embedded once per document.
+ */
+async function stampWatermark(pdfDoc, pdfPage, group, mapping, fontCache) {
+    for (const item of group.getChildren()) {
+        if (item.getClassName() === 'Text') {
+            await stampTextNode(pdfDoc, pdfPage, item, mapping, fontCache);
+            continue;
+        }
+
+        let embedded = embeddedWatermarkImages.get(pdfDoc);
+        if (!embedded || embedded.image !== item.image()) {
+            embedded = { image: item.image(), pdfImage: await pdfDoc.embedPng(imageElementToPngBytes(item.image())) };
+            embeddedWatermarkImages.set(pdfDoc, embedded);
+        }
+
+        const bottomLeft = toPdfPoint(mapping, item.getTransform().point({ x: 0, y: item.height() }));
+        pdfPage.drawImage(embedded.pdfImage, {
+            x: bottomLeft.x,
+            y: bottomLeft.y,
+            width: item.width() * mapping.scale,
+            height: item.height() * mapping.scale,
+            rotate: PDFLib.degrees(-item.rotation()),
+            opacity: item.opacity()
+        });
+    }
+}
+
+/**
+ * SHOWS WHETHER THE DOCUMENT HAS A WATERMARK IN THE SIDEBAR
+ */
+function updateWatermarkControls() {
+    const button = document.getElementById('watermark-btn');
+    const status = document.getElementById('watermark-status');
+
+    if (button) {
+        button.querySelector('.btn-text').textContent = watermarkSettings ? 'Edit watermark' : 'Add watermark';
+    }
+    if (status) {
+        status.textContent = watermarkSettings
+            ? `${watermarkSettings.type === 'image' ? 'Image' : `"${watermarkSettings.text}"`} on ${watermarkSettings.pages.trim() ? 'pages ' + watermarkSettings.pages : 'every page'}`
+            : '';
+    }
+}
+
+/**
+ * CONFIGURES THE WATERMARK DIALOG
+ */
+function setupWatermark() {
+    const dialog = document.getElementById('watermark-dialog');
+    const openButton = document.getElementById('watermark-btn');
+    if (!dialog || !openButton) return;
+
+    const field = id => document.getElementById(id);
+    const fontSelect = field('watermark-font');
+    TEXT_FONT_FAMILIES.forEach(family => fontSelect.add(new Option(family, family)));
+
+    // Image chosen in the dialog, kept until it is applied
+    let pendingImageSrc = null;
+
+    const setDialogStatus = (text, color) => {
+        const status = field('watermark-dialog-status');
+        status.textContent = text;
+        status.style.color = color || '';
+    };
+
+    const showTypeFields = () => {
+        const type = field('watermark-type').value;
+        dialog.querySelectorAll('[data-watermark-type]').forEach(pane => {
+            pane.hidden = pane.dataset.watermarkType !== type;
+        });
+    };
+
+    // OPEN WITH THE CURRENT SETTINGS (OR THE DEFAULTS)
+    openButton.addEventListener('click', () => {
+        if (pdfPages.length === 0) return;
+
+        const settings = watermarkSettings || WATERMARK_DEFAULTS;
+        pendingImageSrc = settings.imageSrc;
+        field('watermark-type').value = settings.type;
+        field('watermark-text').value = settings.text;
+        fontSelect.value = settings.fontFamily;
+        field('watermark-size').value = settings.fontSize;
+        field('watermark-bold').checked = settings.bold;
+        field('watermark-color').value = settings.color;
+        field('watermark-image-input').value = '';
+        field('watermark-image-scale').value = settings.imageScale;
+        field('watermark-opacity').value = settings.opacity;
+        field('watermark-rotation').value = settings.rotation;
+        field('watermark-position').value = settings.position;
+        field('watermark-pages').value = settings.pages;
+        field('watermark-remove-btn').hidden = !watermarkSettings;
+        setDialogStatus(pendingImageSrc ? 'Current image kept unless you choose another one' : '');
+        showTypeFields();
+
+        bootstrap.Modal.getOrCreateInstance(dialog).show();
+    });
+
+    field('watermark-type').addEventListener('change', showTypeFields);
+
+    field('watermark-image-input').addEventListener('change', event => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        readImageFile(file)
+            .then(dataUrl => {
+                pendingImageSrc = dataUrl;
+                setDialogStatus(file.name);
+            })
+            .catch(error => setDialogStatus(error.message, '#e53e3e'));
+    });
+
+    // APPLY
+    field('watermark-apply-btn').addEventListener('click', async () => {
+        const settings = {
+            type: field('watermark-type').value,
+            text: field('watermark-text').value.trim(),
+            fontFamily: fontSelect.value,
+            fontSize: Math.max(Number(field('watermark-size').value) || WATERMARK_DEFAULTS.fontSize, 4),
+            bold: field('watermark-bold').checked,
+            color: field('watermark-color').value,
+            imageSrc: field('watermark-type').value === 'image' ? pendingImageSrc : null,
+            imageScale: Math.min(Math.max(Number(field('watermark-image-scale').value) || WATERMARK_DEFAULTS.imageScale, 1), 100),
+            opacity: Number(field('watermark-opacity').value),
+            rotation: Number(field('watermark-rotation').value) || 0,
+            position: field('watermark-position').value,
+            pages: field('watermark-pages').value.trim()
+        };
+
+        if (settings.type === 'text' && !settings.text) {
+            setDialogStatus('Enter the watermark text', '#e53e3e');
+            return;
+        }
+        if (settings.type === 'image' && !settings.imageSrc) {
+            setDialogStatus('Choose the watermark image', '#e53e3e');
+            return;
+        }
+        if (settings.pages) {
+            try {
+                parsePageRanges(settings.pages, pdfPages.length);
+            } catch (error) {
+                setDialogStatus(error.message, '#e53e3e');
+                return;
+            }
+        }
+
+        await applyWatermark(settings);
+        bootstrap.Modal.getOrCreateInstance(dialog).hide();
+    });
+
+    field('watermark-remove-btn').addEventListener('click', async () => {
+        await applyWatermark(null);
+        bootstrap.Modal.getOrCreateInstance(dialog).hide();
+    });
+
+    // The ranges and the layout follow the pages
+    document.addEventListener('pagesChanged', renderWatermark);
+
+    console.log('Watermark configured');
+}
+
+// =============================================================================
+// MODULE 20: STAMPS
+// =============================================================================
+
+/**
+ * MODULE 20: STAMPS
+ * =================
+ *
+ * A palette of stamp templates in the sidebar: the built-in ones plus the
+ * custom stamps of the signed-in user, saved to the profile through the
+ * /stamps endpoints. A template is a text, an ink colour and a border style
+ * (single, double or rounded). The first line is the large title, the other
+ * lines the details.
+ *
+ * Tokens in the text are filled in when the stamp is placed:
+ * - {user.name}: name of the signed-in user (window.currentUser);
+ * - {date}, {time}: current date and time in the browser's locale.
+ *
+ * Like a signature (MODULE 11), a placed stamp is a regular image node
+ * named 'stamp', so moving, resizing, undo and export need nothing more.
+ */
+
+// Pixels per page unit of the stamp images, so they stay sharp when zoomed or enlarged
+const STAMP_PIXEL_RATIO = 3;
+
+const BUILT_IN_STAMPS = [
+    { id: 'approved', name: 'Approved', text: 'APPROVED\n{user.name}\n{date}', color: '#2f855a', border: 'double' },
+    { id: 'received', name: 'Received', text: 'RECEIVED\n{date} {time}', color: '#2b6cb0', border: 'single' },
+    { id: 'rejected', name: 'Rejected', text: 'REJECTED\n{user.name}\n{date}', color: '#c53030', border: 'double' },
+    { id: 'reviewed', name: 'Reviewed', text: 'REVIEWED\nby {user.name} on {date}', color: '#6b46c1', border: 'rounded' }
+];
+
+let savedStamps = [];
+
+/**
+ * RETURNS THE VALUES OF THE STAMP TOKENS AT A GIVEN TIME
+ */
+function getStampTokenValues(date = new Date()) {
+    return {
+        'user.name': (window.currentUser && window.currentUser.name) || '',
+        date: date.toLocaleDateString(),
+        time: date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    };
+}
+
+/**
+ * REPLACES THE KNOWN {TOKENS} OF A TEXT (UNKNOWN ONES ARE LEFT AS THEY ARE)
+ * (also used by the headers and footers, MODULE 21)
+ */
+function fillTextTokens(text, values) {
+    return text.replace(/\{([\w.]+)\}/g, (token, key) => (key in values ? values[key] : token));
+}
+
+/**
+ * DRAWS A STAMP ON A CANVAS
+ * =========================
+ *
+ * Measured in page units, drawn at STAMP_PIXEL_RATIO pixels per unit.
+ *
+ * @param {Object} template - Stamp template {text, color, border}.
+ * @param {Object} values - Token values (see getStampTokenValues).
+ * @returns {HTMLCanvasElement} Transparent canvas holding the stamp.
+ */
+function renderStampCanvas(template, values) {
+    const lines = fillTextTokens(template.text, values).split('\n').map(line => line.trim());
+    const fonts = lines.map((line, index) => (index === 0 ? 'bold 28px' : 'bold 13px') + ' Helvetica, Arial, sans-serif');
+    const lineHeights = lines.map((line, index) => (index === 0 ? 32 : 17));
+
+    const borderWidth = 3;
+    const padding = template.border === 'double' ? 18 : 14;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+
+    // SIZE OF THE TEXT BLOCK
+    const textWidth = Math.max(...lines.map((line, index) => {
+        context.font = fonts[index];
+        return context.measureText(line).width;
+    }), 40);
+    const textHeight = lineHeights.reduce((sum, height) => sum + height, 0);
+
+    const width = Math.ceil(textWidth + padding * 2);
+    const height = Math.ceil(textHeight + padding * 2);
+    canvas.width = width * STAMP_PIXEL_RATIO;
+    canvas.height = height * STAMP_PIXEL_RATIO;
+    context.scale(STAMP_PIXEL_RATIO, STAMP_PIXEL_RATIO);
+
+    // BORDER
+    const inset = borderWidth / 2;
+    context.strokeStyle = template.color;
+    context.lineWidth = borderWidth;
+    context.beginPath();
+    if (template.border === 'rounded') {
+        // arcTo() instead of roundRect(), which older browsers lack
+        const right = width - inset;
+        const bottom = height - inset;
+        const radius = 12;
+        context.moveTo(inset + radius, inset);
+        context.arcTo(right, inset, right, bottom, radius);
+        context.arcTo(right, bottom, inset, bottom, radius);
+        context.arcTo(inset, bottom, inset, inset, radius);
+        context.arcTo(inset, inset, right, inset, radius);
+        context.closePath();
+    } else {
+        context.rect(inset, inset, width - borderWidth, height - borderWidth);
+    }
+    context.stroke();
+
+    if (template.border === 'double') {
+        context.lineWidth = 1;
+        context.strokeRect(7.5, 7.5, width - 15, height - 15);
+    }
+
+    // TEXT, CENTRED LINE BY LINE
+    context.fillStyle = template.color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    let y = padding;
+    lines.forEach((line, index) => {
+        context.font = fonts[index];
+        context.fillText(line, width / 2, y + lineHeights[index] / 2);
+        y += lineHeights[index];
+    });
+
+    return canvas;
+}
+
+/**
+ * PLACES A STAMP, WITH ITS TOKENS FILLED IN NOW, ON THE CURRENT PAGE
+ */
+function placeStamp(template) {
+    const canvas = renderStampCanvas(template, getStampTokenValues());
+    return placeImageInView(canvas.toDataURL('image/png'), template.name + '.png', 'stamp', canvas.width / STAMP_PIXEL_RATIO);
+}
+
+/**
+ * CONFIGURES THE STAMP DIALOG AND THE STAMP PALETTE
+ */
+function setupStamps() {
+    const dialog = document.getElementById('stamp-dialog');
+    const newButton = document.getElementById('new-stamp-btn');
+    if (!dialog || !newButton || typeof bootstrap === 'undefined') {
+        console.warn('Stamp dialog not available');
+        return;
+    }
+
+    const modal = bootstrap.Modal.getOrCreateInstance(dialog);
+    const field = id => document.getElementById(id);
+
+    const readTemplate = () => ({
+        name: field('stamp-name').value.trim() || 'Stamp',
+        text: field('stamp-text').value.replace(/\r/g, '').trim(),
+        color: field('stamp-color').value,
+        border: field('stamp-border').value
+    });
+
+    const renderPreview = () => {
+        const template = readTemplate();
+        field('stamp-preview').src = template.text ? renderStampCanvas(template, getStampTokenValues()).toDataURL('image/png') : '';
+    };
+
+    newButton.addEventListener('click', () => {
+        setStampStatus('');
+        renderPreview();
+        modal.show();
+    });
+
+    ['stamp-text', 'stamp-color', 'stamp-border'].forEach(id => {
+        field(id).addEventListener('input', renderPreview);
+    });
+
+    // PLACE (AND OPTIONALLY SAVE)
+    field('stamp-place-btn').addEventListener('click', async () => {
+        const template = readTemplate();
+        if (!template.text) {
+            setStampStatus('The stamp text is empty', '#e53e3e');
+            return;
+        }
+
+        if (field('stamp-save').checked) {
+            try {
+                await saveStamp(template);
+            } catch (error) {
+                console.error('Error while saving the stamp:', error);
+                setStampStatus('The stamp could not be saved', '#e53e3e');
+                return;
+            }
+        }
+
+        placeStamp(template);
+        modal.hide();
+    });
+
+    renderStampList();
+    loadSavedStamps();
+
+    console.log('Stamps configured');
+}
+
+/**
+ * SHOWS A MESSAGE IN THE STAMP DIALOG
+ */
+function setStampStatus(text, color) {
+    const status = document.getElementById('stamp-dialog-status');
+    if (status) {
+        status.textContent = text;
+        status.style.color = color || '';
+    }
+}
+
+/**
+ * LOADS THE CUSTOM STAMPS OF THE USER
+ */
+async function loadSavedStamps() {
+    try {
+        const response = await fetch('/stamps', { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        savedStamps = await response.json();
+    } catch (error) {
+        console.warn('Saved stamps could not be loaded:', error);
+        savedStamps = [];
+    }
+    renderStampList();
+}
+
+/**
+ * SAVES A CUSTOM STAMP TO THE USER'S PROFILE
+ */
+async function saveStamp(template) {
+    const response = await fetch('/stamps', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-CSRF-TOKEN': getCsrfToken()
+        },
+        body: JSON.stringify(template)
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    savedStamps.unshift(await response.json());
+    renderStampList();
+}
+
+/**
+ * DELETES A CUSTOM STAMP (PLACED COPIES STAY ON THE DOCUMENTS)
+ */
+async function deleteStamp(stamp) {
+    if (!confirm(`Delete the stamp "${stamp.name}"?`)) return;
+
+    try {
+        const response = await fetch(`/stamps/${stamp.id}`, {
+            method: 'DELETE',
+            headers: {
+                'Accept': 'application/json',
+                'X-CSRF-TOKEN': getCsrfToken()
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        savedStamps = savedStamps.filter(candidate => candidate.id !== stamp.id);
+        renderStampList();
+    } catch (error) {
+        console.error('Error while deleting the stamp:', error);
+        alert('The stamp could not be deleted');
+    }
+}
+
+/**
+ * RENDERS THE STAMP PALETTE (BUILT-IN STAMPS FIRST) IN THE SIDEBAR
+ */
+function renderStampList() {
+    const list = document.getElementById('stamp-list');
+    if (!list) return;
+
+    const values = getStampTokenValues();
+    list.innerHTML = '';
+
+    BUILT_IN_STAMPS.concat(savedStamps).forEach(stamp => {
+        const isCustom = !BUILT_IN_STAMPS.includes(stamp);
+
+        const item = document.createElement('div');
+        item.className = 'signature-item stamp-item';
+        item.title = `Place "${stamp.name}"`;
+
+        const img = document.createElement('img');
+        img.src = renderStampCanvas(stamp, values).toDataURL('image/png');
+        img.alt = stamp.name;
+        item.appendChild(img);
+
+        if (isCustom) {
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'signature-item-delete';
+            deleteButton.title = 'Delete';
+            deleteButton.textContent = '✕';
+            deleteButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                deleteStamp(stamp);
+            });
+            item.appendChild(deleteButton);
+        }
+
+        item.addEventListener('click', () => placeStamp(stamp));
+        list.appendChild(item);
+    });
+}
+
+// =============================================================================
+// MODULE 21: HEADERS AND FOOTERS
+// =============================================================================
+
+/**
+ * MODULE 21: HEADERS AND FOOTERS
+ * ==============================
+ *
+ * A sidebar panel sets a header and a footer for every page, each with a
+ * left, a centre and a right slot. The slots accept tokens:
+ * - {page}, {pages}: page number and page count ("Page {page} of {pages}");
+ * - {date}: today's date in the browser's locale;
+ * - {file}: name of the edited file;
+ * - {bates}: Bates number, the prefix followed by a zero-padded counter
+ *   that starts at the chosen number on the first page.
+ *
+ * The font, size, colour and the margins from the page edges (in points)
+ * apply to all the slots. Like the watermark (MODULE 19), every page gets a
+ * non-interactive Konva.Group named 'header-footer', laid out again when the
+ * settings or the pages change, so the canvas always previews the numbers
+ * each page will be exported with. Editing the panel previews live; every
+ * committed change is one undoable command.
+ */
+
+const HEADER_FOOTER_SLOTS = ['left', 'center', 'right'];
+
+const HEADER_FOOTER_DEFAULTS = {
+    header: { left: '', center: '', right: '' },
+    footer: { left: '{file}', center: 'Page {page} of {pages}', right: '{bates}' },
+    fontFamily: 'Helvetica',
+    fontSize: 10,
+    bold: false,
+    color: '#000000',
+    marginX: 36,
+    marginY: 24,
+    batesPrefix: 'ABC',
+    batesStart: 1,
+    batesDigits: 6
+};
+
+// Current settings (null: no headers and footers), and the last ones set
+// through setHeaderFooter (the panel previews without committing)
+let headerFooterSettings = null;
+let committedHeaderFooterSettings = null;
+
+/**
+ * RETURNS THE TOKEN VALUES OF A PAGE
+ *
+ * @param {Object} settings - Header and footer settings.
+ * @param {number} index - 0-based index of the page in the document.
+ */
+function getHeaderFooterTokenValues(settings, index) {
+    return {
+        page: String(index + 1),
+        pages: String(pdfPages.length),
+        date: new Date().toLocaleDateString(),
+        file: window.pdfFileName || '',
+        bates: settings.batesPrefix + String(settings.batesStart + index).padStart(settings.batesDigits, '0')
+    };
+}
+
+/**
+ * MAKES SETTINGS CURRENT, DRAWS THEM AND SHOWS THEM IN THE PANEL
+ */
+function setHeaderFooter(settings) {
+    headerFooterSettings = settings;
+    committedHeaderFooterSettings = settings;
+    renderHeaderFooter();
+    fillHeaderFooterForm(settings);
+}
+
+/**
+ * DRAWS THE HEADERS AND FOOTERS ON EVERY PAGE
+ */
+function renderHeaderFooter() {
+    pdfPages.forEach((page, index) => {
+        page.layer.find('.header-footer').forEach(group => group.destroy());
+
+        if (headerFooterSettings) {
+            const group = createHeaderFooterGroup(page, headerFooterSettings, getHeaderFooterTokenValues(headerFooterSettings, index));
+
+            // Above the page background and the form fields, below every object
+            const baseCount = page.layer.getChildren(node => node === page.background || node.hasName('form-field')).length;
+            page.layer.add(group);
+            group.zIndex(baseCount);
+        }
+
+        page.layer.batchDraw();
+    });
+}
+
+/**
+ * LAYS OUT THE HEADER AND FOOTER OF ONE PAGE
+ *
+ * Every slot is a text box as wide as the page between the margins, aligned
+ * to its side; the group is never transformed (see createWatermarkGroup).
+ *
+ * @returns {Konva.Group} Group holding one Konva.Text per filled slot.
+ */
+function createHeaderFooterGroup(page, settings, values) {
+    const width = page.background.width();
+    const height = page.background.height();
+    const unitsPerPoint = 1 / page.pointsPerUnit;
+    const marginX = settings.marginX * unitsPerPoint;
+    const marginY = settings.marginY * unitsPerPoint;
+    const fontSize = settings.fontSize * unitsPerPoint;
+
+    const group = new Konva.Group({ name: 'header-footer', listening: false });
+
+    ['header', 'footer'].forEach(band => {
+        HEADER_FOOTER_SLOTS.forEach(slot => {
+            const text = fillTextTokens(settings[band][slot] || '', values);
+            if (!text.trim()) return;
+
+            group.add(new Konva.Text({
+                x: marginX,
+                y: band === 'header' ? marginY : height - marginY - fontSize,
+                width: Math.max(width - marginX * 2, 1),
+                text: text,
+                align: slot,
+                wrap: 'none',
+                fontFamily: settings.fontFamily,
+                fontSize: fontSize,
+                fontStyle: settings.bold ? 'bold' : 'normal',
+                fill: settings.color
+            }));
+        });
+    });
+
+    return group;
+}
+
+/**
+ * READS THE PANEL (NULL WHEN THE HEADERS AND FOOTERS ARE TURNED OFF)
+ */
+function readHeaderFooterForm() {
+    const field = id => document.getElementById(id);
+    if (!field('header-footer-enabled').checked) return null;
+
+    const number = (id, fallback, min, max) => {
+        const value = Math.round(Number(field(id).value));
+        return Number.isFinite(value) && field(id).value !== '' ? Math.min(Math.max(value, min), max) : fallback;
+    };
+    const slots = band => Object.fromEntries(HEADER_FOOTER_SLOTS.map(slot => [slot, field(`${band}-${slot}`).value]));
+
+    return {
+        header: slots('header'),
+        footer: slots('footer'),
+        fontFamily: field('header-footer-font').value,
+        fontSize: number('header-footer-size', HEADER_FOOTER_DEFAULTS.fontSize, 4, 72),
+        bold: field('header-footer-bold').checked,
+        color: field('header-footer-color').value,
+        marginX: number('header-footer-margin-x', HEADER_FOOTER_DEFAULTS.marginX, 0, 288),
+        marginY: number('header-footer-margin-y', HEADER_FOOTER_DEFAULTS.marginY, 0, 288),
+        batesPrefix: field('bates-prefix').value.trim(),
+        batesStart: number('bates-start', HEADER_FOOTER_DEFAULTS.batesStart, 0, 999999999),
+        batesDigits: number('bates-digits', HEADER_FOOTER_DEFAULTS.batesDigits, 1, 12)
+    };
+}
+
+/**
+ * WRITES SETTINGS INTO THE PANEL (THE DEFAULTS WHEN TURNED OFF)
+ */
+function fillHeaderFooterForm(settings) {
+    const field = id => document.getElementById(id);
+    if (!field('header-footer-enabled')) return;
+
+    const values = settings || HEADER_FOOTER_DEFAULTS;
+    field('header-footer-enabled').checked = !!settings;
+    ['header', 'footer'].forEach(band => {
+        HEADER_FOOTER_SLOTS.forEach(slot => {
+            field(`${band}-${slot}`).value = values[band][slot];
+        });
+    });
+    field('header-footer-font').value = values.fontFamily;
+    field('header-footer-size').value = values.fontSize;
+    field('header-footer-bold').checked = values.bold;
+    field('header-footer-color').value = values.color;
+    field('header-footer-margin-x').value = values.marginX;
+    field('header-footer-margin-y').value = values.marginY;
+    field('bates-prefix').value = values.batesPrefix;
+    field('bates-start').value = values.batesStart;
+    field('bates-digits').value = values.batesDigits;
+
+    field('header-footer-options').hidden = !settings;
+}
+
+/**
+ * CONFIGURES THE HEADER AND FOOTER PANEL
+ */
+function setupHeaderFooter() {
+    const panel = document.getElementById('header-footer-module');
+    if (!panel) return;
+
+    const fontSelect = document.getElementById('header-footer-font');
+    TEXT_FONT_FAMILIES.forEach(family => fontSelect.add(new Option(family, family)));
+    fillHeaderFooterForm(null);
+
+    // LIVE PREVIEW WHILE TYPING
+    panel.addEventListener('input', () => {
+        headerFooterSettings = readHeaderFooterForm();
+        document.getElementById('header-footer-options').hidden = !headerFooterSettings;
+        renderHeaderFooter();
+    });
+
+    // ONE UNDOABLE COMMAND PER COMMITTED CHANGE
+    panel.addEventListener('change', () => {
+        const before = committedHeaderFooterSettings;
+        const after = readHeaderFooterForm();
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        setHeaderFooter(after);
+        recordCommand({
+            label: after ? 'Headers and footers' : 'Remove headers and footers',
+            undo: () => setHeaderFooter(before),
+            redo: () => setHeaderFooter(after)
+        });
+    });
+
+    // Page numbers, the page count and Bates numbers follow the pages
+    document.addEventListener('pagesChanged', renderHeaderFooter);
+
+    console.log('Headers and footers configured');
 }
@@ -3,6 +3,7 @@
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="csrf-token" content="{{ csrf_token() }}">
     <title>PDF Editor - @yield('title')</title>
 
     <!-- Bootstrap CSS for styling -->
@@ -11,6 +12,9 @@
     <!-- Bootstrap Icons -->
     <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.min.css">
 
+    <!-- Script fonts for typed signatures -->
+    <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Caveat&family=Dancing+Script&family=Great+Vibes&family=Homemade+Apple&display=swap">
+
     <style>
         /* Gradiente de fondo futurista para la app */
         body {
@@ -48,6 +52,14 @@
     </script>
 
 
+    <!-- pdf-lib CDN to stamp the overlays onto the original PDF -->
+    <script src="https://unpkg.com/pdf-lib@1.17.1/dist/pdf-lib.min.js"></script>
+
+
+    <!-- JSZip CDN to download split exports as one ZIP -->
+    <script src="https://unpkg.com/jszip@3.10.1/dist/jszip.min.js"></script>
+
+
     <!-- PDFjs CDN to import and render the PDF -->
     <script src="https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js"></script>
     <script>
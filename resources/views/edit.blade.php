@@ -11,6 +11,25 @@
         </header>
 
         <nav class="sidebar-nav">
+            <!-- pages module -->
+            <div class="tool-module" id="pages-module">
+                <h3 class="module-title">Pages</h3>
+                <div class="module-content">
+                    <!-- page navigator -->
+                    <div class="page-navigator">
+                        <button type="button" id="prev-page-btn" class="page-nav-btn" disabled>‹</button>
+                        <span id="page-indicator" class="page-indicator">Page 1 of 1</span>
+                        <button type="button" id="next-page-btn" class="page-nav-btn" disabled>›</button>
+                    </div>
+                    <!-- thumbnail strip, filled when the PDF is loaded -->
+                    <div id="page-thumbnails" class="page-thumbnails"></div>
+                    <button type="button" id="organize-pages-btn" class="btn btn-sm btn-outline-primary w-100 mt-2">Organize pages</button>
+                    <div class="module-info">
+                        <small>Click a thumbnail to edit that page</small>
+                    </div>
+                </div>
+            </div>
+
             <!-- text module -->
             <div class="tool-module" id="text-module">
                 <h3 class="module-title">Text</h3>
@@ -40,7 +59,315 @@
                     <input type="file" id="image-input" class="file-input file-input-hidden" accept="image/*" />
                     <div id="image-status" class="status-message"></div>
                     <div class="module-info">
-                        <small>Drag the square to add to the PDF and select the image</small>
+                        <small>Drag the square to add to the PDF and select the image, or drop image files on the page and paste with Ctrl+V</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- signature module -->
+            <div class="tool-module" id="signature-module">
+                <h3 class="module-title">Signature</h3>
+                <div class="module-content">
+                    <button type="button" id="new-signature-btn" class="action-btn primary-btn">
+                        <span class="btn-icon">✍️</span>
+                        <span class="btn-text">New signature</span>
+                    </button>
+                    <div id="signature-list" class="signature-list"></div>
+                    <div class="module-info">
+                        <small>Click a saved signature to place it on the page</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- stamp module -->
+            <div class="tool-module" id="stamp-module">
+                <h3 class="module-title">Stamps</h3>
+                <div class="module-content">
+                    <div id="stamp-list" class="signature-list stamp-list"></div>
+                    <button type="button" id="new-stamp-btn" class="action-btn primary-btn">
+                        <span class="btn-icon">🔖</span>
+                        <span class="btn-text">New stamp</span>
+                    </button>
+                    <div class="module-info">
+                        <small>Click a stamp to place it with your name, the date and the time</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- markup module -->
+            <div class="tool-module" id="markup-module">
+                <h3 class="module-title">Markup</h3>
+                <div class="module-content">
+                    <div class="shape-tools">
+                        <button type="button" class="shape-tool-btn markup-tool-btn" data-tool="highlight" title="Highlight"><span class="markup-sample highlight">ab</span></button>
+                        <button type="button" class="shape-tool-btn markup-tool-btn" data-tool="underline" title="Underline"><span class="markup-sample underline">ab</span></button>
+                        <button type="button" class="shape-tool-btn markup-tool-btn" data-tool="strikeout" title="Strikeout"><span class="markup-sample strikeout">ab</span></button>
+                    </div>
+                    <div class="shape-style-grid">
+                        <label class="shape-style-field">
+                            <span>Colour</span>
+                            <input type="color" id="markup-color" value="#ffd400" />
+                        </label>
+                        <label class="shape-style-field">
+                            <span>Opacity</span>
+                            <input type="range" id="markup-opacity" min="0.05" max="1" step="0.05" value="0.5" />
+                        </label>
+                    </div>
+                    <div class="module-info">
+                        <small>Pick a tool and drag across the document text</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- shapes module -->
+            <div class="tool-module" id="shapes-module">
+                <h3 class="module-title">Shapes</h3>
+                <div class="module-content">
+                    <div class="shape-tools">
+                        <button type="button" class="shape-tool-btn" data-tool="rect" title="Rectangle">▭</button>
+                        <button type="button" class="shape-tool-btn" data-tool="ellipse" title="Ellipse">◯</button>
+                        <button type="button" class="shape-tool-btn" data-tool="line" title="Line">╱</button>
+                        <button type="button" class="shape-tool-btn" data-tool="arrow" title="Arrow">➚</button>
+                    </div>
+                    <div class="shape-style-grid">
+                        <label class="shape-style-field">
+                            <span>Stroke</span>
+                            <input type="color" id="shape-stroke-color" />
+                        </label>
+                        <label class="shape-style-field">
+                            <span><input type="checkbox" id="shape-fill-enabled" /> Fill</span>
+                            <input type="color" id="shape-fill-color" />
+                        </label>
+                        <label class="shape-style-field">
+                            <span>Width</span>
+                            <input type="number" id="shape-stroke-width" min="0.5" max="40" step="0.5" />
+                        </label>
+                        <label class="shape-style-field">
+                            <span>Dash</span>
+                            <select id="shape-dash-style">
+                                <option value="solid">Solid</option>
+                                <option value="dashed">Dashed</option>
+                                <option value="dotted">Dotted</option>
+                            </select>
+                        </label>
+                        <label class="shape-style-field shape-style-wide">
+                            <span>Opacity</span>
+                            <input type="range" id="shape-opacity" min="0.05" max="1" step="0.05" />
+                        </label>
+                    </div>
+                    <div class="module-info">
+                        <small>Pick a shape and drag on the PDF (Shift to constrain, Esc to cancel)</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- ink module -->
+            <div class="tool-module" id="ink-module">
+                <h3 class="module-title">Ink</h3>
+                <div class="module-content">
+                    <div class="shape-tools">
+                        <button type="button" class="shape-tool-btn ink-tool-btn" data-tool="ink" title="Pen">✒️</button>
+                        <button type="button" class="shape-tool-btn ink-tool-btn" data-tool="eraser" title="Eraser">🧽</button>
+                    </div>
+                    <div class="shape-style-grid">
+                        <label class="shape-style-field">
+                            <span>Colour</span>
+                            <input type="color" id="ink-color" />
+                        </label>
+                        <label class="shape-style-field">
+                            <span>Width</span>
+                            <input type="number" id="ink-width" min="0.5" max="40" step="0.5" />
+                        </label>
+                        <label class="shape-style-field shape-style-wide">
+                            <span>Opacity</span>
+                            <input type="range" id="ink-opacity" min="0.05" max="1" step="0.05" />
+                        </label>
+                        <label class="shape-style-field shape-style-wide">
+                            <span><input type="checkbox" id="ink-pressure" /> Pen pressure</span>
+                        </label>
+                    </div>
+                    <div class="module-info">
+                        <small>Draw with the pen, click a stroke to edit it, Esc to stop</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- redaction module -->
+            <div class="tool-module" id="redaction-module">
+                <h3 class="module-title">Redaction</h3>
+                <div class="module-content">
+                    <button type="button" id="redact-tool-btn" class="shape-tool-btn redact-tool-btn" data-tool="redact">
+                        ⬛ Mark areas
+                    </button>
+                    <button type="button" id="apply-redactions-btn" class="action-btn danger-btn" disabled>
+                        <span class="btn-icon">🛡️</span>
+                        <span class="btn-text">Apply redactions</span>
+                    </button>
+                    <div id="redaction-status" class="status-message"></div>
+                    <div class="module-info">
+                        <small>Applying permanently removes the content under the marks on export</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- watermark module -->
+            <div class="tool-module" id="watermark-module">
+                <h3 class="module-title">Watermark</h3>
+                <div class="module-content">
+                    <button type="button" id="watermark-btn" class="action-btn primary-btn">
+                        <span class="btn-icon">💧</span>
+                        <span class="btn-text">Add watermark</span>
+                    </button>
+                    <div id="watermark-status" class="status-message"></div>
+                    <div class="module-info">
+                        <small>One text or image watermark on every chosen page</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- headers and footers module -->
+            <div class="tool-module" id="header-footer-module">
+                <h3 class="module-title">Headers &amp; Footers</h3>
+                <div class="module-content">
+                    <label class="shape-style-field">
+                        <span><input type="checkbox" id="header-footer-enabled" /> Show on every page</span>
+                    </label>
+                    <div id="header-footer-options" class="header-footer-options" hidden>
+                        <span class="header-footer-band">Header</span>
+                        <div class="header-footer-slots">
+                            <input type="text" id="header-left" placeholder="Left" aria-label="Header left" />
+                            <input type="text" id="header-center" placeholder="Centre" aria-label="Header centre" />
+                            <input type="text" id="header-right" placeholder="Right" aria-label="Header right" />
+                        </div>
+                        <span class="header-footer-band">Footer</span>
+                        <div class="header-footer-slots">
+                            <input type="text" id="footer-left" placeholder="Left" aria-label="Footer left" />
+                            <input type="text" id="footer-center" placeholder="Centre" aria-label="Footer centre" />
+                            <input type="text" id="footer-right" placeholder="Right" aria-label="Footer right" />
+                        </div>
+                        <div class="shape-style-grid">
+                            <label class="shape-style-field">
+                                <span>Font</span>
+                                <select id="header-footer-font"></select>
+                            </label>
+                            <label class="shape-style-field">
+                                <span>Size (pt)</span>
+                                <input type="number" id="header-footer-size" min="4" max="72" />
+                            </label>
+                            <label class="shape-style-field">
+                                <span>Colour</span>
+                                <input type="color" id="header-footer-color" />
+                            </label>
+                            <label class="shape-style-field">
+                                <span><input type="checkbox" id="header-footer-bold" /> Bold</span>
+                            </label>
+                            <label class="shape-style-field">
+                                <span>Side margin (pt)</span>
+                                <input type="number" id="header-footer-margin-x" min="0" max="288" />
+                            </label>
+                            <label class="shape-style-field">
+                                <span>Top/bottom margin (pt)</span>
+                                <input type="number" id="header-footer-margin-y" min="0" max="288" />
+                            </label>
+                            <label class="shape-style-field shape-style-wide">
+                                <span>Bates prefix</span>
+                                <input type="text" id="bates-prefix" maxlength="40" />
+                            </label>
+                            <label class="shape-style-field">
+                                <span>First number</span>
+                                <input type="number" id="bates-start" min="0" />
+                            </label>
+                            <label class="shape-style-field">
+                                <span>Digits</span>
+                                <input type="number" id="bates-digits" min="1" max="12" />
+                            </label>
+                        </div>
+                    </div>
+                    <div class="module-info">
+                        <small>Tokens: {page}, {pages}, {date}, {file}, {bates}</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- arrange module -->
+            <div class="tool-module" id="arrange-module">
+                <h3 class="module-title">Arrange</h3>
+                <div class="module-content">
+                    <div class="shape-tools arrange-tools">
+                        <button type="button" class="shape-tool-btn" data-align="left" title="Align left">⇤</button>
+                        <button type="button" class="shape-tool-btn" data-align="center" title="Align centre">↔</button>
+                        <button type="button" class="shape-tool-btn" data-align="right" title="Align right">⇥</button>
+                        <button type="button" class="shape-tool-btn" data-align="top" title="Align top">⤒</button>
+                        <button type="button" class="shape-tool-btn" data-align="middle" title="Align middle">↕</button>
+                        <button type="button" class="shape-tool-btn" data-align="bottom" title="Align bottom">⤓</button>
+                    </div>
+                    <div class="shape-tools distribute-tools">
+                        <button type="button" class="shape-tool-btn" data-distribute="horizontal" title="Distribute horizontally">⋯ Spread</button>
+                        <button type="button" class="shape-tool-btn" data-distribute="vertical" title="Distribute vertically">⋮ Spread</button>
+                    </div>
+                    <div id="selection-count" class="status-message"></div>
+                    <div class="module-info">
+                        <small>Drag on the empty page or Shift-click to select several objects; one object aligns to the page</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- objects module -->
+            <div class="tool-module" id="objects-module">
+                <h3 class="module-title">Objects</h3>
+                <div class="module-content">
+                    <ul id="object-list" class="object-list"></ul>
+                    <div id="object-list-empty" class="status-message">No objects on this page</div>
+                    <div class="module-info">
+                        <small>Top of the list is in front. Drag to restack, double-click a name to rename</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- guides module -->
+            <div class="tool-module" id="guides-module">
+                <h3 class="module-title">Guides</h3>
+                <div class="module-content">
+                    <div class="shape-style-grid">
+                        <label class="shape-style-field">
+                            <span>Units</span>
+                            <select id="guide-unit">
+                                <option value="pt">Points (pt)</option>
+                                <option value="mm">Millimetres (mm)</option>
+                                <option value="in">Inches (in)</option>
+                            </select>
+                        </label>
+                        <label class="shape-style-field">
+                            <span>Grid size</span>
+                            <input type="number" id="guide-grid-size" min="0.1" max="500" step="any" />
+                        </label>
+                        <label class="shape-style-field">
+                            <span><input type="checkbox" id="guide-rulers" /> Rulers</span>
+                        </label>
+                        <label class="shape-style-field">
+                            <span><input type="checkbox" id="guide-grid" /> Grid</span>
+                        </label>
+                        <label class="shape-style-field shape-style-wide">
+                            <span><input type="checkbox" id="guide-snap" /> Snap to page, objects and text lines</span>
+                        </label>
+                    </div>
+                    <div class="module-info">
+                        <small>Hold Alt while dragging to move without snapping</small>
+                    </div>
+                </div>
+            </div>
+
+            <!-- session module -->
+            <div class="tool-module" id="session-module">
+                <h3 class="module-title">Session</h3>
+                <div class="module-content">
+                    <button id="save-session-btn" class="action-btn primary-btn">
+                        <span class="btn-icon">💾</span>
+                        <span class="btn-text">Save session</span>
+                    </button>
+                    <div id="session-status" class="status-message"></div>
+                    <div class="module-info">
+                        <small>Save your work to continue editing later</small>
                     </div>
                 </div>
             </div>
@@ -49,6 +376,31 @@
             <div class="tool-module" id="export-module">
                 <h3 class="module-title">Export</h3>
                 <div class="module-content">
+                    <select id="export-mode" class="text-input">
+                        <option value="vector" selected>Keep original PDF (vector)</option>
+                        <option value="flatten">Flattened image</option>
+                    </select>
+                    <div id="form-export-options" hidden>
+                        <select id="form-export-mode" class="text-input">
+                            <option value="fill" selected>Form fields: keep fillable</option>
+                            <option value="flatten">Form fields: flatten</option>
+                        </select>
+                    </div>
+                    <!-- split or extract pages into several files -->
+                    <select id="export-split-mode" class="text-input">
+                        <option value="all" selected>All pages in one file</option>
+                        <option value="ranges">Page ranges, one file each</option>
+                        <option value="every">Split every N pages</option>
+                        <option value="single">One file per page</option>
+                    </select>
+                    <div id="export-split-options" class="export-split-options" hidden>
+                        <input type="text" id="export-ranges" class="text-input" placeholder="1-3, 7, 10-end" data-split-mode="ranges" />
+                        <input type="number" id="export-every" class="text-input" min="1" value="2" title="Pages per file" data-split-mode="every" />
+                        <select id="export-delivery" class="text-input">
+                            <option value="zip" selected>Download as one ZIP</option>
+                            <option value="files">Download separate files</option>
+                        </select>
+                    </div>
                     <button id="save-pdf-btn" class="action-btn success-btn">
                         <span class="btn-icon">📄</span>
                         <span class="btn-text">Save PDF</span>
@@ -75,6 +427,24 @@
                 <div class="workspace-status">
                     <span class="status-indicator" id="pdf-status">Loading PDF...</span>
                 </div>
+                <!-- zoom controls -->
+                <div class="zoom-controls">
+                    <button type="button" id="zoom-out-btn" class="zoom-btn" title="Zoom out (Ctrl + wheel)">−</button>
+                    <span id="zoom-level" class="zoom-level">100%</span>
+                    <button type="button" id="zoom-in-btn" class="zoom-btn" title="Zoom in (Ctrl + wheel)">+</button>
+                    <button type="button" class="zoom-btn zoom-mode-btn" data-zoom-mode="fit-width" title="Fit width">↔</button>
+                    <button type="button" class="zoom-btn zoom-mode-btn" data-zoom-mode="fit-page" title="Fit page">⤢</button>
+                </div>
+                <!-- undo / redo history -->
+                <div class="history-controls">
+                    <button type="button" id="undo-btn" class="history-btn" disabled>
+                        ↶ Undo <span id="undo-count" class="history-count">0</span>
+                    </button>
+                    <button type="button" id="redo-btn" class="history-btn" disabled>
+                        ↷ Redo <span id="redo-count" class="history-count">0</span>
+                    </button>
+                    <button type="button" id="shortcuts-btn" class="history-btn" title="Keyboard shortcuts (?)">⌨</button>
+                </div>
             </div>
         </header>
 
@@ -90,9 +460,257 @@
     </main>
 </div>
 
+<!-- signature dialog: draw, type or upload -->
+<div class="modal fade" id="signature-dialog" tabindex="-1" aria-labelledby="signature-dialog-title" aria-hidden="true">
+    <div class="modal-dialog modal-dialog-centered modal-lg">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h5 class="modal-title" id="signature-dialog-title">New signature</h5>
+                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+                <ul class="nav nav-tabs mb-3" role="tablist">
+                    <li class="nav-item"><button type="button" class="nav-link active" data-signature-mode="draw">Draw</button></li>
+                    <li class="nav-item"><button type="button" class="nav-link" data-signature-mode="type">Type</button></li>
+                    <li class="nav-item"><button type="button" class="nav-link" data-signature-mode="upload">Upload</button></li>
+                </ul>
+
+                <!-- draw on a pad -->
+                <div class="signature-pane" data-signature-pane="draw">
+                    <canvas id="signature-pad" class="signature-pad" width="700" height="220"></canvas>
+                    <button type="button" id="signature-pad-clear" class="btn btn-sm btn-outline-secondary mt-2">Clear</button>
+                </div>
+
+                <!-- type in a script font -->
+                <div class="signature-pane" data-signature-pane="type" hidden>
+                    <input type="text" id="signature-typed-text" class="form-control mb-2" placeholder="Your name" maxlength="60" />
+                    <select id="signature-typed-font" class="form-select mb-2">
+                        <option value="Great Vibes">Great Vibes</option>
+                        <option value="Dancing Script">Dancing Script</option>
+                        <option value="Caveat">Caveat</option>
+                        <option value="Homemade Apple">Homemade Apple</option>
+                    </select>
+                    <canvas id="signature-typed-preview" class="signature-pad" width="700" height="220"></canvas>
+                </div>
+
+                <!-- upload and remove the background -->
+                <div class="signature-pane" data-signature-pane="upload" hidden>
+                    <input type="file" id="signature-upload-input" class="form-control mb-2" accept="image/png,image/jpeg" />
+                    <label class="form-label small" for="signature-threshold">Background removal</label>
+                    <input type="range" id="signature-threshold" class="form-range" min="5" max="120" value="40" />
+                    <canvas id="signature-upload-preview" class="signature-pad" width="700" height="220"></canvas>
+                </div>
+
+                <div class="row g-2 mt-2 align-items-center">
+                    <div class="col-auto">
+                        <label class="form-label small mb-0" for="signature-color">Ink</label>
+                        <input type="color" id="signature-color" class="form-control form-control-color" value="#1a237e" />
+                    </div>
+                    <div class="col">
+                        <label class="form-label small mb-0" for="signature-name">Name</label>
+                        <input type="text" id="signature-name" class="form-control" value="My signature" maxlength="255" />
+                    </div>
+                    <div class="col-auto form-check mt-4">
+                        <input type="checkbox" id="signature-save" class="form-check-input" checked />
+                        <label class="form-check-label" for="signature-save">Save for later</label>
+                    </div>
+                </div>
+                <div id="signature-dialog-status" class="status-message mt-2"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Cancel</button>
+                <button type="button" id="signature-place-btn" class="btn btn-primary">Place signature</button>
+            </div>
+        </div>
+    </div>
+</div>
+
+<!-- keyboard shortcuts dialog (filled from the shortcut registry) -->
+<div class="modal fade" id="shortcuts-dialog" tabindex="-1" aria-labelledby="shortcuts-dialog-title" aria-hidden="true">
+    <div class="modal-dialog modal-dialog-centered">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h5 class="modal-title" id="shortcuts-dialog-title">Keyboard shortcuts</h5>
+                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+                <table id="shortcuts-table" class="table table-sm shortcuts-table mb-0"></table>
+                <p class="small text-muted mt-2 mb-0">Shortcuts are paused while you type in a text box.</p>
+            </div>
+        </div>
+    </div>
+</div>
+
+<!-- page organiser: reorder, rotate, delete, insert blank pages and append PDFs -->
+<div class="modal fade" id="page-organizer-dialog" tabindex="-1" aria-labelledby="page-organizer-dialog-title" aria-hidden="true">
+    <div class="modal-dialog modal-dialog-centered modal-xl modal-dialog-scrollable">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h5 class="modal-title" id="page-organizer-dialog-title">Organize pages</h5>
+                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+                <div class="d-flex flex-wrap gap-2 align-items-center mb-3">
+                    <button type="button" id="organizer-insert-blank-btn" class="btn btn-sm btn-outline-secondary">Add blank page</button>
+                    <label class="btn btn-sm btn-outline-secondary mb-0" for="organizer-append-input">Append PDF…</label>
+                    <input type="file" id="organizer-append-input" class="file-input-hidden" accept="application/pdf,.pdf" />
+                    <span id="organizer-status" class="status-message small"></span>
+                </div>
+                <div id="organizer-pages" class="organizer-pages"></div>
+            </div>
+            <div class="modal-footer">
+                <small class="text-muted me-auto">Drag a page to move it. Changes apply right away and can be undone.</small>
+                <button type="button" class="btn btn-primary" data-bs-dismiss="modal">Done</button>
+            </div>
+        </div>
+    </div>
+</div>
+
+<!-- watermark dialog: one managed watermark for the chosen pages -->
+<div class="modal fade" id="watermark-dialog" tabindex="-1" aria-labelledby="watermark-dialog-title" aria-hidden="true">
+    <div class="modal-dialog modal-dialog-centered">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h5 class="modal-title" id="watermark-dialog-title">Watermark</h5>
+                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+                <label class="form-label small mb-0" for="watermark-type">Type</label>
+                <select id="watermark-type" class="form-select mb-2">
+                    <option value="text" selected>Text</option>
+                    <option value="image">Image</option>
+                </select>
+
+                <!-- text watermark -->
+                <div data-watermark-type="text">
+                    <input type="text" id="watermark-text" class="form-control mb-2" value="CONFIDENTIAL" maxlength="100" />
+                    <div class="row g-2 mb-2 align-items-center">
+                        <div class="col">
+                            <select id="watermark-font" class="form-select" aria-label="Font"></select>
+                        </div>
+                        <div class="col-3">
+                            <input type="number" id="watermark-size" class="form-control" min="4" max="400" value="72" title="Font size (pt)" />
+                        </div>
+                        <div class="col-auto">
+                            <input type="color" id="watermark-color" class="form-control form-control-color" value="#e53e3e" title="Colour" />
+                        </div>
+                        <div class="col-auto form-check">
+                            <input type="checkbox" id="watermark-bold" class="form-check-input" checked />
+                            <label class="form-check-label" for="watermark-bold">Bold</label>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- image watermark -->
+                <div data-watermark-type="image" hidden>
+                    <input type="file" id="watermark-image-input" class="form-control mb-2" accept="image/*" />
+                    <label class="form-label small mb-0" for="watermark-image-scale">Width (% of the page)</label>
+                    <input type="number" id="watermark-image-scale" class="form-control mb-2" min="1" max="100" value="50" />
+                </div>
+
+                <div class="row g-2 mb-2">
+                    <div class="col">
+                        <label class="form-label small mb-0" for="watermark-opacity">Opacity</label>
+                        <input type="range" id="watermark-opacity" class="form-range" min="0.05" max="1" step="0.05" value="0.2" />
+                    </div>
+                    <div class="col-4">
+                        <label class="form-label small mb-0" for="watermark-rotation">Rotation (°)</label>
+                        <input type="number" id="watermark-rotation" class="form-control" min="-180" max="180" value="-45" />
+                    </div>
+                </div>
+                <div class="row g-2">
+                    <div class="col">
+                        <label class="form-label small mb-0" for="watermark-position">Position</label>
+                        <select id="watermark-position" class="form-select">
+                            <option value="center" selected>Centre</option>
+                            <option value="top">Top</option>
+                            <option value="bottom">Bottom</option>
+                            <option value="top-left">Top left</option>
+                            <option value="top-right">Top right</option>
+                            <option value="bottom-left">Bottom left</option>
+                            <option value="bottom-right">Bottom right</option>
+                            <option value="tiled">Tiled</option>
+                        </select>
+                    </div>
+                    <div class="col">
+                        <label class="form-label small mb-0" for="watermark-pages">Pages</label>
+                        <input type="text" id="watermark-pages" class="form-control" placeholder="All, or 1-3, 7, 10-end" />
+                    </div>
+                </div>
+                <div id="watermark-dialog-status" class="status-message mt-2"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" id="watermark-remove-btn" class="btn btn-outline-danger me-auto" hidden>Remove</button>
+                <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Cancel</button>
+                <button type="button" id="watermark-apply-btn" class="btn btn-primary">Apply</button>
+            </div>
+        </div>
+    </div>
+</div>
+
+<!-- stamp dialog: custom stamp templates with tokens -->
+<div class="modal fade" id="stamp-dialog" tabindex="-1" aria-labelledby="stamp-dialog-title" aria-hidden="true">
+    <div class="modal-dialog modal-dialog-centered">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h5 class="modal-title" id="stamp-dialog-title">New stamp</h5>
+                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+                <label class="form-label small mb-0" for="stamp-text">Text (the first line is the title)</label>
+                <textarea id="stamp-text" class="form-control mb-1" rows="3" maxlength="500">PAID
+{user.name}
+{date} {time}</textarea>
+                <p class="small text-muted mb-2">Tokens: <code>{user.name}</code>, <code>{date}</code>, <code>{time}</code></p>
+                <div class="row g-2 mb-2 align-items-end">
+                    <div class="col-auto">
+                        <label class="form-label small mb-0" for="stamp-color">Ink</label>
+                        <input type="color" id="stamp-color" class="form-control form-control-color" value="#c53030" />
+                    </div>
+                    <div class="col">
+                        <label class="form-label small mb-0" for="stamp-border">Border</label>
+                        <select id="stamp-border" class="form-select">
+                            <option value="single">Single</option>
+                            <option value="double" selected>Double</option>
+                            <option value="rounded">Rounded</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="stamp-preview">
+                    <img id="stamp-preview" alt="Stamp preview" />
+                </div>
+                <div class="row g-2 mt-2 align-items-center">
+                    <div class="col">
+                        <label class="form-label small mb-0" for="stamp-name">Name</label>
+                        <input type="text" id="stamp-name" class="form-control" value="Paid" maxlength="255" />
+                    </div>
+                    <div class="col-auto form-check mt-4">
+                        <input type="checkbox" id="stamp-save" class="form-check-input" checked />
+                        <label class="form-check-label" for="stamp-save">Save to my stamps</label>
+                    </div>
+                </div>
+                <div id="stamp-dialog-status" class="status-message mt-2"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Cancel</button>
+                <button type="button" id="stamp-place-btn" class="btn btn-primary">Place stamp</button>
+            </div>
+        </div>
+    </div>
+</div>
+
 <script>
     // definition of a global variable containing the $pdfBase64 data
     window.pdfBase64Data = "{{ $pdfBase64 }}";
+
+    // name of the edited file, used when the session is saved
+    window.pdfFileName = {{ Js::from($pdfName ?? 'document.pdf') }};
+
+    // saved session (scene document) when a stored document is reopened
+    window.pdfDocument = {{ Js::from(isset($document) ? ['id' => $document->id, 'name' => $document->name, 'scene' => $document->scene] : null) }};
+
+    // signed-in user, for the tokens of the stamps
+    window.currentUser = {{ Js::from(['name' => auth()->user()->name]) }};
 </script>
 
 @endsection
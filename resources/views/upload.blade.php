@@ -50,6 +50,27 @@ class="file-input file-input-visible"
             </form>
         </div>
 
+        @if (isset($documents) && $documents->isNotEmpty())
+            <section class="saved-documents">
+                <h2 class="saved-documents-title">Saved sessions</h2>
+                <ul class="saved-documents-list">
+                    @foreach ($documents as $document)
+                        <li class="saved-document">
+                            <a href="{{ route('documents.show', $document->id) }}" class="saved-document-link">
+                                <span class="saved-document-name">📄 {{ $document->name }}</span>
+                                <small class="saved-document-date">{{ $document->updated_at->diffForHumans() }}</small>
+                            </a>
+                            <form method="POST" action="{{ route('documents.destroy', $document->id) }}" onsubmit="return confirm('Delete this saved session?')">
+                                @csrf
+                                @method('DELETE')
+                                <button type="submit" class="saved-document-delete" title="Delete">🗑️</button>
+                            </form>
+                        </li>
+                    @endforeach
+                </ul>
+            </section>
+        @endif
+
         <footer class="upload-footer">
             <div class="upload-features">
                 <div class="feature-item">
@@ -2,6 +2,9 @@
 
 use Illuminate\Support\Facades\Route;
 use App\Http\Controllers\PdfEditController;
+use App\Http\Controllers\PdfDocumentController;
+use App\Http\Controllers\SignatureController;
+use App\Http\Controllers\StampController;
 use App\Http\Controllers\LoginController;
 use App\Http\Controllers\RegisterController;
 use App\Http\Controllers\EmailVerificationController;
@@ -38,9 +41,25 @@
     Route::post('/email/verification-notification', [EmailVerificationController::class, 'send'])->middleware('throttle:6,1')
         ->name('verification.send');
 
-    Route::view('/', 'upload')->middleware('verified')->name('home');
+    Route::get('/', [PdfDocumentController::class, 'index'])->middleware('verified')->name('home');
     Route::post('/render', [PdfEditController::class, 'edit'])->middleware('verified');
 
+    // saved editing sessions (scene documents) of the user
+    Route::post('/documents', [PdfDocumentController::class, 'store'])->middleware('verified')->name('documents.store');
+    Route::get('/documents/{id}', [PdfDocumentController::class, 'show'])->middleware('verified')->name('documents.show');
+    Route::put('/documents/{id}', [PdfDocumentController::class, 'update'])->middleware('verified')->name('documents.update');
+    Route::delete('/documents/{id}', [PdfDocumentController::class, 'destroy'])->middleware('verified')->name('documents.destroy');
+
+    // reusable signatures of the user
+    Route::get('/signatures', [SignatureController::class, 'index'])->middleware('verified')->name('signatures.index');
+    Route::post('/signatures', [SignatureController::class, 'store'])->middleware('verified')->name('signatures.store');
+    Route::delete('/signatures/{id}', [SignatureController::class, 'destroy'])->middleware('verified')->name('signatures.destroy');
+
+    // custom stamp templates of the user
+    Route::get('/stamps', [StampController::class, 'index'])->middleware('verified')->name('stamps.index');
+    Route::post('/stamps', [StampController::class, 'store'])->middleware('verified')->name('stamps.store');
+    Route::delete('/stamps/{id}', [StampController::class, 'destroy'])->middleware('verified')->name('stamps.destroy');
+
     Route::get('/profile', [ProfileController::class, 'show'])->middleware('verified');
     Route::post('/profile', [ProfileController::class, 'save'])->middleware('verified');
     Route::patch('/profile', [ProfileController::class, 'update'])->middleware('verified');
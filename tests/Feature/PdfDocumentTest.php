@@ -0,0 +1,149 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\PdfDocument;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Tests\TestCase;
+
+class PdfDocumentTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('local');
+        $this->withoutVite();
+    }
+
+    public function test_store_saves_the_pdf_and_the_scene(): void
+    {
+        $user = User::factory()->create();
+        $scene = PdfDocument::factory()->make()->scene;
+
+        $id = $this->actingAs($user)->postJson('/documents', [
+            'name' => 'contract.pdf',
+            'pdf_base64' => base64_encode("%PDF-1.4\n"),
+            'scene' => $scene,
+        ])->assertCreated()->json('id');
+
+        $document = $user->pdfDocuments()->findOrFail($id);
+        $this->assertSame('contract.pdf', $document->name);
+        $this->assertSame($scene, $document->scene);
+        $this->assertStringStartsWith('pdfs/' . $user->id . '/', $document->pdf_path);
+        $this->assertSame("%PDF-1.4\n", Storage::disk('local')->get($document->pdf_path));
+    }
+
+    public function test_store_rejects_data_that_is_not_a_pdf(): void
+    {
+        $user = User::factory()->create();
+
+        foreach ([base64_encode("\x89PNG not a pdf"), '%%% not base64 %%%'] as $data) {
+            $this->actingAs($user)->postJson('/documents', [
+                'name' => 'image.png',
+                'pdf_base64' => $data,
+                'scene' => ['pages' => []],
+            ])->assertStatus(422);
+        }
+
+        $this->assertSame(0, $user->pdfDocuments()->count());
+        $this->assertEmpty(Storage::disk('local')->allFiles());
+    }
+
+    public function test_store_rejects_a_pdf_larger_than_10mb(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->postJson('/documents', [
+            'name' => 'huge.pdf',
+            'pdf_base64' => str_repeat('A', 13981017),
+            'scene' => ['pages' => []],
+        ])->assertStatus(422)->assertJsonValidationErrors('pdf_base64');
+
+        $this->assertSame(0, $user->pdfDocuments()->count());
+    }
+
+    public function test_scenes_larger_than_20mb_are_rejected(): void
+    {
+        $document = PdfDocument::factory()->withPdf()->create();
+        $scene = $document->scene;
+        $scene['sources'] = [['name' => 'appended.pdf', 'data' => str_repeat('A', 20 * 1024 * 1024)]];
+
+        $this->actingAs($document->user)->postJson('/documents', [
+            'name' => 'huge.pdf',
+            'pdf_base64' => base64_encode("%PDF-1.4\n"),
+            'scene' => $scene,
+        ])->assertStatus(422)->assertJsonValidationErrors('scene');
+
+        $this->actingAs($document->user)->putJson('/documents/' . $document->id, [
+            'scene' => $scene,
+        ])->assertStatus(422)->assertJsonValidationErrors('scene');
+
+        $this->assertSame(1, $document->user->pdfDocuments()->count());
+        $this->assertNotSame($scene, $document->refresh()->scene);
+    }
+
+    public function test_show_opens_the_document_in_the_editor(): void
+    {
+        $document = PdfDocument::factory()->withPdf("%PDF-1.4\n")->create();
+
+        $this->actingAs($document->user)->get('/documents/' . $document->id)
+            ->assertOk()
+            ->assertViewIs('edit')
+            ->assertViewHas('pdfBase64', base64_encode("%PDF-1.4\n"))
+            ->assertViewHas('pdfName', $document->name);
+    }
+
+    public function test_update_overwrites_the_scene(): void
+    {
+        $document = PdfDocument::factory()->withPdf()->create();
+        $scene = $document->scene;
+        $scene['pages'][0]['nodes'][] = ['type' => 'text', 'attrs' => ['text' => 'Hello']];
+
+        $this->actingAs($document->user)->putJson('/documents/' . $document->id, [
+            'name' => 'renamed.pdf',
+            'scene' => $scene,
+        ])->assertOk()->assertJson(['id' => $document->id]);
+
+        $document->refresh();
+        $this->assertSame('renamed.pdf', $document->name);
+        $this->assertSame($scene, $document->scene);
+    }
+
+    public function test_destroy_removes_the_document_and_its_file(): void
+    {
+        $document = PdfDocument::factory()->withPdf()->create();
+
+        $this->actingAs($document->user)->delete('/documents/' . $document->id)->assertRedirect(route('home'));
+
+        $this->assertModelMissing($document);
+        Storage::disk('local')->assertMissing($document->pdf_path);
+    }
+
+    public function test_documents_of_another_user_are_not_found(): void
+    {
+        $document = PdfDocument::factory()->withPdf()->create();
+        $other = User::factory()->create();
+
+        $this->actingAs($other)->get('/documents/' . $document->id)->assertNotFound();
+        $this->actingAs($other)->putJson('/documents/' . $document->id, ['scene' => ['pages' => []]])->assertNotFound();
+        $this->actingAs($other)->delete('/documents/' . $document->id)->assertNotFound();
+
+        $this->assertModelExists($document);
+        Storage::disk('local')->assertExists($document->pdf_path);
+    }
+
+    public function test_deleting_the_account_removes_the_stored_pdfs(): void
+    {
+        $document = PdfDocument::factory()->withPdf()->create();
+
+        $this->actingAs($document->user)->delete('/profile')->assertRedirect('/');
+
+        $this->assertModelMissing($document);
+        Storage::disk('local')->assertMissing($document->pdf_path);
+    }
+}
@@ -0,0 +1,125 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Signature;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Tests\TestCase;
+
+class SignatureTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('local');
+    }
+
+    public function test_store_saves_the_png_under_the_user(): void
+    {
+        $user = User::factory()->create();
+        $image = 'data:image/png;base64,' . base64_encode("\x89PNG\r\n\x1a\nsignature");
+
+        $response = $this->actingAs($user)->postJson('/signatures', [
+            'name' => 'My signature',
+            'kind' => 'drawn',
+            'image' => $image,
+        ])->assertCreated()->assertJson(['name' => 'My signature', 'kind' => 'drawn', 'image' => $image]);
+
+        $signature = $user->signatures()->findOrFail($response->json('id'));
+        $this->assertStringStartsWith('signatures/' . $user->id . '/', $signature->image_path);
+        $this->assertSame("\x89PNG\r\n\x1a\nsignature", Storage::disk('local')->get($signature->image_path));
+    }
+
+    public function test_store_rejects_images_that_are_not_png(): void
+    {
+        $user = User::factory()->create();
+
+        // not a PNG data URL
+        $this->actingAs($user)->postJson('/signatures', [
+            'name' => 'Photo',
+            'kind' => 'uploaded',
+            'image' => 'data:image/jpeg;base64,' . base64_encode("\xFF\xD8\xFFjpeg"),
+        ])->assertStatus(422)->assertJsonValidationErrors('image');
+
+        // PNG data URL with other content
+        $this->actingAs($user)->postJson('/signatures', [
+            'name' => 'Fake',
+            'kind' => 'uploaded',
+            'image' => 'data:image/png;base64,' . base64_encode('<svg></svg>'),
+        ])->assertStatus(422);
+
+        $this->assertSame(0, $user->signatures()->count());
+        $this->assertEmpty(Storage::disk('local')->allFiles());
+    }
+
+    public function test_store_rejects_an_unknown_kind(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->postJson('/signatures', [
+            'name' => 'My signature',
+            'kind' => 'scanned',
+            'image' => 'data:image/png;base64,' . base64_encode("\x89PNG\r\n\x1a\nsignature"),
+        ])->assertStatus(422)->assertJsonValidationErrors('kind');
+    }
+
+    public function test_store_rejects_images_larger_than_2mb(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->postJson('/signatures', [
+            'name' => 'Huge',
+            'kind' => 'drawn',
+            'image' => 'data:image/png;base64,' . base64_encode("\x89PNG\r\n\x1a\n" . str_repeat('x', 2 * 1024 * 1024)),
+        ])->assertStatus(422);
+
+        $this->assertSame(0, $user->signatures()->count());
+    }
+
+    public function test_index_lists_only_the_signatures_of_the_user(): void
+    {
+        $signature = Signature::factory()->withImage()->create();
+        Signature::factory()->withImage()->create();
+
+        $this->actingAs($signature->user)->getJson('/signatures')
+            ->assertOk()
+            ->assertJsonCount(1)
+            ->assertJsonPath('0.id', $signature->id);
+    }
+
+    public function test_destroy_removes_the_signature_and_its_image(): void
+    {
+        $signature = Signature::factory()->withImage()->create();
+
+        $this->actingAs($signature->user)->deleteJson('/signatures/' . $signature->id)
+            ->assertOk()
+            ->assertJson(['id' => $signature->id]);
+
+        $this->assertModelMissing($signature);
+        Storage::disk('local')->assertMissing($signature->image_path);
+    }
+
+    public function test_signatures_of_another_user_cannot_be_deleted(): void
+    {
+        $signature = Signature::factory()->withImage()->create();
+
+        $this->actingAs(User::factory()->create())->deleteJson('/signatures/' . $signature->id)->assertNotFound();
+
+        $this->assertModelExists($signature);
+        Storage::disk('local')->assertExists($signature->image_path);
+    }
+
+    public function test_deleting_the_account_removes_the_signature_images(): void
+    {
+        $signature = Signature::factory()->withImage()->create();
+
+        $this->actingAs($signature->user)->delete('/profile')->assertRedirect('/');
+
+        Storage::disk('local')->assertMissing($signature->image_path);
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Stamp;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Arr;
+use Tests\TestCase;
+
+class StampTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_store_saves_the_template_with_its_tokens(): void
+    {
+        $user = User::factory()->create();
+        $template = $this->template();
+
+        $this->actingAs($user)->postJson('/stamps', $template)
+            ->assertCreated()
+            ->assertJson($template);
+
+        $this->assertSame(1, $user->stamps()->count());
+    }
+
+    public function test_store_validates_the_colour_the_border_and_the_text(): void
+    {
+        $user = User::factory()->create();
+
+        $invalid = [
+            'color' => ['red', '#c53', '#c53030ff', 'c53030', '#g53030'],
+            'border' => ['dotted', ''],
+            'text' => [str_repeat('A', 501), ''],
+            'name' => [''],
+        ];
+
+        foreach ($invalid as $attribute => $values) {
+            foreach ($values as $value) {
+                $this->actingAs($user)->postJson('/stamps', $this->template([$attribute => $value]))
+                    ->assertStatus(422)
+                    ->assertJsonValidationErrors($attribute);
+            }
+        }
+
+        $this->assertSame(0, $user->stamps()->count());
+    }
+
+    public function test_store_accepts_every_border_style_and_500_characters(): void
+    {
+        $user = User::factory()->create();
+
+        foreach (['single', 'double', 'rounded'] as $border) {
+            $this->actingAs($user)->postJson('/stamps', $this->template([
+                'border' => $border,
+                'color' => '#2F855A',
+                'text' => str_repeat('A', 500),
+            ]))->assertCreated();
+        }
+
+        $this->assertSame(3, $user->stamps()->count());
+    }
+
+    public function test_index_lists_only_the_stamps_of_the_user(): void
+    {
+        $stamp = Stamp::factory()->create();
+        Stamp::factory()->create();
+
+        $this->actingAs($stamp->user)->getJson('/stamps')
+            ->assertOk()
+            ->assertJsonCount(1)
+            ->assertJsonPath('0.id', $stamp->id);
+    }
+
+    public function test_destroy_removes_the_stamp(): void
+    {
+        $stamp = Stamp::factory()->create();
+
+        $this->actingAs($stamp->user)->deleteJson('/stamps/' . $stamp->id)
+            ->assertOk()
+            ->assertJson(['id' => $stamp->id]);
+
+        $this->assertModelMissing($stamp);
+    }
+
+    public function test_stamps_of_another_user_cannot_be_deleted(): void
+    {
+        $stamp = Stamp::factory()->create();
+
+        $this->actingAs(User::factory()->create())->deleteJson('/stamps/' . $stamp->id)->assertNotFound();
+
+        $this->assertModelExists($stamp);
+    }
+
+    /**
+     * Stamp template as the editor sends it.
+     */
+    private function template(array $overrides = []): array
+    {
+        return Arr::except(Stamp::factory()->raw(['user_id' => null, ...$overrides]), 'user_id');
+    }
+}